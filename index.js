@@ -2,12 +2,28 @@ const { Client, LocalAuth, MessageMedia } = require("whatsapp-web.js");
 const qrcode = require("qrcode-terminal");
 const fs = require("fs");
 const path = require("path");
+const readline = require("readline");
 const { google } = require("googleapis");
+const ExcelJS = require("exceljs");
 const crypto = require("crypto");
+const zlib = require("zlib");
 const natural = require("natural");
-const { WordTokenizer, PorterStemmer } = natural;
 const express = require("express");
 require("dotenv").config();
+const {
+  HybridIntentClassifier,
+  DEFAULT_CORPUS_FILE,
+  DEFAULT_MODEL_THRESHOLD,
+  INTENTS,
+  containsTerm,
+  loadCorpus
+} = require("./intentClassifier");
+const { normalizeText, isEnglishWord } = require("./textNormalizer");
+const {
+  DEFAULT_TREND_SALES,
+  MAX_TREND_SALES,
+  extractSaleEntities
+} = require("./saleExtractor");
 
 // ==================
 // EXPRESS SERVER FOR HEALTH CHECKS
@@ -36,6 +52,35 @@ app.get("/health", (req, res) => {
   }
 });
 
+app.get("/tickets", (req, res) => {
+  try {
+    res.json(tickets.getStats());
+  } catch (error) {
+    res.status(500).json({ status: "error", message: error.message });
+  }
+});
+
+// Client data (broadcast recipients, the feedback queue's messages) needs
+// "Authorization: Bearer <ADMIN_API_TOKEN>" and is off when no token is set
+function requireAdminToken(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token || req.get("authorization") !== `Bearer ${token}`) {
+    return res.status(403).json({ status: "error", message: "Forbidden" });
+  }
+  next();
+}
+
+app.get("/broadcasts", requireAdminToken, (req, res) => {
+  try {
+    res.json({
+      subscriptions: subscriptions.getStats(),
+      reports: reportBroadcasts.getStats()
+    });
+  } catch (error) {
+    res.status(500).json({ status: "error", message: error.message });
+  }
+});
+
 app.get("/stats", (req, res) => {
   try {
     const stats = analytics.getStats();
@@ -45,6 +90,24 @@ app.get("/stats", (req, res) => {
   }
 });
 
+app.get("/feedback", requireAdminToken, (req, res) => {
+  try {
+    res.json(intentFeedback.getStats());
+  } catch (error) {
+    res.status(500).json({ status: "error", message: error.message });
+  }
+});
+
+// Body: { "intent": "<intent>" | "skip", "labelledBy": "<name>" }
+app.post("/feedback/:id", requireAdminToken, (req, res) => {
+  try {
+    const { intent, labelledBy } = req.body || {};
+    res.json(intentFeedback.label(req.params.id, intent, labelledBy || "api"));
+  } catch (error) {
+    res.status(400).json({ status: "error", message: error.message });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`🌐 Health server running on port ${PORT}`);
 });
@@ -52,7 +115,11 @@ app.listen(PORT, () => {
 // ==================
 // CONFIGURATION & VALIDATION
 // ==================
-const REQUIRED_ENV_VARS = [
+// Data source: "sheets" (Google Sheets & Drive) or "local" (CSV/XLSX files)
+const DATA_SOURCE = (process.env.DATA_SOURCE || "sheets").toLowerCase().trim();
+const DATA_SOURCE_TYPES = ['sheets', 'local'];
+
+const GOOGLE_ENV_VARS = [
   'SHEET_ID',
   'FACTORY_SHEET_ID', 
   'STAFF_SHEET_ID',
@@ -62,6 +129,22 @@ const REQUIRED_ENV_VARS = [
   'GOOGLE_PRIVATE_KEY'
 ];
 
+const REQUIRED_ENV_VARS = DATA_SOURCE === 'sheets' ? GOOGLE_ENV_VARS : [];
+
+// Transport: "whatsapp" (whatsapp-web.js) or "terminal" (interactive simulator)
+const BOT_TRANSPORT = (process.env.BOT_TRANSPORT || "whatsapp").toLowerCase().trim();
+const BOT_TRANSPORT_TYPES = ['whatsapp', 'terminal'];
+
+if (!DATA_SOURCE_TYPES.includes(DATA_SOURCE)) {
+  console.error(`❌ Unknown DATA_SOURCE "${DATA_SOURCE}". Use one of: ${DATA_SOURCE_TYPES.join(', ')}`);
+  process.exit(1);
+}
+
+if (!BOT_TRANSPORT_TYPES.includes(BOT_TRANSPORT)) {
+  console.error(`❌ Unknown BOT_TRANSPORT "${BOT_TRANSPORT}". Use one of: ${BOT_TRANSPORT_TYPES.join(', ')}`);
+  process.exit(1);
+}
+
 console.log("🔍 Validating environment variables...");
 const missingVars = REQUIRED_ENV_VARS.filter(varName => !process.env[varName]);
 if (missingVars.length > 0) {
@@ -76,13 +159,26 @@ console.log("✅ All required environment variables present\n");
 // ==================
 const DATA_DIR = process.env.DATA_DIR || "./data";
 const LOGS_DIR = process.env.LOGS_DIR || "./logs";
-const FORWARDED_MESSAGES_FILE = path.join(DATA_DIR, "forwardedMessages.json");
+const TICKETS_FILE = path.join(DATA_DIR, "tickets.json");
+const ESCALATION_RULES_FILE = path.join(DATA_DIR, "escalationRules.json");
+const HOLIDAYS_FILE = process.env.HOLIDAYS_FILE || path.join(__dirname, "calendar", "holidays.json");
 const USER_INTERACTIONS_FILE = path.join(DATA_DIR, "userInteractions.json");
+const SUBSCRIPTIONS_FILE = path.join(DATA_DIR, "subscriptions.json");
+const REPORT_BROADCASTS_FILE = path.join(DATA_DIR, "reportBroadcasts.json");
+const REPORT_CACHE_DIR = path.join(DATA_DIR, "reportCache");
 const MESSAGE_CACHE_FILE = path.join(DATA_DIR, "messageCache.json");
 const ANALYTICS_FILE = path.join(DATA_DIR, "analytics.json");
 const REQUEST_LOG_FILE = path.join(LOGS_DIR, "requests.log");
 const ERROR_LOG_FILE = path.join(LOGS_DIR, "errors.log");
+const ACCESS_LOG_FILE = path.join(LOGS_DIR, "access.log");
 const HEALTH_FILE = path.join(DATA_DIR, "health.json");
+const INTENT_CORPUS_FILE = process.env.INTENT_CORPUS_FILE || DEFAULT_CORPUS_FILE;
+const INTENT_LABELS_FILE = path.join(DATA_DIR, "intentLabels.jsonl");
+const INTENT_FEEDBACK_FILE = path.join(DATA_DIR, "intentFeedback.json");
+
+// Local data source files (CSV or XLSX)
+const LOCAL_DATA_DIR = process.env.LOCAL_DATA_DIR || DATA_DIR;
+const LOCAL_REPORTS_DIR = process.env.LOCAL_REPORTS_DIR || path.join(LOCAL_DATA_DIR, "reports");
 
 // Create directories
 [DATA_DIR, LOGS_DIR].forEach(dir => {
@@ -98,10 +194,14 @@ const HEALTH_FILE = path.join(DATA_DIR, "health.json");
 const ELEVATION_MAP = {
   'uh': 'UH', 'u.h': 'UH', 'upper high': 'UH',
   'wh': 'WH', 'w.h': 'WH', 'western high': 'WH',
-  'high': 'H', 'h ': 'H',
-  'medium': 'M', 'm ': 'M', 'med': 'M',
-  'low': 'L', 'l ': 'L',
-  'bt': 'BT', 'b.t': 'BT', 'bottom': 'BT'
+  'high': 'H', 'h': 'H',
+  'medium': 'M', 'm': 'M', 'med': 'M',
+  'low': 'L', 'l': 'L',
+  'bt': 'BT', 'b.t': 'BT', 'bottom': 'BT',
+  // Sinhala / Tamil
+  'උඩරට': 'H', 'udarata': 'H', 'மலைநாடு': 'H',
+  'මැදරට': 'M', 'medarata': 'M', 'நடுத்தர': 'M',
+  'පහතරට': 'L', 'pahatharata': 'L', 'தாழ்நில': 'L'
 };
 
 const ELEVATION_EMOJIS = {
@@ -119,18 +219,65 @@ const DEPARTMENT_MAP = {
   'invoice': 'Accounts',
   'vat': 'Accounts',
   'technical': 'IT',
-  'it': 'IT',
+  'it department': 'IT',
+  'it dept': 'IT',
+  'it support': 'IT',
+  'it team': 'IT',
   'support': 'IT',
   'system': 'IT',
   'marketing': 'Marketing',
   'inquiry': 'Marketing',
-  'general': 'Marketing'
+  'general': 'Marketing',
+  // Sinhala / Tamil
+  'තක්සේරු': 'Valuation', 'thakseru': 'Valuation', 'மதிப்பீடு': 'Valuation',
+  'ගිණුම්': 'Accounts', 'ginum': 'Accounts', 'බදු': 'Accounts', 'கணக்கு': 'Accounts', 'kanakku': 'Accounts',
+  'තාක්ෂණික': 'IT', 'தொழில்நுட்ப': 'IT',
+  'අලෙවි': 'Marketing', 'சந்தைப்படுத்தல்': 'Marketing'
 };
 
 // Cache settings
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 const MESSAGE_CACHE_DURATION = 60 * 60 * 1000; // 1 hour
-const FORWARDED_MSG_CLEANUP = 24 * 60 * 60 * 1000; // 24 hours
+const SHEET_READ_CACHE_DURATION = 30 * 1000; // One reply's text, market gap and chart share a read
+const CONVERSATION_TTL = 10 * 60 * 1000; // 10 minutes
+const TICKET_AUTO_CLOSE = 72 * 60 * 60 * 1000; // 72 hours after last reply
+const TICKET_RETENTION = 90 * 24 * 60 * 60 * 1000; // 90 days
+const ESCALATION_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+// SLA escalation steps for unanswered tickets, in minutes since the ticket was opened.
+// "renotify" reminds the original recipients; "escalate" goes to the department's
+// heads and backups (staff sheet role column). Override per department in
+// data/escalationRules.json, e.g. { "accounts": [{ "after": 15, "action": "renotify" }] }
+const DEFAULT_ESCALATION_RULES = [
+  { after: 30, action: 'renotify' },
+  { after: 120, action: 'escalate' }
+];
+const ESCALATION_ROLES = ['head', 'backup'];
+
+// PNG charts after factory and elevation replies (SEND_CHARTS=false turns them off)
+const SEND_CHARTS = process.env.SEND_CHARTS !== 'false';
+
+// Factory figures only for numbers on the access list (FACTORY_ACCESS_CONTROL=false turns it off)
+const FACTORY_ACCESS_CONTROL = process.env.FACTORY_ACCESS_CONTROL !== 'false';
+
+// Intent model confidence below which the keyword rules decide instead
+const INTENT_MODEL_THRESHOLD = Math.min(1, Math.max(0, parseFloat(process.env.INTENT_MODEL_THRESHOLD) || DEFAULT_MODEL_THRESHOLD));
+
+// Factory subscriptions: how often to look for a new sale, and the gap between
+// two pushed updates so a long subscriber list goes out slowly
+const SUBSCRIPTION_POLL_INTERVAL = Math.max(1, parseInt(process.env.SUBSCRIPTION_POLL_MINUTES || "10", 10) || 10) * 60 * 1000;
+const SUBSCRIPTION_SEND_GAP = Math.max(1, parseInt(process.env.SUBSCRIPTION_SEND_GAP_SECONDS || "20", 10) || 20) * 1000;
+const MAX_SUBSCRIPTIONS_PER_USER = 10;
+const REPORT_WATCH_INTERVAL = Math.max(1, parseInt(process.env.REPORT_WATCH_MINUTES || "10", 10) || 10) * 60 * 1000;
+
+// Market report PDFs kept on disk, and how many the "reports" command lists
+const REPORT_CACHE_MAX_FILES = 40;
+const REPORT_LIST_SIZE = 8;
+
+// Working hours (Asia/Colombo). Days: 0 = Sunday ... 6 = Saturday
+const BUSINESS_DAYS = (process.env.BUSINESS_DAYS || "1,2,3,4,5").split(',').map(d => parseInt(d, 10));
+const BUSINESS_HOURS_START = process.env.BUSINESS_HOURS_START || "09:00";
+const BUSINESS_HOURS_END = process.env.BUSINESS_HOURS_END || "17:00";
 const MAX_ANALYTICS_ENTRIES = 10000; // Prevent memory overflow
 const MAX_LOG_SIZE = 10 * 1024 * 1024; // 10MB
 
@@ -176,6 +323,14 @@ function rotateLogFile(filePath) {
   }
 }
 
+function formatColomboTime(timestamp = Date.now()) {
+  return new Date(timestamp).toLocaleString('en-LK', {
+    timeZone: 'Asia/Colombo',
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+}
+
 // ==================
 // ENHANCED ANALYTICS SYSTEM
 // ==================
@@ -360,158 +515,152 @@ class SmartRateLimiter {
 
 const rateLimiter = new SmartRateLimiter(15, 60000);
 
+// ==================
+// LANGUAGE SUPPORT
+// ==================
+// Replies go out in English, Sinhala or Tamil. Native script is recognised by
+// its Unicode block; English and romanised "Singlish" / "Tanglish" by common
+// words. Text with none of these (e.g. "MF0235 sale 38") keeps the last language.
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  si: 'සිංහල (Sinhala)',
+  ta: 'தமிழ் (Tamil)'
+};
+
+const LANGUAGE_LOCALES = { en: 'en-LK', si: 'si-LK', ta: 'ta-LK' };
+
+const LANGUAGE_ALIASES = {
+  en: ['en', 'eng', 'english', 'ඉංග්‍රීසි', 'ingrisi', 'ஆங்கிலம்', 'angilam'],
+  si: ['si', 'sin', 'sinhala', 'sinhalese', 'singlish', 'සිංහල', 'சிங்களம்'],
+  ta: ['ta', 'tam', 'tamil', 'tanglish', 'දෙමළ', 'demala', 'தமிழ்'],
+  auto: ['auto', 'automatic', 'detect', 'default']
+};
+
+const LANGUAGE_COMMAND_PATTERN = /^\s*(?:language|lang|භාෂාව|bhashawa|basawa|மொழி|mozhi)(?:\s+(.+?))?\s*$/i;
+
+const SINHALA_SCRIPT = /[\u0D80-\u0DFF]/;
+const TAMIL_SCRIPT = /[\u0B80-\u0BFF]/;
+
+const LANGUAGE_MARKERS = {
+  en: [
+    'please', 'need', 'want', 'what', 'how', 'the', 'is', 'are', 'my', 'can', 'could', 'you',
+    'send', 'give', 'show', 'hello', 'thanks', 'thank', 'i', 'me', 'of', 'with', 'about'
+  ],
+  si: [
+    'mata', 'mage', 'oyage', 'oyata', 'kohomada', 'puluwanda', 'puluwan', 'denna', 'dennako',
+    'karanna', 'ekak', 'eka', 'eke', 'thiyenawa', 'tiyenawa', 'thiyanawada', 'ona', 'oney',
+    'mokakda', 'monawada', 'ayubowan', 'isthuthi', 'sthuthi', 'bohoma', 'kiyanna', 'balanna',
+    'hoyala', 'nadda', 'neda', 'ganan', 'mila', 'aluthma', 'kalin', 'pasugiya', 'ginum'
+  ],
+  ta: [
+    'enakku', 'vanakkam', 'venum', 'vendum', 'venam', 'eppadi', 'epdi', 'enna', 'nandri',
+    'ungal', 'unga', 'irukku', 'irukka', 'sollunga', 'kudunga', 'anuppunga', 'pannunga',
+    'paarunga', 'illa', 'romba', 'thevai', 'konjam', 'vilai', 'arikkai', 'kanakku', 'munthaiya'
+  ]
+};
+
+// Mute/unmute words, checked as whole words after the classifier has settled on bot_control
+const BOT_CONTROL_WORDS = {
+  mute: ['stop', 'mute', 'pause', 'disable', 'deactivate', 'නවත්වන්න', 'නතර', 'nawaththanna', 'nawathwanna',
+    'நிறுத்து', 'niruthu', 'niruththu'],
+  unmute: ['unmute', 'activate', 'resume', 'enable', 'start', 'ආරම්භ', 'patan', 'arambha',
+    'தொடங்கு', 'thodangu']
+};
+
+function detectLanguage(text) {
+  if (!text) return null;
+  if (SINHALA_SCRIPT.test(text)) return 'si';
+  if (TAMIL_SCRIPT.test(text)) return 'ta';
+
+  const words = text.toLowerCase().match(/[a-z]+/g) || [];
+  const ranked = Object.entries(LANGUAGE_MARKERS)
+    .map(([language, markers]) => [language, words.filter(word => markers.includes(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+
+  // No markers, or a tie for first place
+  if (ranked[0][1] === 0 || ranked[0][1] === ranked[1][1]) return null;
+  return ranked[0][0];
+}
+
+// Returns 'en' | 'si' | 'ta' | 'auto', or null for anything unrecognised
+function parseLanguageName(value) {
+  const name = value.toLowerCase().trim();
+  for (const [language, aliases] of Object.entries(LANGUAGE_ALIASES)) {
+    if (aliases.includes(name)) return language;
+  }
+  return null;
+}
+
 // ==================
 // ADVANCED NLP CLASSIFIER
 // ==================
 class AdvancedIntentClassifier {
   constructor() {
-    this.tokenizer = new WordTokenizer();
-    this.stemmer = PorterStemmer;
-    this.patterns = this.initializePatterns();
+    // Keyword/regex rules, with the trained Bayes model filling in where they find nothing
+    // (see intentClassifier.js and `npm run evaluate:intents`)
+    this.intents = new HybridIntentClassifier({ threshold: INTENT_MODEL_THRESHOLD });
+    this.retrain();
   }
   
-  initializePatterns() {
-    return {
-      factory_query: {
-        keywords: ['mf', 'factory', 'performance', 'average', 'data', 'details', 'code'],
-        patterns: [
-          /mf\s*[a-z]?\s*\d{3,4}/gi,
-          /factory\s+(code|performance|data|average)/gi,
-          /\b(mf\d{3,4})\b/gi,
-          /\baverage\b.*\bmf\b/gi
-        ],
-        weight: 10
-      },
-      elevation_query: {
-        keywords: ['elevation', 'uh', 'wh', 'high', 'medium', 'low', 'price'],
-        patterns: [
-          /elevation\s+(average|price|rate)/gi,
-          /(uh|wh|high|medium|low)\s+(average|price)/gi,
-          /sale\s+\d+\s+elevation/gi
-        ],
-        weight: 8
-      },
-      market_report: {
-        keywords: ['market', 'report', 'pdf', 'sale', 'document'],
-        patterns: [
-          /market\s+report/gi,
-          /sale\s+\d+\s+report/gi,
-          /pdf\s+report/gi,
-          /report\s+sale/gi
-        ],
-        weight: 9
-      },
-      department_contact: {
-        keywords: ['valuation', 'account', 'technical', 'support', 'it', 'marketing', 'inquiry', 'contact', 'help'],
-        patterns: [
-          /valuation\s+(department|inquiry|report)/gi,
-          /account(s|ing)\s+(department|query|issue)/gi,
-          /(technical|it)\s+support/gi,
-          /marketing\s+(inquiry|department)/gi
-        ],
-        weight: 7
-      },
-      bot_control: {
-        keywords: ['stop', 'mute', 'pause', 'disable', 'enable', 'activate', 'unmute', 'resume', 'bot'],
-        patterns: [
-          /stop\s+(bot|responding|messages)/gi,
-          /mute\s+bot/gi,
-          /disable\s+bot/gi,
-          /pause\s+bot/gi,
-          /unmute\s+bot/gi,
-          /enable\s+bot/gi,
-          /activate\s+bot/gi,
-          /resume\s+bot/gi,
-          /^(stop|mute|pause)$/gi,
-          /^(start|unmute|resume|activate)$/gi
-        ],
-        weight: 10
-      },
-      help: {
-        keywords: ['help', 'menu', 'start', 'options', 'commands'],
-        patterns: [/^help$/i, /^menu$/i, /^start$/i, /what can you do/i],
-        weight: 6
-      },
-      contact: {
-        keywords: ['contact', 'email', 'phone', 'address', 'location'],
-        patterns: [/contact\s+info/i, /email\s+address/i, /phone\s+number/i],
-        weight: 6
-      },
-      status: {
-        keywords: ['status', 'stats', 'statistics', 'analytics'],
-        patterns: [/^status$/i, /^stats$/i, /bot\s+status/i],
-        weight: 5
-      },
-      casual_conversation: {
-        keywords: ['hi', 'hello', 'hey', 'good morning', 'good evening', 'thanks', 'thank you', 'ok', 'okay', 'bye', 'goodbye'],
-        patterns: [
-          /^(hi|hello|hey)$/i,
-          /^good\s+(morning|afternoon|evening|night)$/i,
-          /^(thanks|thank you|thx)$/i,
-          /^(ok|okay|k)$/i,
-          /^(bye|goodbye|see you)$/i
-        ],
-        weight: 3
-      },
-      irrelevant: {
-        keywords: ['vacancy', 'vacancies', 'job', 'hiring', 'career', 'recruitment', 'apply'],
-        patterns: [
-          /any\s+(vacancy|vacancies|job)/gi,
-          /(hiring|recruitment|career)/gi,
-          /looking\s+for\s+job/gi
-        ],
-        weight: 8
-      }
-    };
+  // Seed corpus plus the messages staff have labelled from user feedback
+  retrain() {
+    const samples = loadCorpus([INTENT_CORPUS_FILE, INTENT_LABELS_FILE]);
+    this.intents.train(samples);
+    console.log(`🧠 Intent model trained on ${samples.length} labelled message(s)`);
+    return samples.length;
   }
   
-  classify(text) {
-    if (!text || typeof text !== 'string') return 'general';
-    
-    const cleanText = text.toLowerCase().trim();
-    const tokens = this.tokenizer.tokenize(cleanText);
-    const stems = tokens.map(token => this.stemmer.stem(token));
-    
-    let bestMatch = 'general';
-    let highestScore = 0;
-    
-    for (const [intent, data] of Object.entries(this.patterns)) {
-      let score = 0;
-      
-      // Keyword matching with stemming
-      data.keywords.forEach(keyword => {
-        const stemmedKeyword = this.stemmer.stem(keyword);
-        if (cleanText.includes(keyword)) score += 2;
-        if (stems.includes(stemmedKeyword)) score += 1;
-      });
-      
-      // Pattern matching
-      data.patterns.forEach(pattern => {
-        const matches = cleanText.match(pattern);
-        if (matches) score += matches.length * 3;
-      });
-      
-      // Apply intent weight
-      score *= (data.weight || 1);
-      
-      if (score > highestScore) {
-        highestScore = score;
-        bestMatch = intent;
-      }
-    }
-    
-    return highestScore >= 3 ? bestMatch : 'general';
+  // language: 'si' | 'ta' adds that language's rule sets (detected from the text if omitted)
+  classify(text, language = detectLanguage(text)) {
+    return this.intents.classify(text, language || 'en').intent;
   }
   
+  // Sale numbers, ranges and seasons come from saleExtractor.js
   extractEntities(text) {
     return {
       factory_codes: this.extractFactoryCodes(text),
-      sale_number: this.extractSaleNumber(text),
+      ...extractSaleEntities(text),
       elevation: this.extractElevation(text),
-      department: this.extractDepartment(text)
+      department: this.extractDepartment(text),
+      ticket_id: this.extractTicketId(text),
+      sale_reference: this.extractSaleReference(text),
+      export_format: this.extractExportFormat(text),
+      comparison: this.extractComparison(text)
     };
   }
   
+  // "MF0235 vs MF0777" or "compare Kenilworth and Deniyaya" lines factories up head to head
+  extractComparison(text) {
+    return /\b(vs|versus|against|compare[ds]?|comparison)\b/i.test(text);
+  }
+  
+  // "excel"/"xlsx" or "pdf" on a factory request asks for the report as a file
+  extractExportFormat(text) {
+    const cleanText = text.toLowerCase();
+    if (/\b(excel|xlsx|spreadsheet)\b/.test(cleanText)) return 'xlsx';
+    if (/\bpdf\b/.test(cleanText)) return 'pdf';
+    return null;
+  }
+  
+  extractSaleReference(text) {
+    const cleanText = text.toLowerCase();
+    if (/\b(previous\s+(sale|week)|sale\s+before\s+(last|that)|last\s+week)\b/.test(cleanText) ||
+        /(පසුගිය|කලින්|pasugiya|kalin|முந்தைய|கடந்த|munthaiya)/.test(cleanText)) {
+      return 'previous';
+    }
+    if (/\b(latest|current|this\s+(sale|week)|last\s+sale|most\s+recent|recent)\b/.test(cleanText) ||
+        /(අලුත්ම|නවතම|මේ\s*සතියේ|aluthma|சமீபத்திய|இந்த\s*வார)/.test(cleanText)) {
+      return 'latest';
+    }
+    return null;
+  }
+  
+  extractTicketId(text) {
+    const match = text.match(/\btkt-?(\d{1,5})\b/i);
+    if (!match) return null;
+    return `TKT-${match[1].padStart(5, '0')}`;
+  }
+  
   extractFactoryCodes(text) {
     const matches = text.match(/\b(MF[A-Z]?\s*\d{3,4})\b/gi);
     if (!matches) return [];
@@ -519,25 +668,10 @@ class AdvancedIntentClassifier {
     return [...new Set(codes)].slice(0, 5);
   }
   
-  extractSaleNumber(text) {
-    const matches = text.match(/sale\s*(?:no\.?|number)?\s*(\d{1,3})/gi);
-    if (!matches) return null;
-    
-    const lastMatch = matches[matches.length - 1];
-    const numberMatch = lastMatch.match(/\d+/);
-    if (numberMatch) {
-      let num = parseInt(numberMatch[0]);
-      if (num <= 999) {
-        return num.toString().padStart(3, "0");
-      }
-    }
-    return null;
-  }
-  
   extractElevation(text) {
     const cleanText = text.toLowerCase();
     for (const [key, value] of Object.entries(ELEVATION_MAP)) {
-      if (cleanText.includes(key)) {
+      if (containsTerm(cleanText, key)) {
         return value;
       }
     }
@@ -547,7 +681,7 @@ class AdvancedIntentClassifier {
   extractDepartment(text) {
     const cleanText = text.toLowerCase();
     for (const [key, value] of Object.entries(DEPARTMENT_MAP)) {
-      if (cleanText.includes(key)) {
+      if (containsTerm(cleanText, key)) {
         return value;
       }
     }
@@ -557,6 +691,120 @@ class AdvancedIntentClassifier {
 
 const classifier = new AdvancedIntentClassifier();
 
+// ==================
+// INTENT FEEDBACK
+// ==================
+// A user replying "wrong" / "not what I asked" queues the message the bot
+// misunderstood. Staff label it with the right intent (!review and !label, or
+// the /feedback endpoints) and labelled messages join the training corpus.
+const INTENT_FEEDBACK_PATTERN = /^\s*(?:no[\s,.!]*)?(?:(?:that'?s|that is|this is)\s+)?(?:wrong(?:\s+answer)?|incorrect|not what i (?:asked|meant|wanted)(?:\s+for)?|වැරදියි|වැරදි|waradi(?:yi)?|weradi(?:yi)?|தவறு|thappu|thavaru)\s*[.!]*\s*$/iu;
+
+class IntentFeedbackQueue {
+  constructor() {
+    const data = safeReadJSON(INTENT_FEEDBACK_FILE, { lastNumber: 0, items: {} });
+    this.lastNumber = data.lastNumber || 0;
+    this.items = data.items || {};
+    this.lastClassified = new Map();
+  }
+  
+  save() {
+    safeWriteJSON(INTENT_FEEDBACK_FILE, {
+      lastNumber: this.lastNumber,
+      items: this.items
+    });
+  }
+  
+  // The user's latest classified message, held until they report it or it goes stale
+  remember(userId, { text, intent, entities, language }) {
+    this.lastClassified.set(userId, { text, intent, entities, language, at: Date.now() });
+  }
+  
+  // Queues the user's last classified message; null when there is none recent
+  report(userId) {
+    const last = this.lastClassified.get(userId);
+    if (!last || Date.now() - last.at > CONVERSATION_TTL) return null;
+    
+    this.lastClassified.delete(userId);
+    this.lastNumber++;
+    const id = `FB-${this.lastNumber.toString().padStart(4, '0')}`;
+    
+    const item = {
+      id,
+      userId,
+      text: last.text,
+      predicted: last.intent,
+      entities: last.entities,
+      language: last.language,
+      status: 'pending',
+      label: null,
+      labelledBy: null,
+      reportedAt: Date.now(),
+      labelledAt: null
+    };
+    this.items[id] = item;
+    this.save();
+    
+    console.log(`📝 Feedback ${id}: "${last.text.substring(0, 50)}" was classified as ${last.intent}`);
+    return item;
+  }
+  
+  get(id) {
+    return this.items[String(id).trim().toUpperCase()] || null;
+  }
+  
+  getPending() {
+    return Object.values(this.items)
+      .filter(item => item.status === 'pending')
+      .sort((a, b) => a.reportedAt - b.reportedAt);
+  }
+  
+  // intent: one of INTENTS, or 'skip' to close the item without training on it
+  label(id, intent, labelledBy) {
+    const item = this.get(id);
+    const label = String(intent || '').trim().toLowerCase();
+    
+    if (!item) throw new Error(`No feedback item ${id}`);
+    if (item.status !== 'pending') throw new Error(`${item.id} is already ${item.status}`);
+    if (label !== 'skip' && !INTENTS.includes(label)) {
+      throw new Error(`Unknown intent "${intent}". Use one of: ${INTENTS.join(', ')}, skip`);
+    }
+    
+    if (label !== 'skip') {
+      fs.appendFileSync(INTENT_LABELS_FILE, JSON.stringify({ text: item.text, intent: label, lang: item.language }) + '\n');
+    }
+    
+    item.status = label === 'skip' ? 'dismissed' : 'labelled';
+    item.label = label === 'skip' ? null : label;
+    item.labelledBy = labelledBy;
+    item.labelledAt = Date.now();
+    this.save();
+    
+    console.log(`🏷️ ${item.id} ${item.status}${item.label ? ` as ${item.label}` : ''} by ${labelledBy}`);
+    if (item.label) classifier.retrain();
+    return item;
+  }
+  
+  getStats() {
+    const items = Object.values(this.items);
+    const byPredicted = {};
+    items.filter(item => item.label).forEach(item => {
+      const key = `${item.predicted} → ${item.label}`;
+      byPredicted[key] = (byPredicted[key] || 0) + 1;
+    });
+    
+    return {
+      total: items.length,
+      pending: items.filter(item => item.status === 'pending').length,
+      labelled: items.filter(item => item.status === 'labelled').length,
+      dismissed: items.filter(item => item.status === 'dismissed').length,
+      corrections: byPredicted,
+      queue: this.getPending()
+    };
+  }
+}
+
+const intentFeedback = new IntentFeedbackQueue();
+
 // ==================
 // MESSAGE DEDUPLICATION
 // ==================
@@ -627,8 +875,11 @@ class UserTracker {
         messageCount: 0,
         lastWelcome: null,
         botActive: true,
+        mutedBy: null,
         lastBotResponse: null,
-        ignoredMessages: 0
+        ignoredMessages: 0,
+        language: null,
+        detectedLanguage: null
       };
     }
     
@@ -666,15 +917,55 @@ class UserTracker {
     return this.interactions[userId].botActive !== false;
   }
   
-  setBotActive(userId, active) {
+  // Muted by an admin (!mute): only !unmute lifts it, not the user's own "activate"
+  isAdminMuted(userId) {
+    const user = this.interactions[userId];
+    return Boolean(user) && user.botActive === false && user.mutedBy === 'admin';
+  }
+  
+  // Returns false when a user's own command cannot change an admin mute
+  setBotActive(userId, active, { admin = false } = {}) {
+    if (!admin && this.isAdminMuted(userId)) {
+      return false;
+    }
     if (!this.interactions[userId]) {
       this.recordInteraction(userId);
     }
     this.interactions[userId].botActive = active;
+    this.interactions[userId].mutedBy = active ? null : (admin ? 'admin' : 'user');
     if (active) {
       this.interactions[userId].ignoredMessages = 0;
     }
     this.saveInteractions();
+    return true;
+  }
+  
+  // A pinned language wins; otherwise use the last one recognised in their messages
+  getLanguage(userId) {
+    const user = this.interactions[userId];
+    if (!user) return 'en';
+    return user.language || user.detectedLanguage || 'en';
+  }
+  
+  isLanguagePinned(userId) {
+    return Boolean(this.interactions[userId] && this.interactions[userId].language);
+  }
+  
+  // language: 'en' | 'si' | 'ta', or null to go back to automatic detection
+  setLanguage(userId, language) {
+    if (!this.interactions[userId]) {
+      this.recordInteraction(userId);
+    }
+    this.interactions[userId].language = language;
+    this.saveInteractions();
+  }
+  
+  recordDetectedLanguage(userId, language) {
+    const user = this.interactions[userId];
+    if (!user || !language || user.detectedLanguage === language) return;
+    
+    user.detectedLanguage = language;
+    this.saveInteractions();
   }
   
   recordBotResponse(userId) {
@@ -713,868 +1004,4562 @@ class UserTracker {
 const userTracker = new UserTracker();
 
 // ==================
-// FORWARDED MESSAGES MANAGER
+// CONVERSATION STATE
 // ==================
-class ForwardedMessagesManager {
-  constructor() {
-    this.messages = safeReadJSON(FORWARDED_MESSAGES_FILE, {});
+// Short-lived per-user memory so a request can span several messages:
+// a pending intent waiting for a missing slot, and the last data query
+// for elliptical follow-ups such as "and for sale 38?".
+const DATA_INTENTS = ['factory_query', 'elevation_query', 'market_report'];
+const FOLLOW_UP_PATTERN = /^\s*(and|also|what about|how about|same for|for)\b/i;
+const CANCEL_PATTERN = /^\s*(cancel|never\s*mind|nevermind|forget it|අවලංගු\S*|එපා|epa|ரத்து\S*|வேண்டாம்|vendam)\s*$/i;
+
+class ConversationManager {
+  constructor(ttl = CONVERSATION_TTL) {
+    this.ttl = ttl;
+    this.states = new Map();
+  }
+  
+  get(userId) {
+    const state = this.states.get(userId);
+    if (!state) return null;
+    
+    if (Date.now() - state.updatedAt > this.ttl) {
+      this.states.delete(userId);
+      return null;
+    }
+    return state;
   }
   
-  saveMessages() {
-    safeWriteJSON(FORWARDED_MESSAGES_FILE, this.messages);
+  update(userId, changes) {
+    const state = this.get(userId) || { pending: null, lastQuery: null };
+    this.states.set(userId, { ...state, ...changes, updatedAt: Date.now() });
   }
   
-  addMessage(messageId, data) {
-    this.messages[messageId] = {
-      ...data,
-      timestamp: Date.now()
-    };
-    this.saveMessages();
+  // choices: numbered candidates the user picks from (factory name matches, reports)
+  setPending(userId, intent, entities, slot, choices = null) {
+    this.update(userId, { pending: { intent, entities, slot, choices } });
+  }
+  
+  clearPending(userId) {
+    if (this.get(userId)) {
+      this.update(userId, { pending: null });
+    }
+  }
+  
+  rememberQuery(userId, intent, entities) {
+    this.update(userId, { lastQuery: { intent, entities } });
   }
   
-  findByStaff(staffNumber, originalMessage) {
-    for (const [msgId, data] of Object.entries(this.messages)) {
-      if (data.staffNumber === staffNumber && 
-          data.originalMessage.includes(originalMessage.substring(0, 50))) {
-        return { id: msgId, data };
+  extractSlotValue(slot, text, entities, choices = null) {
+    if (slot === 'factory_codes') {
+      if (entities.factory_codes.length > 0) return entities.factory_codes;
+      if (!choices) return null;
+      
+      // "2", "1 3", "1, 2 and 4" or "all" picks from the numbered list
+      if (/^\s*(all|both|සියල්ල|அனைத்தும்)\s*$/i.test(text)) {
+        return choices.map(choice => choice.code);
       }
+      if (!/^\s*\d{1,2}(\s*(,|&|and|\s)\s*\d{1,2})*\s*$/i.test(text)) return null;
+      
+      const picked = text.match(/\d+/g)
+        .map(n => choices[parseInt(n, 10) - 1])
+        .filter(Boolean)
+        .map(choice => choice.code);
+      return picked.length > 0 ? [...new Set(picked)] : null;
+    }
+    
+    if (slot === 'report_file') {
+      // A number picks from the "reports" list
+      const pick = text.match(/^\s*(\d{1,2})\s*$/);
+      return pick && choices ? choices[parseInt(pick[1], 10) - 1] || null : null;
+    }
+    
+    if (slot === 'sale_number') {
+      if (entities.sale_number) return entities.sale_number;
+      
+      // A bare number ("38", "38/24") is an answer to "which sale?"
+      const bare = text.match(/^\s*(?:no\.?\s*)?(\d{1,3})(?:\s*\/\s*\d{2}|\s*\/?\s*20\d{2})?\s*\??\s*$/i);
+      return bare ? bare[1].padStart(3, '0') : null;
     }
     return null;
   }
   
-  removeMessage(messageId) {
-    if (this.messages[messageId]) {
-      delete this.messages[messageId];
-      this.saveMessages();
-      return true;
+  // Work out what a message means given the earlier turns.
+  // Returns { intent, entities, resolvedFrom } where resolvedFrom is
+  // 'slot', 'context', 'cancelled' or null.
+  resolve(userId, text, intent, entities) {
+    const state = this.get(userId);
+    if (!state) return { intent, entities, resolvedFrom: null };
+    
+    if (state.pending) {
+      const { pending } = state;
+      
+      if (CANCEL_PATTERN.test(text)) {
+        this.clearPending(userId);
+        return { intent, entities, resolvedFrom: 'cancelled' };
+      }
+      
+      let value = this.extractSlotValue(pending.slot, text, entities, pending.choices);
+      if (value) {
+        // Keep the factories that were already resolved alongside the ambiguous one
+        if (pending.slot === 'factory_codes' && pending.choices) {
+          value = [...new Set([...pending.entities.factory_codes, ...value])];
+        }
+        this.clearPending(userId);
+        return {
+          intent: pending.intent,
+          entities: this.mergeEntities(pending.entities, entities, { [pending.slot]: value }),
+          resolvedFrom: 'slot'
+        };
+      }
+      
+      // The user moved on to something else
+      if (intent !== 'general') {
+        this.clearPending(userId);
+      }
     }
-    return false;
+    
+    const { lastQuery } = state;
+    if (lastQuery && DATA_INTENTS.includes(lastQuery.intent)) {
+      const saleNumber = this.extractSlotValue('sale_number', text, entities);
+      const hasEntity = saleNumber || entities.sale_range || entities.sale_year || entities.factory_codes.length > 0 || entities.elevation;
+      
+      if (hasEntity && (FOLLOW_UP_PATTERN.test(text) || intent === 'general')) {
+        return {
+          intent: lastQuery.intent,
+          entities: this.mergeEntities(lastQuery.entities, entities, saleNumber ? { sale_number: saleNumber } : {}),
+          resolvedFrom: 'context'
+        };
+      }
+    }
+    
+    return { intent, entities, resolvedFrom: null };
+  }
+  
+  // Earlier entities, overridden by whatever the new message actually supplied
+  mergeEntities(previous, current, extra = {}) {
+    const merged = { ...previous };
+    for (const [key, value] of Object.entries(current)) {
+      if (Array.isArray(value) ? value.length > 0 : value) {
+        merged[key] = value;
+      }
+    }
+    
+    // A sale number and a sale range are alternatives: the newer one wins
+    if (current.sale_number || extra.sale_number) merged.sale_range = null;
+    if (current.sale_range) merged.sale_number = null;
+    // A year belongs to the sale it came with; a new sale without one is the current season
+    if (current.sale_number || extra.sale_number || current.sale_range) {
+      merged.sale_year = current.sale_year || null;
+    }
+    // A file is only sent when this message asks for one
+    merged.export_format = current.export_format || null;
+    
+    return { ...merged, ...extra };
   }
   
   cleanup() {
     const now = Date.now();
     let cleaned = 0;
     
-    for (const [msgId, data] of Object.entries(this.messages)) {
-      if (now - data.timestamp > FORWARDED_MSG_CLEANUP) {
-        delete this.messages[msgId];
+    for (const [userId, state] of this.states.entries()) {
+      if (now - state.updatedAt > this.ttl) {
+        this.states.delete(userId);
         cleaned++;
       }
     }
     
     if (cleaned > 0) {
-      this.saveMessages();
-      console.log(`🧹 Cleaned ${cleaned} old forwarded messages`);
+      console.log(`🧹 Cleaned ${cleaned} conversation states`);
     }
   }
 }
 
-const forwardedMessages = new ForwardedMessagesManager();
+const conversations = new ConversationManager();
 
 // ==================
-// LOGGING UTILITIES
+// TICKETING
 // ==================
-function logRequest(userId, intent, success, responseTime) {
-  try {
-    rotateLogFile(REQUEST_LOG_FILE);
-    const maskedUserId = userId.replace(/\d{8}/, '****');
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      userId: maskedUserId,
-      intent,
-      success,
-      responseTime: responseTime + 'ms'
-    };
-    fs.appendFileSync(REQUEST_LOG_FILE, JSON.stringify(logEntry) + '\n');
-  } catch (error) {
-    // Silent fail for logging
-  }
-}
+// Every department inquiry becomes a ticket that lives until it is closed.
+// History entries: { direction: 'inbound' | 'outbound', from, name, text, timestamp }
+// Refs are the transport message IDs the bot sent for a ticket ({ messageId, to }),
+// so a quoted reply from either side can be traced back to its ticket.
+const TICKET_STATUS_LABELS = {
+  open: '🟡 Open - waiting for our team',
+  queued: '🌙 Queued - will be sent when our office opens',
+  claimed: '🔵 Being handled',
+  answered: '🟢 Answered',
+  closed: '⚪ Closed'
+};
 
-function logError(error, context = '') {
-  try {
-    rotateLogFile(ERROR_LOG_FILE);
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      error: error.message,
-      stack: error.stack,
-      context
-    };
-    fs.appendFileSync(ERROR_LOG_FILE, JSON.stringify(logEntry) + '\n');
-  } catch (err) {
-    // Silent fail for logging
+class TicketManager {
+  constructor() {
+    const data = safeReadJSON(TICKETS_FILE, { lastNumber: 0, tickets: {} });
+    this.lastNumber = data.lastNumber || 0;
+    this.tickets = data.tickets || {};
   }
-}
-
-// ==================
-// WHATSAPP CLIENT SETUP (IMPROVED FOR RAILWAY)
-// ==================
-const client = new Client({
-  authStrategy: new LocalAuth({
-    dataPath: path.join(DATA_DIR, '.wwebjs_auth')
-  }),
-  puppeteer: {
-    headless: true,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--no-first-run',
-      '--no-zygote',
-      '--single-process', // Important for Railway
-      '--disable-gpu',
-      '--disable-web-security',
-      '--disable-features=IsolateOrigins,site-per-process'
-    ],
-    timeout: 60000
-  },
-  webVersionCache: {
-    type: 'remote',
-    remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html'
+  
+  saveTickets() {
+    safeWriteJSON(TICKETS_FILE, {
+      lastNumber: this.lastNumber,
+      tickets: this.tickets
+    });
   }
-});
-
-let isClientReady = false;
-
-client.on("qr", (qr) => {
-  console.log("\n📱 SCAN THIS QR CODE WITH WHATSAPP:\n");
-  qrcode.generate(qr, { small: true });
-  console.log("\n⚠️ QR Code will expire in 60 seconds\n");
-  console.log("💡 Tip: For Railway deployment, scan during initial setup\n");
-});
-
-client.on("ready", async () => {
-  isClientReady = true;
-  console.log("\n" + "═".repeat(60));
-  console.log("✅ WHATSAPP BOT IS READY!");
-  console.log("🏢 Mercantile Produce Brokers - Tea Brokering Assistant");
-  console.log("═".repeat(60) + "\n");
   
-  await verifyAllSheets();
+  createTicket({ department, clientNumber, clientName, text }) {
+    this.lastNumber++;
+    const now = Date.now();
+    const id = `TKT-${this.lastNumber.toString().padStart(5, '0')}`;
+    
+    const ticket = {
+      id,
+      messageId: `msg_${now}_${crypto.randomBytes(4).toString('hex')}`,
+      department,
+      clientNumber,
+      clientName,
+      status: 'open',
+      assignedTo: null,
+      recipients: [],
+      refs: [],
+      escalations: [],
+      queued: false,
+      forwardedAt: null,
+      history: [{
+        direction: 'inbound',
+        from: clientNumber,
+        name: clientName,
+        text,
+        timestamp: now
+      }],
+      createdAt: now,
+      updatedAt: now,
+      claimedAt: null,
+      firstResponseAt: null,
+      closedAt: null
+    };
+    
+    this.tickets[id] = ticket;
+    this.saveTickets();
+    return ticket;
+  }
   
-  console.log("🚀 ACTIVE FEATURES:");
-  console.log("   ✓ Advanced NLP Intent Classification");
-  console.log("   ✓ Real-time Analytics & Tracking");
-  console.log("   ✓ Smart Rate Limiting (15 req/min)");
-  console.log("   ✓ Message Deduplication");
-  console.log("   ✓ Department Forwarding System");
-  console.log("   ✓ Auto-reply to Staff Responses");
-  console.log("   ✓ Factory Performance Reports");
-  console.log("   ✓ Elevation Averages");
-  console.log("   ✓ Market Report Downloads");
-  console.log("   ✓ Health Monitoring API");
-  console.log("   ✓ Persistent Data Storage\n");
+  // Drop a ticket that could not be delivered to anyone
+  discardTicket(ticketId) {
+    if (this.tickets[ticketId]) {
+      delete this.tickets[ticketId];
+      this.saveTickets();
+    }
+  }
   
-  const stats = analytics.getStats();
-  console.log("📊 CURRENT STATISTICS:");
-  console.log(`   - Total Messages: ${stats.total_messages}`);
-  console.log(`   - Unique Users: ${stats.unique_users}`);
-  console.log(`   - Success Rate: ${100 - parseFloat(stats.error_rate)}%`);
-  console.log(`   - Uptime: ${stats.uptime}\n`);
+  getTicket(ticketId) {
+    return this.tickets[ticketId.toUpperCase()] || null;
+  }
   
-  console.log("═".repeat(60) + "\n");
+  addRecipient(ticketId, member) {
+    const ticket = this.tickets[ticketId];
+    if (!ticket) return;
+    
+    ticket.recipients.push({
+      name: member.name,
+      number: member.number,
+      forwardedAt: Date.now()
+    });
+    this.saveTickets();
+  }
   
-  updateHealthStatus();
-});
-
-client.on("auth_failure", (msg) => {
-  console.error("❌ Authentication failed:", msg);
-  logError(new Error("Authentication failure"), "WhatsApp Auth");
-});
-
-client.on("disconnected", (reason) => {
-  isClientReady = false;
-  console.log("⚠️ Client disconnected:", reason);
-  logError(new Error(`Disconnected: ${reason}`), "WhatsApp Connection");
+  addRef(ticketId, messageId, to) {
+    const ticket = this.tickets[ticketId];
+    if (!ticket || !messageId) return;
+    
+    ticket.refs.push({ messageId, to });
+    this.saveTickets();
+  }
   
-  // Auto-reconnect after 5 seconds
-  setTimeout(() => {
-    console.log("🔄 Attempting to reconnect...");
-    client.initialize();
-  }, 5000);
-});
-
-// Initialize client
-client.initialize().catch(err => {
-  console.error("❌ Failed to initialize client:", err);
-  logError(err, "Client Initialization");
-});
-
-// ==================
-// GOOGLE API SETUP (SECURE)
-// ==================
-const auth = new google.auth.JWT({
-  email: process.env.GOOGLE_CLIENT_EMAIL,
-  key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-  scopes: [
-    "https://www.googleapis.com/auth/drive.readonly",
-    "https://www.googleapis.com/auth/spreadsheets.readonly",
-  ],
-});
-
-const drive = google.drive({ version: "v3", auth });
-const sheets = google.sheets({ version: "v4", auth });
-
-// Environment variables
-const SHEET_ID = process.env.SHEET_ID;
-const FACTORY_SHEET_ID = process.env.FACTORY_SHEET_ID;
-const STAFF_SHEET_ID = process.env.STAFF_SHEET_ID;
-const ELEVATION_AVG_SHEET_ID = process.env.ELEVATION_AVG_SHEET_ID;
-const DRIVE_FOLDER_ID = process.env.DRIVE_FOLDER_ID;
-
-const SHEET_NAME = process.env.SHEET_NAME || "Sheet1";
-const FACTORY_SHEET_NAME = process.env.FACTORY_SHEET_NAME || "WES";
-const STAFF_SHEET_NAME = process.env.STAFF_SHEET_NAME || "SF01";
-const ELEVATION_AVG_SHEET_NAME = process.env.ELEVATION_AVG_SHEET_NAME || "Sheet1";
-
-// Staff directory cache
-let staffDirectory = null;
-let lastStaffFetch = 0;
-
-// ==================
-// VERIFICATION
-// ==================
-async function verifyAllSheets() {
-  console.log("🔍 Verifying Google Sheets & Drive access...\n");
-
-  const sheetsToVerify = [
-    { id: SHEET_ID, name: "Elevation Averages", tab: SHEET_NAME },
-    { id: FACTORY_SHEET_ID, name: "Factory Performance", tab: FACTORY_SHEET_NAME },
-    { id: STAFF_SHEET_ID, name: "Staff Directory", tab: STAFF_SHEET_NAME },
-    { id: ELEVATION_AVG_SHEET_ID, name: "Elevation Data", tab: ELEVATION_AVG_SHEET_NAME },
-  ];
-
-  for (const sheet of sheetsToVerify) {
-    try {
-      const response = await sheets.spreadsheets.get({
-        spreadsheetId: sheet.id,
-        includeGridData: false,
-      });
-      
-      const sheetExists = response.data.sheets.some(
-        s => s.properties.title === sheet.tab
-      );
-
-      if (sheetExists) {
-        console.log(`✅ ${sheet.name}: Found "${sheet.tab}"`);
-      } else {
-        console.log(`⚠️  ${sheet.name}: Tab "${sheet.tab}" not found`);
-      }
-    } catch (err) {
-      console.error(`❌ ${sheet.name}: Failed - ${err.message}`);
-      console.log(`   Share with: ${process.env.GOOGLE_CLIENT_EMAIL}`);
+  findByMessageId(messageId) {
+    return Object.values(this.tickets).find(ticket => ticket.messageId === messageId) || null;
+  }
+  
+  findByRef(messageId, to) {
+    if (!messageId) return null;
+    return Object.values(this.tickets).find(ticket =>
+      ticket.refs.some(ref => ref.messageId === messageId && ref.to === to)
+    ) || null;
+  }
+  
+  // Match a quoted staff reply by the forward's transport ID, then by the
+  // msg_ ID printed in the forward text. Closed tickets are returned too so
+  // the caller can tell the staff member.
+  findForStaffReply(staffNumber, quotedMsg) {
+    const byRef = this.findByRef(quotedMsg.id, staffNumber);
+    if (byRef) return byRef;
+    
+    const match = (quotedMsg.body || '').match(/\bmsg_\d+_[0-9a-f]{8}\b/);
+    if (!match) return null;
+    
+    const ticket = this.findByMessageId(match[0]);
+    if (ticket && ticket.recipients.some(r => r.number === staffNumber)) {
+      return ticket;
     }
+    return null;
   }
-
-  // Verify Drive folder
-  try {
-    const folder = await drive.files.get({
-      fileId: DRIVE_FOLDER_ID,
-      fields: "id, name, mimeType",
+  
+  findActiveForClient(clientNumber) {
+    return this.findByClient(clientNumber).find(ticket => ticket.status !== 'closed') || null;
+  }
+  
+  findByClient(clientNumber) {
+    return Object.values(this.tickets)
+      .filter(ticket => ticket.clientNumber === clientNumber)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+  
+  addMessage(ticketId, entry) {
+    const ticket = this.tickets[ticketId];
+    if (!ticket) return null;
+    
+    ticket.history.push({ ...entry, timestamp: Date.now() });
+    ticket.updatedAt = Date.now();
+    this.saveTickets();
+    return ticket;
+  }
+  
+  recordClientMessage(ticketId, name, text) {
+    const ticket = this.addMessage(ticketId, {
+      direction: 'inbound',
+      from: this.tickets[ticketId] ? this.tickets[ticketId].clientNumber : null,
+      name,
+      text
     });
-    console.log(`✅ Drive Folder: "${folder.data.name}"`);
-  } catch (err) {
-    console.error(`❌ Drive Folder: Failed - ${err.message}`);
-    console.log(`   Share with: ${process.env.GOOGLE_CLIENT_EMAIL}`);
+    if (!ticket) return null;
+    
+    // Back to waiting on staff, but keep the assignee
+    if (ticket.assignedTo) {
+      ticket.status = 'claimed';
+      this.saveTickets();
+    }
+    return ticket;
   }
-
-  console.log("\n" + "─".repeat(60) + "\n");
-}
-
-// ==================
-// STAFF DIRECTORY
-// ==================
-async function fetchStaffDirectory() {
-  const now = Date.now();
-  if (staffDirectory && (now - lastStaffFetch) < CACHE_DURATION) {
-    return staffDirectory;
+  
+  // First responder takes the ticket; returns false if someone else already has it
+  claimTicket(ticketId, staff) {
+    const ticket = this.tickets[ticketId];
+    if (!ticket) return false;
+    if (ticket.assignedTo) return ticket.assignedTo.number === staff.number;
+    
+    ticket.assignedTo = { name: staff.name, number: staff.number };
+    ticket.claimedAt = Date.now();
+    ticket.updatedAt = ticket.claimedAt;
+    if (ticket.status === 'open') {
+      ticket.status = 'claimed';
+    }
+    this.saveTickets();
+    return true;
   }
-
-  try {
-    const res = await sheets.spreadsheets.values.get({
-      spreadsheetId: STAFF_SHEET_ID,
-      range: `${STAFF_SHEET_NAME}!A:C`,
+  
+  recordHeldReply(ticketId, staff, text) {
+    const ticket = this.tickets[ticketId];
+    if (!ticket) return;
+    
+    if (!ticket.heldReplies) {
+      ticket.heldReplies = [];
+    }
+    ticket.heldReplies.push({ from: staff.number, name: staff.name, text, timestamp: Date.now() });
+    this.saveTickets();
+  }
+  
+  recordStaffReply(ticketId, staff, text) {
+    const ticket = this.addMessage(ticketId, {
+      direction: 'outbound',
+      from: staff.number,
+      name: staff.name,
+      text
     });
-
-    const rows = res.data.values;
-    if (!rows || rows.length <= 1) {
-      console.error("❌ No staff data found");
-      return {};
+    if (!ticket) return null;
+    
+    if (!ticket.assignedTo) {
+      ticket.assignedTo = { name: staff.name, number: staff.number };
     }
-
-    const directory = {};
+    if (!ticket.firstResponseAt) {
+      ticket.firstResponseAt = ticket.updatedAt;
+    }
+    ticket.status = 'answered';
+    this.saveTickets();
+    return ticket;
+  }
+  
+  closeTicket(ticketId) {
+    const ticket = this.tickets[ticketId];
+    if (!ticket || ticket.status === 'closed') return false;
     
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      if (!row || row.length < 2) continue;
-      
-      const [department, number, name] = row;
-      if (!department || !number) continue;
-      
-      const dept = department.toLowerCase().trim();
-      if (!directory[dept]) {
-        directory[dept] = [];
+    ticket.status = 'closed';
+    ticket.closedAt = Date.now();
+    ticket.updatedAt = ticket.closedAt;
+    this.saveTickets();
+    return true;
+  }
+  
+  queueTicket(ticketId) {
+    const ticket = this.tickets[ticketId];
+    if (!ticket) return;
+    
+    ticket.queued = true;
+    this.saveTickets();
+  }
+  
+  markForwarded(ticketId) {
+    const ticket = this.tickets[ticketId];
+    if (!ticket) return;
+    
+    ticket.queued = false;
+    ticket.forwardedAt = Date.now();
+    this.saveTickets();
+  }
+  
+  getQueued() {
+    return Object.values(this.tickets)
+      .filter(ticket => ticket.queued && ticket.status !== 'closed')
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+  
+  // Delivered tickets still waiting for a first staff response
+  getUnanswered() {
+    return Object.values(this.tickets).filter(ticket =>
+      ticket.status !== 'closed' && !ticket.queued && !ticket.firstResponseAt
+    );
+  }
+  
+  recordEscalation(ticketId, action, notified) {
+    const ticket = this.tickets[ticketId];
+    if (!ticket) return;
+    
+    if (!ticket.escalations) {
+      ticket.escalations = [];
+    }
+    ticket.escalations.push({ action, notified, timestamp: Date.now() });
+    this.saveTickets();
+  }
+  
+  countOpen() {
+    return Object.values(this.tickets).filter(t => t.status !== 'closed').length;
+  }
+  
+  // Close answered tickets that went quiet, and forget long-closed ones
+  cleanup() {
+    const now = Date.now();
+    let closed = 0;
+    let removed = 0;
+    
+    for (const [ticketId, ticket] of Object.entries(this.tickets)) {
+      if (ticket.status === 'answered' && now - ticket.updatedAt > TICKET_AUTO_CLOSE) {
+        ticket.status = 'closed';
+        ticket.closedAt = now;
+        closed++;
+      } else if (ticket.status === 'closed' && now - ticket.closedAt > TICKET_RETENTION) {
+        delete this.tickets[ticketId];
+        removed++;
+      }
+    }
+    
+    if (closed > 0 || removed > 0) {
+      this.saveTickets();
+      console.log(`🧹 Tickets: ${closed} auto-closed, ${removed} removed`);
+    }
+  }
+  
+  getStats() {
+    const byDepartment = {};
+    
+    for (const ticket of Object.values(this.tickets)) {
+      const dept = ticket.department;
+      if (!byDepartment[dept]) {
+        byDepartment[dept] = {
+          total: 0,
+          open: 0,
+          claimed: 0,
+          answered: 0,
+          closed: 0,
+          never_answered: 0,
+          escalated: 0,
+          response_times: []
+        };
       }
       
-      let cleanNumber = number.toString().trim();
+      const stats = byDepartment[dept];
+      stats.total++;
+      stats[ticket.status]++;
       
-      // Format phone number
-      if (cleanNumber.includes('@c.us')) {
-        cleanNumber = cleanNumber.replace(/\s+/g, '');
-      } else {
-        const digitsOnly = cleanNumber.replace(/\D/g, '');
-        if (digitsOnly.length > 0) {
-          cleanNumber = digitsOnly + '@c.us';
-        } else {
-          continue;
-        }
+      if ((ticket.escalations || []).some(e => e.action === 'escalate')) {
+        stats.escalated++;
       }
       
-      // Validate phone format
-      if (!/^\d+@c\.us$/.test(cleanNumber)) {
-        console.warn(`⚠️ Invalid phone format for ${name}: ${cleanNumber}`);
-        continue;
+      if (ticket.firstResponseAt) {
+        stats.response_times.push(ticket.firstResponseAt - ticket.createdAt);
+      } else {
+        stats.never_answered++;
       }
-      
-      directory[dept].push({
-        name: name ? name.toString().trim() : "Staff Member",
-        number: cleanNumber
-      });
     }
-
-    staffDirectory = directory;
-    lastStaffFetch = now;
     
-    console.log("✅ Staff directory loaded:");
-    Object.entries(directory).forEach(([dept, staff]) => {
-      console.log(`   - ${dept}: ${staff.length} member(s)`);
-    });
+    for (const stats of Object.values(byDepartment)) {
+      const times = stats.response_times;
+      stats.avg_first_response = times.length > 0
+        ? `${Math.round(times.reduce((a, b) => a + b, 0) / times.length / 60000)} min`
+        : 'n/a';
+      delete stats.response_times;
+    }
     
-    return directory;
-  } catch (err) {
-    console.error("❌ Error fetching staff directory:", err.message);
-    logError(err, "fetchStaffDirectory");
-    return {};
+    return {
+      total_tickets: Object.keys(this.tickets).length,
+      open_tickets: this.countOpen(),
+      by_department: byDepartment
+    };
   }
 }
 
+const tickets = new TicketManager();
+
 // ==================
-// DEPARTMENT ROUTING
+// BUSINESS HOURS & HOLIDAYS
 // ==================
-async function routeToDepartment(msg, department, originalMessage, clientNumber) {
-  const directory = await fetchStaffDirectory();
-  const dept = department.toLowerCase();
-  
-  if (!directory[dept] || directory[dept].length === 0) {
-    console.error(`⚠️ No staff found for department: ${department}`);
-    return false;
-  }
-
-  const staff = directory[dept];
-  const senderName = msg._data.notifyName || msg._data.pushname || "Client";
-  const senderNumber = msg.from.replace('@c.us', '');
-  const messageId = `msg_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-  
-  const forwardMessage = `
-🔔 *NEW ${department.toUpperCase()} REQUEST*
-${"═".repeat(42)}
-
-👤 *Client:* ${senderName}
-📱 *Number:* +${senderNumber}
-🕐 *Time:* ${new Date().toLocaleString('en-LK', { 
-    timeZone: 'Asia/Colombo',
-    dateStyle: 'medium',
-    timeStyle: 'short'
-  })}
-🆔 *Message ID:* ${messageId}
-
-${"─".repeat(42)}
-💬 *Message:*
-${originalMessage}
-${"═".repeat(42)}
+// Sri Lanka has no daylight saving, so Colombo time is always UTC+05:30.
+// Holidays file: [{ "date": "2026-01-03", "name": "Duruthu Full Moon Poya Day" }, ...]
+// or { "2026-01-03": "Duruthu Full Moon Poya Day", ... }. calendar/holidays.json
+// ships the year's Government Gazette list and needs the next year's added each December.
+const COLOMBO_UTC_OFFSET = 330 * 60 * 1000;
+const ONE_DAY = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function parseClockTime(value) {
+  const [hours, minutes] = value.split(':').map(n => parseInt(n, 10));
+  return (hours * 60 + (minutes || 0)) * 60 * 1000;
+}
 
-⚡ Reply to this message to send a response to the client.
-  `.trim();
+function formatClockTime(offset) {
+  const totalMinutes = Math.round(offset / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${minutes.toString().padStart(2, '0')} ${suffix}`;
+}
 
-  let successCount = 0;
+class BusinessCalendar {
+  constructor({ days, start, end, holidaysFile }) {
+    this.days = days;
+    this.start = parseClockTime(start);
+    this.end = parseClockTime(end);
+    this.holidaysFile = holidaysFile;
+    this.holidays = {};
+    this.lastHolidayLoad = 0;
+  }
   
-  for (const member of staff) {
-    try {
-      await client.sendMessage(member.number, forwardMessage);
-      
-      forwardedMessages.addMessage(messageId, {
-        clientNumber: msg.from,
-        staffNumber: member.number,
-        staffName: member.name,
-        department: department,
-        clientName: senderName,
-        originalMessage: originalMessage
-      });
-      
-      console.log(`✅ Forwarded to ${member.name} (${department}) - ID: ${messageId}`);
-      successCount++;
-    } catch (err) {
-      console.error(`❌ Failed to forward to ${member.name}:`, err.message);
-      logError(err, `routeToDepartment - ${member.name}`);
+  getHolidays() {
+    const now = Date.now();
+    if (now - this.lastHolidayLoad < CACHE_DURATION) {
+      return this.holidays;
     }
-  }
-
-  return successCount > 0;
-}
-
-// ==================
-// STAFF REPLY PROCESSING
-// ==================
-async function processStaffReply(msg) {
-  const staffNumber = msg.from;
-  const replyText = msg.body;
+    
+    const data = safeReadJSON(this.holidaysFile, []);
+    const holidays = {};
+    
+    if (Array.isArray(data)) {
+      data.forEach(h => {
+        if (h && h.date) holidays[h.date] = h.name || 'Public Holiday';
+      });
+    } else {
+      Object.assign(holidays, data);
+    }
+    
+    this.holidays = holidays;
+    this.lastHolidayLoad = now;
+    return holidays;
+  }
   
-  if (!msg.hasQuotedMsg) {
-    return false;
+  // UTC timestamp of Colombo midnight for the day containing `timestamp`
+  colomboMidnight(timestamp) {
+    return Math.floor((timestamp + COLOMBO_UTC_OFFSET) / ONE_DAY) * ONE_DAY - COLOMBO_UTC_OFFSET;
   }
-
-  try {
-    const quotedMsg = await msg.getQuotedMessage();
-    const quotedText = quotedMsg.body;
-    
-    // Find matching forwarded message
-    let matchedMessageId = null;
-    for (const [msgId, msgData] of Object.entries(forwardedMessages.messages)) {
-      if (msgData.staffNumber === staffNumber && 
-          quotedText.includes(msgData.originalMessage.substring(0, 50))) {
-        matchedMessageId = msgId;
-        break;
+  
+  dateKey(midnight) {
+    return new Date(midnight + COLOMBO_UTC_OFFSET).toISOString().slice(0, 10);
+  }
+  
+  // Holidays listed for the Colombo year containing `timestamp`
+  countHolidays(timestamp = Date.now()) {
+    const year = this.dateKey(this.colomboMidnight(timestamp)).slice(0, 4);
+    return Object.keys(this.getHolidays()).filter(date => date.startsWith(year)).length;
+  }
+  
+  getHoliday(timestamp = Date.now()) {
+    return this.getHolidays()[this.dateKey(this.colomboMidnight(timestamp))] || null;
+  }
+  
+  isWorkingDay(midnight) {
+    const weekday = new Date(midnight + COLOMBO_UTC_OFFSET).getUTCDay();
+    return this.days.includes(weekday) && !this.getHolidays()[this.dateKey(midnight)];
+  }
+  
+  isOpen(timestamp = Date.now()) {
+    const midnight = this.colomboMidnight(timestamp);
+    if (!this.isWorkingDay(midnight)) return false;
+    
+    const offset = timestamp - midnight;
+    return offset >= this.start && offset < this.end;
+  }
+  
+  nextOpening(timestamp = Date.now()) {
+    const midnight = this.colomboMidnight(timestamp);
+    
+    for (let i = 0; i < 60; i++) {
+      const day = midnight + i * ONE_DAY;
+      if (!this.isWorkingDay(day)) continue;
+      
+      if (timestamp < day + this.end) {
+        return Math.max(timestamp, day + this.start);
       }
     }
+    return null;
+  }
+  
+  // Working time elapsed between two timestamps, for SLA clocks
+  businessTimeBetween(from, to) {
+    let total = 0;
     
-    if (!matchedMessageId) {
-      return false;
+    for (let day = this.colomboMidnight(from); day < to; day += ONE_DAY) {
+      if (!this.isWorkingDay(day)) continue;
+      
+      const open = Math.max(from, day + this.start);
+      const close = Math.min(to, day + this.end);
+      if (close > open) total += close - open;
     }
-
-    const originalData = forwardedMessages.messages[matchedMessageId];
-    const clientNumber = originalData.clientNumber;
+    return total;
+  }
+  
+  describeHours(language = 'en') {
+    const sorted = [...this.days].sort((a, b) => a - b);
+    const contiguous = sorted.every((d, i) => i === 0 || d === sorted[i - 1] + 1);
+    const dayName = day => language === 'en'
+      ? WEEKDAY_NAMES[day]
+      // 7 Jan 2024 was a Sunday
+      : new Date(Date.UTC(2024, 0, 7 + day)).toLocaleString(LANGUAGE_LOCALES[language], { weekday: 'short', timeZone: 'UTC' });
+    const dayLabel = contiguous && sorted.length > 1
+      ? `${dayName(sorted[0])}-${dayName(sorted[sorted.length - 1])}`
+      : sorted.map(dayName).join(', ');
     
-    const clientReply = `
-✅ *RESPONSE FROM ${originalData.department.toUpperCase()} DEPARTMENT*
-${"═".repeat(42)}
+    return `${dayLabel}: ${formatClockTime(this.start)} - ${formatClockTime(this.end)}`;
+  }
+  
+  formatOpening(timestamp, language = 'en') {
+    return new Date(timestamp).toLocaleString(LANGUAGE_LOCALES[language] || 'en-LK', {
+      timeZone: 'Asia/Colombo',
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  }
+}
 
-👤 *From:* ${originalData.staffName}
-🕐 *Time:* ${new Date().toLocaleString('en-LK', { 
-    timeZone: 'Asia/Colombo',
-    dateStyle: 'medium',
-    timeStyle: 'short'
-  })}
+const businessCalendar = new BusinessCalendar({
+  days: BUSINESS_DAYS,
+  start: BUSINESS_HOURS_START,
+  end: BUSINESS_HOURS_END,
+  holidaysFile: HOLIDAYS_FILE
+});
 
-${"─".repeat(42)}
-💬 *Response:*
-${replyText}
-${"═".repeat(42)}
+// ==================
+// LOGGING UTILITIES
+// ==================
+function logRequest(userId, intent, success, responseTime) {
+  try {
+    rotateLogFile(REQUEST_LOG_FILE);
+    const maskedUserId = userId.replace(/\d{8}/, '****');
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      userId: maskedUserId,
+      intent,
+      success,
+      responseTime: responseTime + 'ms'
+    };
+    fs.appendFileSync(REQUEST_LOG_FILE, JSON.stringify(logEntry) + '\n');
+  } catch (error) {
+    // Silent fail for logging
+  }
+}
 
-Thank you for using Mercantile Produce Brokers!
-    `.trim();
-    
-    await client.sendMessage(clientNumber, clientReply);
-    console.log(`✅ Reply sent to client from ${originalData.staffName}`);
-    
-    forwardedMessages.removeMessage(matchedMessageId);
-    
-    return true;
+function logError(error, context = '') {
+  try {
+    rotateLogFile(ERROR_LOG_FILE);
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      error: error.message,
+      stack: error.stack,
+      context
+    };
+    fs.appendFileSync(ERROR_LOG_FILE, JSON.stringify(logEntry) + '\n');
   } catch (err) {
-    console.error(`❌ Failed to process staff reply:`, err.message);
-    logError(err, "processStaffReply");
-    return false;
+    // Silent fail for logging
   }
 }
 
 // ==================
-// FACTORY DATA
+// TRANSPORTS
 // ==================
-async function fetchFactoryData(factoryCodes, saleNo) {
-  try {
-    const res = await sheets.spreadsheets.values.get({
-      spreadsheetId: FACTORY_SHEET_ID,
-      range: `${FACTORY_SHEET_NAME}!A:N`,
-    });
+// A transport delivers incoming messages to the handler and carries the bot's
+// replies back out. Incoming messages are normalized to:
+//   { id, from, body, timestamp, fromMe, senderName, hasQuotedMsg }
+// Media is described as { filePath, filename? } or { mimetype, data (base64), filename }.
+const TERMINAL_DEFAULT_NUMBER = process.env.TERMINAL_DEFAULT_NUMBER || "94770000000";
+
+function toChatId(number) {
+  const value = number.toString().trim();
+  if (value.includes('@')) return value;
+  return value.replace(/\D/g, '') + '@c.us';
+}
 
-    const rows = res.data.values;
-    if (!rows || rows.length === 0) {
-      console.error("❌ No factory data found");
-      return null;
-    }
+function toMessageMedia(media) {
+  if (media.filePath) {
+    const messageMedia = MessageMedia.fromFilePath(media.filePath);
+    if (media.filename) messageMedia.filename = media.filename;
+    return messageMedia;
+  }
+  return new MessageMedia(media.mimetype, media.data, media.filename);
+}
 
-    // Find header row
-    let headerRowIndex = 0;
-    let headers = [];
-    
-    for (let i = 0; i < Math.min(5, rows.length); i++) {
-      const row = rows[i];
-      if (row && row.some(cell => cell && 
-          (cell.toString().toUpperCase().includes("YEAR") || 
-           cell.toString().toUpperCase().includes("SALENO") || 
-           cell.toString().toUpperCase().includes("FCODE")))) {
-        headerRowIndex = i;
-        headers = row.map(h => h ? h.toString().toUpperCase().trim() : "");
-        break;
+class WhatsAppTransport {
+  constructor() {
+    this.type = 'whatsapp';
+    this.label = 'WhatsApp';
+    this.ready = false;
+    this.client = new Client({
+      authStrategy: new LocalAuth({
+        dataPath: path.join(DATA_DIR, '.wwebjs_auth')
+      }),
+      puppeteer: {
+        headless: true,
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--no-zygote',
+          '--single-process', // Important for Railway
+          '--disable-gpu',
+          '--disable-web-security',
+          '--disable-features=IsolateOrigins,site-per-process'
+        ],
+        timeout: 60000
+      },
+      webVersionCache: {
+        type: 'remote',
+        remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html'
       }
-    }
-
-    if (headers.length === 0) {
-      console.error("❌ Header row not found");
-      return null;
-    }
+    });
 
-    // Map column indices
-    const salenoIndex = headers.findIndex(h => h.includes("SALENO") || (h.includes("SALE") && h.length < 10));
-    const elevationIndex = headers.findIndex(h => h === "ELEVATION");
-    const factoryIndex = headers.findIndex(h => h === "FACTORY");
-    const fcodeIndex = headers.findIndex(h => h === "FCODE");
-    const wqtyIndex = headers.findIndex(h => h === "WQTY");
-    const wavgIndex = headers.findIndex(h => h === "WAVG");
-    const mqtyIndex = headers.findIndex(h => h === "MQTY");
-    const mavgIndex = headers.findIndex(h => h === "MAVG");
-    const yqtyIndex = headers.findIndex(h => h === "YQTY");
-    const yavgIndex = headers.findIndex(h => h === "YAVG");
-    const wrankIndex = headers.findIndex(h => h === "WRANK");
-    const mrankIndex = headers.findIndex(h => h === "MRANK");
-    const yrankIndex = headers.findIndex(h => h === "YRANK");
+    this.client.on("qr", (qr) => {
+      console.log("\n📱 SCAN THIS QR CODE WITH WHATSAPP:\n");
+      qrcode.generate(qr, { small: true });
+      console.log("\n⚠️ QR Code will expire in 60 seconds\n");
+      console.log("💡 Tip: For Railway deployment, scan during initial setup\n");
+    });
 
-    if (fcodeIndex === -1) {
-      console.error("❌ FCODE column not found");
-      return null;
-    }
+    this.client.on("auth_failure", (msg) => {
+      console.error("❌ Authentication failed:", msg);
+      logError(new Error("Authentication failure"), "WhatsApp Auth");
+    });
 
-    const factoryData = [];
-    const normalizedSearchCodes = factoryCodes.map(code => 
-      code.replace(/\s+/g, '').toUpperCase()
-    );
-    
-    for (let i = headerRowIndex + 1; i < rows.length; i++) {
-      const row = rows[i];
-      if (!row || row.length === 0) continue;
-      
-      const fcode = row[fcodeIndex] ? row[fcodeIndex].toString().trim() : "";
-      if (!fcode) continue;
+    this.client.on("disconnected", (reason) => {
+      this.ready = false;
+      console.log("⚠️ Client disconnected:", reason);
+      logError(new Error(`Disconnected: ${reason}`), "WhatsApp Connection");
       
-      const normalizedFcode = fcode.replace(/\s+/g, '').toUpperCase();
-      
-      if (normalizedSearchCodes.includes(normalizedFcode)) {
-        // Filter by sale number if provided
-        if (saleNo && salenoIndex !== -1) {
-          const rowSaleNo = row[salenoIndex] ? row[salenoIndex].toString().trim() : "";
-          const rowSaleNoNum = parseInt(rowSaleNo);
-          const searchSaleNoNum = parseInt(saleNo);
-          
-          if (rowSaleNoNum !== searchSaleNoNum) {
-            continue;
-          }
-        }
-        
-        const getCellValue = (index, defaultValue = "0") => {
-          if (index === -1 || !row[index]) return defaultValue;
-          const val = row[index].toString().trim();
-          return val === "" ? defaultValue : val;
-        };
-        
-        factoryData.push({
-          elevation: getCellValue(elevationIndex, "N/A"),
-          factory: getCellValue(factoryIndex, "Unknown"),
-          fcode: fcode,
-          wqty: getCellValue(wqtyIndex, "0"),
-          wavg: getCellValue(wavgIndex, "0"),
-          mqty: getCellValue(mqtyIndex, "0"),
-          mavg: getCellValue(mavgIndex, "0"),
-          yqty: getCellValue(yqtyIndex, "0"),
-          yavg: getCellValue(yavgIndex, "0"),
-          wrank: getCellValue(wrankIndex, "-"),
-          mrank: getCellValue(mrankIndex, "-"),
-          yrank: getCellValue(yrankIndex, "-"),
-        });
-      }
-    }
-
-    return factoryData.length > 0 ? factoryData : null;
-  } catch (err) {
-    console.error("❌ Error fetching factory data:", err.message);
-    logError(err, "fetchFactoryData");
-    return null;
+      // Auto-reconnect after 5 seconds
+      setTimeout(() => {
+        console.log("🔄 Attempting to reconnect...");
+        this.client.initialize();
+      }, 5000);
+    });
   }
-}
 
-async function fetchElevationAveragesForComparison(saleNo) {
-  try {
-    const res = await sheets.spreadsheets.values.get({
-      spreadsheetId: ELEVATION_AVG_SHEET_ID,
-      range: ELEVATION_AVG_SHEET_NAME,
+  onReady(handler) {
+    this.client.on("ready", async () => {
+      this.ready = true;
+      await handler();
     });
+  }
 
-    const rows = res.data.values;
-    if (!rows || rows.length === 0) return {};
+  onMessage(handler) {
+    this.client.on("message", (msg) => handler(this.normalizeMessage(msg)));
+  }
 
-    const headers = rows[0].map(h => h ? h.toString().toUpperCase() : "");
-    const salenoIndex = headers.findIndex(h => h.includes("SALENO") || h.includes("SALE"));
-    const elevationIndex = headers.findIndex(h => h === "ELEVATION");
-    const avgIndex = headers.findIndex(h => (h.includes("TOTAL") && h.includes("AVG")) || h === "TOTAL AVG");
+  normalizeMessage(msg) {
+    const data = msg._data || {};
+    return {
+      id: msg.id ? msg.id._serialized : null,
+      from: msg.from,
+      body: msg.body,
+      timestamp: msg.timestamp,
+      fromMe: msg.fromMe,
+      senderName: data.notifyName || data.pushname || null,
+      hasQuotedMsg: msg.hasQuotedMsg,
+      raw: msg
+    };
+  }
 
-    if (salenoIndex === -1 || elevationIndex === -1 || avgIndex === -1) {
-      return {};
-    }
+  async initialize() {
+    await this.client.initialize();
+  }
 
-    const searchSaleNo = parseInt(saleNo).toString();
-    const elevationAvgs = {};
-    
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      if (!row || row.length === 0) continue;
-      
-      const rowSaleNo = row[salenoIndex] ? row[salenoIndex].toString().trim() : "";
-      
-      if (rowSaleNo === searchSaleNo || rowSaleNo === saleNo) {
-        const elevation = row[elevationIndex];
-        const avg = row[avgIndex];
-        
-        if (elevation && avg && avg !== "NULL" && !isNaN(parseFloat(avg))) {
-          elevationAvgs[elevation.toString().toUpperCase()] = parseFloat(avg);
-        }
-      }
-    }
+  isReady() {
+    return this.ready;
+  }
 
-    return elevationAvgs;
-  } catch (err) {
-    console.error("❌ Error fetching elevation averages:", err.message);
-    logError(err, "fetchElevationAveragesForComparison");
-    return {};
+  getOwnNumber() {
+    return this.client.info && this.client.info.wid ? this.client.info.wid.user : null;
   }
-}
 
-async function formatFactoryDataMessage(factoryData, saleNo) {
-  const elevationAvgs = saleNo ? await fetchElevationAveragesForComparison(saleNo) : {};
-  
-  const byElevation = {};
-  factoryData.forEach(factory => {
-    const elev = factory.elevation.toUpperCase();
-    if (!byElevation[elev]) {
-      byElevation[elev] = [];
-    }
-    byElevation[elev].push(factory);
-  });
+  async reply(message, content) {
+    const sent = await message.raw.reply(content);
+    return { id: sent && sent.id ? sent.id._serialized : null };
+  }
 
-  let message = `🏭 *FACTORY PERFORMANCE REPORT*\n`;
-  if (saleNo) {
-    message += `📊 Sale No: ${saleNo}\n`;
+  async sendMessage(to, content) {
+    const sent = await this.client.sendMessage(to, content);
+    return { id: sent && sent.id ? sent.id._serialized : null };
   }
-  message += `${"═".repeat(42)}\n\n`;
 
-  for (const [elevation, factories] of Object.entries(byElevation)) {
-    const emoji = ELEVATION_EMOJIS[elevation] || '🍃';
-    const elevAvg = elevationAvgs[elevation];
-    
-    message += `${emoji} *${elevation} ELEVATION*\n`;
-    if (elevAvg) {
-      message += `📈 Market Avg: Rs. ${parseFloat(elevAvg).toFixed(2)}\n`;
+  async sendMedia(to, media, options = {}) {
+    const sent = await this.client.sendMessage(to, toMessageMedia(media), {
+      caption: options.caption,
+      quotedMessageId: options.quotedMessageId,
+      sendMediaAsDocument: options.asDocument
+    });
+    return { id: sent && sent.id ? sent.id._serialized : null };
+  }
+
+  async getQuotedMessage(message) {
+    if (!message.hasQuotedMsg) return null;
+    const quoted = await message.raw.getQuotedMessage();
+    return quoted ? this.normalizeMessage(quoted) : null;
+  }
+
+  async destroy() {
+    this.ready = false;
+    await this.client.destroy();
+  }
+}
+
+// Interactive REPL for testing the handler without a phone. Every message,
+// in either direction, gets a short #id so it can be quoted with /reply.
+class TerminalTransport {
+  constructor() {
+    this.type = 'terminal';
+    this.label = 'Terminal Simulator';
+    this.ready = false;
+    this.closing = false;
+    this.messages = new Map();
+    this.nextId = 1;
+    this.currentUser = toChatId(TERMINAL_DEFAULT_NUMBER);
+    this.currentName = "Terminal User";
+    this.readyHandler = null;
+    this.messageHandler = null;
+    this.queue = Promise.resolve();
+    this.outboxDir = path.join(DATA_DIR, "outbox");
+  }
+
+  onReady(handler) {
+    this.readyHandler = handler;
+  }
+
+  onMessage(handler) {
+    this.messageHandler = handler;
+  }
+
+  async initialize() {
+    this.rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: process.stdin.isTTY
+    });
+
+    // Handle lines one at a time so replies come back in order
+    this.rl.on("line", (line) => {
+      this.queue = this.queue
+        .then(() => this.handleLine(line))
+        .catch(err => {
+          console.error("❌ Terminal transport error:", err.message);
+          logError(err, "TerminalTransport");
+        });
+    });
+
+    this.rl.on("close", () => {
+      if (this.closing) return;
+      this.closing = true;
+      this.queue.then(() => process.emit('SIGINT'));
+    });
+
+    this.ready = true;
+    if (this.readyHandler) {
+      await this.readyHandler();
     }
-    message += `${"─".repeat(42)}\n\n`;
+    this.printHelp();
+    this.prompt();
+  }
 
-    factories.forEach((factory, idx) => {
-      message += `*${idx + 1}. ${factory.factory}*\n`;
-      message += `   Code: ${factory.fcode}\n`;
-      message += `${"┈".repeat(42)}\n`;
-      
-      message += `📅 *WEEKLY PERFORMANCE*\n`;
-      const wqty = parseFloat(factory.wqty) || 0;
-      const wavg = parseFloat(factory.wavg) || 0;
-      message += `   Quantity: ${wqty.toLocaleString()} kg\n`;
-      message += `   Average: Rs. ${wavg.toFixed(2)}\n`;
-      if (factory.wrank !== "-" && factory.wrank !== "0") {
-        message += `   🏆 Rank: #${factory.wrank}\n`;
+  isReady() {
+    return this.ready;
+  }
+
+  getOwnNumber() {
+    return null;
+  }
+
+  prompt() {
+    if (this.closing) return;
+    this.rl.setPrompt(`[${this.currentName} +${this.currentUser.replace('@c.us', '')}] > `);
+    this.rl.prompt();
+  }
+
+  printHelp() {
+    console.log("💻 TERMINAL SIMULATOR");
+    console.log("   Type a message to send it to the bot as the current number.");
+    console.log("   /as <number> [name]   - Switch sender (e.g. a staff number)");
+    console.log("   /reply <#id> <text>   - Reply quoting a message (staff replies)");
+    console.log("   /inbox                - Show messages sent to the current number");
+    console.log("   /help                 - Show this help");
+    console.log("   /quit                 - Exit\n");
+  }
+
+  async handleLine(line) {
+    const input = line.trim();
+
+    if (!input) {
+      this.prompt();
+      return;
+    }
+
+    if (!input.startsWith('/')) {
+      await this.receive(input, null);
+      this.prompt();
+      return;
+    }
+
+    const [command, ...args] = input.split(/\s+/);
+
+    switch (command.toLowerCase()) {
+      case '/as': {
+        if (args.length === 0) {
+          console.log("⚠️ Usage: /as <number> [name]");
+          break;
+        }
+        this.currentUser = toChatId(args[0]);
+        this.currentName = args.slice(1).join(' ') || "Terminal User";
+        console.log(`👤 Now sending as ${this.currentName} (+${this.currentUser.replace('@c.us', '')})`);
+        break;
       }
-      
-      if (elevAvg && wavg > 0) {
-        const diff = wavg - elevAvg;
-        const diffPercent = ((diff / elevAvg) * 100).toFixed(1);
-        if (diff > 0) {
-          message += `   ✅ Above Market: +Rs. ${diff.toFixed(2)} (+${diffPercent}%)\n`;
-        } else if (diff < 0) {
-          message += `   ⚠️ Below Market: Rs. ${diff.toFixed(2)} (${diffPercent}%)\n`;
-        } else {
-          message += `   ➖ At Market Average\n`;
+      case '/reply': {
+        const quoted = args[0] ? this.messages.get(args[0].replace('#', '')) : null;
+        const body = args.slice(1).join(' ');
+        if (!quoted || !body) {
+          console.log("⚠️ Usage: /reply <#id> <text> (see /inbox for ids)");
+          break;
         }
+        await this.receive(body, quoted);
+        break;
       }
-      message += `\n`;
-      
-      message += `📆 *MONTHLY PERFORMANCE*\n`;
-      const mqty = parseFloat(factory.mqty) || 0;
-      const mavg = parseFloat(factory.mavg) || 0;
-      message += `   Quantity: ${mqty.toLocaleString()} kg\n`;
-      message += `   Average: Rs. ${mavg.toFixed(2)}\n`;
-      if (factory.mrank !== "-" && factory.mrank !== "0") {
-        message += `   🏆 Rank: #${factory.mrank}\n`;
+      case '/inbox': {
+        const inbox = [...this.messages.values()].filter(m => m.to === this.currentUser);
+        if (inbox.length === 0) {
+          console.log("📭 No messages for this number yet");
+        }
+        inbox.forEach(m => this.printMessage(m));
+        break;
       }
-      message += `\n`;
-      
-      message += `📊 *YEARLY PERFORMANCE*\n`;
-      const yqty = parseFloat(factory.yqty) || 0;
-      const yavg = parseFloat(factory.yavg) || 0;
-      message += `   Quantity: ${yqty.toLocaleString()} kg\n`;
-      message += `   Average: Rs. ${yavg.toFixed(2)}\n`;
-      if (factory.yrank !== "-" && factory.yrank !== "0") {
-        message += `   🏆 Rank: #${factory.yrank}\n`;
+      case '/help':
+        this.printHelp();
+        break;
+      case '/quit':
+      case '/exit':
+        this.rl.close();
+        return;
+      default:
+        console.log(`⚠️ Unknown command ${command}. Type /help`);
+    }
+
+    this.prompt();
+  }
+
+  store(message) {
+    const shortId = String(this.nextId++);
+    const stored = { ...message, id: `term_${shortId}`, shortId };
+    this.messages.set(shortId, stored);
+    return stored;
+  }
+
+  printMessage(message) {
+    const target = `+${message.to.replace('@c.us', '')}`;
+    const quote = message.quotedShortId ? ` (reply to #${message.quotedShortId})` : '';
+    console.log(`\n📨 [#${message.shortId}] bot → ${target}${quote}`);
+    if (message.media) {
+      console.log(`   📎 ${message.media}`);
+    }
+    if (message.body) {
+      console.log(message.body.split('\n').map(l => `   ${l}`).join('\n'));
+    }
+    console.log("");
+  }
+
+  async receive(body, quoted) {
+    const message = this.store({
+      from: this.currentUser,
+      to: 'bot',
+      body,
+      timestamp: Math.floor(Date.now() / 1000),
+      fromMe: false,
+      senderName: this.currentName,
+      hasQuotedMsg: !!quoted,
+      quotedShortId: quoted ? quoted.shortId : null
+    });
+
+    if (this.messageHandler) {
+      await this.messageHandler(message);
+    }
+  }
+
+  deliver(to, body, extra = {}) {
+    const message = this.store({ from: 'bot', to, body, timestamp: Math.floor(Date.now() / 1000), ...extra });
+    this.printMessage(message);
+    return { id: message.id };
+  }
+
+  async reply(message, content) {
+    return this.deliver(message.from, content, { quotedShortId: message.shortId });
+  }
+
+  async sendMessage(to, content) {
+    return this.deliver(to, content);
+  }
+
+  async sendMedia(to, media, options = {}) {
+    if (!fs.existsSync(this.outboxDir)) {
+      fs.mkdirSync(this.outboxDir, { recursive: true });
+    }
+
+    const fileName = `${Date.now()}_${media.filename || path.basename(media.filePath || 'media')}`;
+    const outPath = path.join(this.outboxDir, fileName);
+
+    if (media.filePath) {
+      fs.copyFileSync(media.filePath, outPath);
+    } else {
+      fs.writeFileSync(outPath, Buffer.from(media.data, 'base64'));
+    }
+
+    const quoted = options.quotedMessageId
+      ? [...this.messages.values()].find(m => m.id === options.quotedMessageId)
+      : null;
+
+    return this.deliver(to, options.caption || '', {
+      media: outPath,
+      quotedShortId: quoted ? quoted.shortId : null
+    });
+  }
+
+  async getQuotedMessage(message) {
+    if (!message.hasQuotedMsg) return null;
+    return this.messages.get(message.quotedShortId) || null;
+  }
+
+  async destroy() {
+    this.ready = false;
+    if (this.rl && !this.closing) {
+      this.closing = true;
+      this.rl.close();
+    }
+  }
+}
+
+function createTransport(type) {
+  if (type === 'terminal') {
+    return new TerminalTransport();
+  }
+  return new WhatsAppTransport();
+}
+
+const transport = createTransport(BOT_TRANSPORT);
+
+transport.onReady(async () => {
+  console.log("\n" + "═".repeat(60));
+  console.log(`✅ BOT IS READY! (${transport.label})`);
+  console.log("🏢 Mercantile Produce Brokers - Tea Brokering Assistant");
+  console.log("═".repeat(60) + "\n");
+  
+  await verifyAllSheets();
+  
+  // Records the current sale and reports as the baseline on first start
+  try {
+    await checkForNewSale();
+    await checkForNewReports();
+  } catch (error) {
+    console.error("❌ Subscription baseline failed:", error.message);
+    logError(error, "Subscription Baseline");
+  }
+  
+  console.log("🚀 ACTIVE FEATURES:");
+  console.log("   ✓ Advanced NLP Intent Classification");
+  console.log("   ✓ Real-time Analytics & Tracking");
+  console.log("   ✓ Smart Rate Limiting (15 req/min)");
+  console.log("   ✓ Message Deduplication");
+  console.log("   ✓ Department Forwarding System");
+  console.log("   ✓ Auto-reply to Staff Responses");
+  console.log("   ✓ Factory Performance Reports");
+  console.log("   ✓ Factory Access Control");
+  console.log("   ✓ Elevation Averages");
+  console.log("   ✓ Market Report Downloads");
+  console.log("   ✓ Factory Subscriptions");
+  console.log("   ✓ Market Report Broadcasts");
+  console.log("   ✓ Health Monitoring API");
+  console.log("   ✓ Persistent Data Storage\n");
+  
+  const stats = analytics.getStats();
+  console.log("📊 CURRENT STATISTICS:");
+  console.log(`   - Total Messages: ${stats.total_messages}`);
+  console.log(`   - Unique Users: ${stats.unique_users}`);
+  console.log(`   - Success Rate: ${100 - parseFloat(stats.error_rate)}%`);
+  console.log(`   - Uptime: ${stats.uptime}\n`);
+  
+  console.log("═".repeat(60) + "\n");
+  
+  updateHealthStatus();
+});
+
+// ==================
+// DATA SOURCES
+// ==================
+// Environment variables
+const SHEET_ID = process.env.SHEET_ID;
+const FACTORY_SHEET_ID = process.env.FACTORY_SHEET_ID;
+const STAFF_SHEET_ID = process.env.STAFF_SHEET_ID;
+const ELEVATION_AVG_SHEET_ID = process.env.ELEVATION_AVG_SHEET_ID;
+const ACCESS_SHEET_ID = process.env.ACCESS_SHEET_ID;
+const DRIVE_FOLDER_ID = process.env.DRIVE_FOLDER_ID;
+
+const SHEET_NAME = process.env.SHEET_NAME || "Sheet1";
+const FACTORY_SHEET_NAME = process.env.FACTORY_SHEET_NAME || "WES";
+const STAFF_SHEET_NAME = process.env.STAFF_SHEET_NAME || "SF01";
+const ELEVATION_AVG_SHEET_NAME = process.env.ELEVATION_AVG_SHEET_NAME || "Sheet1";
+const ACCESS_SHEET_NAME = process.env.ACCESS_SHEET_NAME || "Access";
+
+// Every sheet the bot reads, keyed by the name callers pass to readSheet().
+// `columns` limits the range read; null reads the whole tab.
+// `localFile` is the base name looked up as .csv or .xlsx in LOCAL_DATA_DIR.
+const SHEET_SOURCES = {
+  elevation: {
+    name: "Elevation Averages",
+    spreadsheetId: SHEET_ID,
+    tab: SHEET_NAME,
+    columns: "A:H",
+    localFile: process.env.LOCAL_ELEVATION_FILE || "elevation"
+  },
+  factory: {
+    name: "Factory Performance",
+    spreadsheetId: FACTORY_SHEET_ID,
+    tab: FACTORY_SHEET_NAME,
+    columns: "A:N",
+    localFile: process.env.LOCAL_FACTORY_FILE || "factory"
+  },
+  staff: {
+    name: "Staff Directory",
+    spreadsheetId: STAFF_SHEET_ID,
+    tab: STAFF_SHEET_NAME,
+    columns: "A:D",
+    localFile: process.env.LOCAL_STAFF_FILE || "staff"
+  },
+  elevationAvg: {
+    name: "Elevation Data",
+    spreadsheetId: ELEVATION_AVG_SHEET_ID,
+    tab: ELEVATION_AVG_SHEET_NAME,
+    columns: null,
+    localFile: process.env.LOCAL_ELEVATION_AVG_FILE || "elevationAvg"
+  },
+  // Optional: without ACCESS_SHEET_ID the list is read from the local file
+  access: {
+    name: "Factory Access",
+    spreadsheetId: ACCESS_SHEET_ID,
+    tab: ACCESS_SHEET_NAME,
+    columns: "A:C",
+    localFile: process.env.LOCAL_ACCESS_FILE || "access"
+  }
+};
+
+function columnLetterToNumber(letters) {
+  return letters.toUpperCase().split('').reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0);
+}
+
+// Trim rows to a column range such as "A:H" so local files behave like Sheets ranges
+function limitColumns(rows, columns) {
+  if (!columns) return rows;
+  const [start, end] = columns.split(':').map(columnLetterToNumber);
+  return rows.map(row => row.slice(start - 1, end));
+}
+
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
       }
-      
-      message += `\n${"─".repeat(42)}\n\n`;
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop trailing empty cells, as the Sheets API does
+  return rows.map(r => {
+    let end = r.length;
+    while (end > 0 && r[end - 1].trim() === '') end--;
+    return r.slice(0, end);
+  });
+}
+
+class GoogleSheetsDataSource {
+  constructor() {
+    this.type = 'sheets';
+    const auth = new google.auth.JWT({
+      email: process.env.GOOGLE_CLIENT_EMAIL,
+      key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+      scopes: [
+        "https://www.googleapis.com/auth/drive.readonly",
+        "https://www.googleapis.com/auth/spreadsheets.readonly",
+      ],
     });
+
+    this.drive = google.drive({ version: "v3", auth });
+    this.sheets = google.sheets({ version: "v4", auth });
+    this.readCache = {};
   }
 
-  message += `${"═".repeat(42)}\n`;
-  message += `💡 *Legend*\n`;
-  message += `✅ Above market | ⚠️ Below market | 🏆 Ranking\n`;
-  message += `📅 Week | 📆 Month | 📊 Year\n`;
+  // A factory reply reads the factory and elevation-average sheets for its text
+  // and again for its chart; reads within SHEET_READ_CACHE_DURATION share one API call
+  async readSheet(key) {
+    const cached = this.readCache[key];
+    if (cached && Date.now() - cached.readAt < SHEET_READ_CACHE_DURATION) {
+      return cached.rows;
+    }
+    
+    const source = SHEET_SOURCES[key];
+    const rows = this.sheets.spreadsheets.values.get({
+      spreadsheetId: source.spreadsheetId,
+      range: source.columns ? `${source.tab}!${source.columns}` : source.tab,
+    }).then(res => res.data.values || []);
+    
+    // The promise is cached, so concurrent callers wait on the same request
+    this.readCache[key] = { rows, readAt: Date.now() };
+    rows.catch(() => {
+      if (this.readCache[key] && this.readCache[key].rows === rows) delete this.readCache[key];
+    });
+    return rows;
+  }
+
+  // Name search only: "38" also finds "Sale 138", so callers check the parsed sale number
+  async findReports(saleNo) {
+    const searchQuery = `'${DRIVE_FOLDER_ID}' in parents and name contains '${saleNo}' and mimeType='application/pdf' and trashed=false`;
+
+    const res = await this.drive.files.list({
+      q: searchQuery,
+      fields: "files(id, name, createdTime, modifiedTime)",
+      orderBy: "createdTime desc",
+      spaces: "drive"
+    });
+
+    return res.data.files || [];
+  }
+
+  // Newest first
+  async listReports() {
+    const res = await this.drive.files.list({
+      q: `'${DRIVE_FOLDER_ID}' in parents and mimeType='application/pdf' and trashed=false`,
+      fields: "files(id, name, createdTime, modifiedTime)",
+      orderBy: "createdTime desc",
+      pageSize: 50,
+      spaces: "drive"
+    });
+
+    return res.data.files || [];
+  }
+
+  downloadReport(file, destPath) {
+    return new Promise((resolve, reject) => {
+      const dest = fs.createWriteStream(destPath);
+
+      this.drive.files.get(
+        { fileId: file.id, alt: "media" },
+        { responseType: "stream" },
+        (err, res) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          res.data
+            .on("error", reject)
+            .pipe(dest)
+            .on("finish", () => resolve(destPath))
+            .on("error", reject);
+        }
+      );
+    });
+  }
+
+  async verify() {
+    for (const sheet of Object.values(SHEET_SOURCES)) {
+      if (!sheet.spreadsheetId) {
+        console.log(`⚠️  ${sheet.name}: No sheet configured`);
+        continue;
+      }
+      try {
+        const response = await this.sheets.spreadsheets.get({
+          spreadsheetId: sheet.spreadsheetId,
+          includeGridData: false,
+        });
+
+        const sheetExists = response.data.sheets.some(
+          s => s.properties.title === sheet.tab
+        );
+
+        if (sheetExists) {
+          console.log(`✅ ${sheet.name}: Found "${sheet.tab}"`);
+        } else {
+          console.log(`⚠️  ${sheet.name}: Tab "${sheet.tab}" not found`);
+        }
+      } catch (err) {
+        console.error(`❌ ${sheet.name}: Failed - ${err.message}`);
+        console.log(`   Share with: ${process.env.GOOGLE_CLIENT_EMAIL}`);
+      }
+    }
+
+    // Verify Drive folder
+    try {
+      const folder = await this.drive.files.get({
+        fileId: DRIVE_FOLDER_ID,
+        fields: "id, name, mimeType",
+      });
+      console.log(`✅ Drive Folder: "${folder.data.name}"`);
+    } catch (err) {
+      console.error(`❌ Drive Folder: Failed - ${err.message}`);
+      console.log(`   Share with: ${process.env.GOOGLE_CLIENT_EMAIL}`);
+    }
+  }
+}
+
+class LocalFileDataSource {
+  constructor(dataDir, reportsDir) {
+    this.type = 'local';
+    this.dataDir = dataDir;
+    this.reportsDir = reportsDir;
+  }
+
+  resolveFile(source) {
+    const candidates = path.extname(source.localFile)
+      ? [source.localFile]
+      : [`${source.localFile}.csv`, `${source.localFile}.xlsx`];
+
+    for (const candidate of candidates) {
+      const filePath = path.resolve(this.dataDir, candidate);
+      if (fs.existsSync(filePath)) return filePath;
+    }
+    return null;
+  }
+
+  async readWorkbook(filePath, tab) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    const worksheet = workbook.getWorksheet(tab) || workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      const values = [];
+      row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+        values[colNumber - 1] = cell.text;
+      });
+      rows[rowNumber - 1] = Array.from(values, v => v || "");
+    });
+
+    return Array.from(rows, r => r || []);
+  }
+
+  async readSheet(key) {
+    const source = SHEET_SOURCES[key];
+    const filePath = this.resolveFile(source);
+
+    if (!filePath) {
+      throw new Error(`No local file for ${source.name} ("${source.localFile}.csv" or ".xlsx" in ${this.dataDir})`);
+    }
+
+    const rows = filePath.toLowerCase().endsWith('.csv')
+      ? parseCSV(fs.readFileSync(filePath, 'utf8'))
+      : await this.readWorkbook(filePath, source.tab);
+
+    return limitColumns(rows, source.columns);
+  }
+
+  async findReports(saleNo) {
+    const files = await this.listReports();
+    return files.filter(file => file.name.includes(saleNo));
+  }
+
+  // Newest first
+  async listReports() {
+    if (!fs.existsSync(this.reportsDir)) return [];
+
+    return fs.readdirSync(this.reportsDir)
+      .filter(name => name.toLowerCase().endsWith('.pdf'))
+      .map(name => {
+        const filePath = path.join(this.reportsDir, name);
+        const modified = fs.statSync(filePath).mtime.toISOString();
+        return { id: filePath, name, createdTime: modified, modifiedTime: modified };
+      })
+      .sort((a, b) => b.createdTime.localeCompare(a.createdTime));
+  }
+
+  async downloadReport(file, destPath) {
+    await fs.promises.copyFile(file.id, destPath);
+    return destPath;
+  }
+
+  async verify() {
+    for (const sheet of Object.values(SHEET_SOURCES)) {
+      const filePath = this.resolveFile(sheet);
+      if (filePath) {
+        console.log(`✅ ${sheet.name}: Found "${path.basename(filePath)}"`);
+      } else {
+        console.log(`⚠️  ${sheet.name}: "${sheet.localFile}.csv" / ".xlsx" not found in ${this.dataDir}`);
+      }
+    }
+
+    if (fs.existsSync(this.reportsDir)) {
+      console.log(`✅ Reports Folder: "${this.reportsDir}"`);
+    } else {
+      console.log(`⚠️  Reports Folder: "${this.reportsDir}" not found`);
+    }
+  }
+}
+
+function createDataSource(type) {
+  if (type === 'local') {
+    return new LocalFileDataSource(LOCAL_DATA_DIR, LOCAL_REPORTS_DIR);
+  }
+  return new GoogleSheetsDataSource();
+}
+
+const dataSource = createDataSource(DATA_SOURCE);
+
+// Staff directory cache
+let staffDirectory = null;
+let lastStaffFetch = 0;
+
+// ==================
+// VERIFICATION
+// ==================
+async function verifyAllSheets() {
+  console.log(`🔍 Verifying data source access (${dataSource.type})...\n`);
+
+  await dataSource.verify();
+  
+  // With access control on and no list, every client is refused every factory
+  if (FACTORY_ACCESS_CONTROL) {
+    const entries = await factoryAccess.load();
+    if (factoryAccess.loadError) {
+      console.warn(`\n⚠️ FACTORY ACCESS CONTROL IS ON BUT NO ACCESS LIST COULD BE LOADED`);
+      console.warn(`   Clients will be refused all factory data. Set ACCESS_SHEET_ID or add an access file to ${LOCAL_DATA_DIR},`);
+      console.warn(`   or set FACTORY_ACCESS_CONTROL=false.`);
+    } else if (entries.size === 0) {
+      console.warn(`\n⚠️ Factory access list is empty - clients will be refused all factory data`);
+    }
+  }
+
+  console.log("\n" + "─".repeat(60) + "\n");
+}
+
+// ==================
+// STAFF DIRECTORY
+// ==================
+async function fetchStaffDirectory() {
+  const now = Date.now();
+  if (staffDirectory && (now - lastStaffFetch) < CACHE_DURATION) {
+    return staffDirectory;
+  }
+
+  try {
+    const rows = await dataSource.readSheet('staff');
+    if (!rows || rows.length <= 1) {
+      console.error("❌ No staff data found");
+      return {};
+    }
+
+    const directory = {};
+    
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i];
+      if (!row || row.length < 2) continue;
+      
+      const [department, number, name, role] = row;
+      if (!department || !number) continue;
+      
+      const dept = department.toLowerCase().trim();
+      if (!directory[dept]) {
+        directory[dept] = [];
+      }
+      
+      let cleanNumber = number.toString().trim();
+      
+      // Format phone number
+      if (cleanNumber.includes('@c.us')) {
+        cleanNumber = cleanNumber.replace(/\s+/g, '');
+      } else {
+        const digitsOnly = cleanNumber.replace(/\D/g, '');
+        if (digitsOnly.length > 0) {
+          cleanNumber = digitsOnly + '@c.us';
+        } else {
+          continue;
+        }
+      }
+      
+      // Validate phone format
+      if (!/^\d+@c\.us$/.test(cleanNumber)) {
+        console.warn(`⚠️ Invalid phone format for ${name}: ${cleanNumber}`);
+        continue;
+      }
+      
+      directory[dept].push({
+        name: name ? name.toString().trim() : "Staff Member",
+        number: cleanNumber,
+        role: role ? role.toString().toLowerCase().trim() : "staff"
+      });
+    }
+
+    staffDirectory = directory;
+    lastStaffFetch = now;
+    
+    console.log("✅ Staff directory loaded:");
+    Object.entries(directory).forEach(([dept, staff]) => {
+      console.log(`   - ${dept}: ${staff.length} member(s)`);
+    });
+    
+    return directory;
+  } catch (err) {
+    console.error("❌ Error fetching staff directory:", err.message);
+    logError(err, "fetchStaffDirectory");
+    return {};
+  }
+}
+
+async function isStaffNumber(number) {
+  const directory = await fetchStaffDirectory();
+  return Object.values(directory).some(members => members.some(member => member.number === number));
+}
+
+// 'admin' for staff whose role column says admin, 'staff' for anyone else in
+// the directory, 'client' for everybody else
+async function getUserRole(number) {
+  const directory = await fetchStaffDirectory();
+  const entries = Object.values(directory).flat().filter(member => member.number === number);
+  
+  if (entries.length === 0) return 'client';
+  return entries.some(member => member.role === 'admin') ? 'admin' : 'staff';
+}
+
+// ==================
+// FACTORY ACCESS CONTROL
+// ==================
+// Factory figures are only shown to numbers on the access list, which maps a
+// number to the FCODEs it may see. Columns: Number, FCODEs ("MF0235, MF0777"
+// or "*" for every factory), Name. Staff directory members see every factory.
+// Refused requests are appended to ACCESS_LOG_FILE for audit.
+let localAccessSource = null;
+
+function getAccessListSource() {
+  if (DATA_SOURCE !== 'sheets' || ACCESS_SHEET_ID) return dataSource;
+  
+  if (!localAccessSource) {
+    localAccessSource = new LocalFileDataSource(LOCAL_DATA_DIR, LOCAL_REPORTS_DIR);
+  }
+  return localAccessSource;
+}
+
+class FactoryAccessList {
+  constructor() {
+    this.entries = null; // Map of chat id -> { name, all, codes: Set }
+    this.fetchedAt = 0;
+    this.loadError = null;
+  }
+  
+  async load() {
+    if (this.entries && Date.now() - this.fetchedAt < CACHE_DURATION) {
+      return this.entries;
+    }
+    
+    try {
+      const rows = await getAccessListSource().readSheet('access');
+      const entries = new Map();
+      
+      for (let i = 1; i < rows.length; i++) {
+        const [number, codes, name] = rows[i] || [];
+        if (!number || !codes) continue;
+        
+        const digits = number.toString().replace(/\D/g, '');
+        if (!digits) continue;
+        
+        const chatId = `${digits}@c.us`;
+        const entry = entries.get(chatId) || { name: name ? name.toString().trim() : '', all: false, codes: new Set() };
+        codes.toString().split(/[,;\n]+/)
+          .map(code => code.replace(/\s+/g, '').toUpperCase())
+          .filter(Boolean)
+          .forEach(code => {
+            if (code === '*' || code === 'ALL') entry.all = true;
+            else entry.codes.add(code);
+          });
+        entries.set(chatId, entry);
+      }
+      
+      this.entries = entries;
+      this.fetchedAt = Date.now();
+      this.loadError = null;
+      console.log(`✅ Factory access list loaded: ${entries.size} number(s)`);
+    } catch (err) {
+      console.error("❌ Error loading factory access list:", err.message);
+      logError(err, "FactoryAccessList.load");
+      // Keep the last good list; without one only staff get through.
+      // The retry waits CACHE_DURATION too, so a missing list is not re-read per message.
+      this.entries = this.entries || new Map();
+      this.fetchedAt = Date.now();
+      this.loadError = err;
+    }
+    
+    return this.entries;
+  }
+  
+  // Split the requested codes into { allowed, denied } for this number
+  async check(userId, codes) {
+    if (!FACTORY_ACCESS_CONTROL || await isStaffNumber(userId)) {
+      return { allowed: codes, denied: [] };
+    }
+    
+    const entry = (await this.load()).get(userId);
+    const mayView = code => Boolean(entry) && (entry.all || entry.codes.has(code.replace(/\s+/g, '').toUpperCase()));
+    
+    return {
+      allowed: codes.filter(mayView),
+      denied: codes.filter(code => !mayView(code))
+    };
+  }
+  
+  audit(userId, denied, context, text = '') {
+    console.log(`🔒 Refused ${denied.join(', ')} to ${userId.substring(0, 15)}... (${context})`);
+    try {
+      rotateLogFile(ACCESS_LOG_FILE);
+      const logEntry = {
+        timestamp: new Date().toISOString(),
+        userId,
+        denied,
+        context,
+        message: text.substring(0, 200)
+      };
+      fs.appendFileSync(ACCESS_LOG_FILE, JSON.stringify(logEntry) + '\n');
+    } catch (err) {
+      // Silent fail for logging
+    }
+  }
+}
+
+const factoryAccess = new FactoryAccessList();
+
+// ==================
+// DEPARTMENT ROUTING
+// ==================
+async function getFrontlineStaff(department) {
+  const directory = await fetchStaffDirectory();
+  const members = directory[department.toLowerCase()] || [];
+  
+  // Heads and backups only hear about a ticket when it is escalated
+  const frontline = members.filter(member => !ESCALATION_ROLES.includes(member.role));
+  return frontline.length > 0 ? frontline : members;
+}
+
+// Send a ticket to the department. Queued tickets carry every message the
+// client sent while we were closed.
+async function forwardTicket(ticket, staff) {
+  const clientMessages = ticket.history
+    .filter(entry => entry.direction === 'inbound')
+    .map(entry => entry.text)
+    .join('\n\n');
+  
+  // Let staff know when the client is writing in Sinhala or Tamil
+  const clientLanguage = userTracker.getLanguage(ticket.clientNumber);
+  const languageLine = clientLanguage !== 'en' ? `\n🌐 *Language:* ${SUPPORTED_LANGUAGES[clientLanguage]}` : '';
+  
+  const forwardMessage = `
+🔔 *NEW ${ticket.department.toUpperCase()} REQUEST*
+${"═".repeat(42)}
+
+👤 *Client:* ${ticket.clientName}
+📱 *Number:* +${ticket.clientNumber.replace('@c.us', '')}
+🕐 *Time:* ${formatColomboTime(ticket.createdAt)}${ticket.queued ? ' (received out of hours)' : ''}${languageLine}
+🎫 *Ticket:* ${ticket.id}
+🆔 *Message ID:* ${ticket.messageId}
+
+${"─".repeat(42)}
+💬 *Message:*
+${clientMessages}
+${"═".repeat(42)}
+
+⚡ Reply to this message to send a response to the client.
+🙋 Send \`claim ${ticket.id}\` to take this request.
+✔️ Send \`close ${ticket.id}\` when the request is resolved.
+  `.trim();
+
+  let successCount = 0;
+  
+  for (const member of staff) {
+    try {
+      const sent = await transport.sendMessage(member.number, forwardMessage);
+      
+      tickets.addRecipient(ticket.id, member);
+      tickets.addRef(ticket.id, sent.id, member.number);
+      
+      console.log(`✅ Forwarded to ${member.name} (${ticket.department}) - Ticket: ${ticket.id}`);
+      successCount++;
+    } catch (err) {
+      console.error(`❌ Failed to forward to ${member.name}:`, err.message);
+      logError(err, `forwardTicket - ${member.name}`);
+    }
+  }
+
+  if (successCount > 0) {
+    tickets.markForwarded(ticket.id);
+  }
+  return successCount > 0;
+}
+
+async function routeToDepartment(msg, department, originalMessage, clientNumber) {
+  const staff = await getFrontlineStaff(department);
+  
+  if (staff.length === 0) {
+    console.error(`⚠️ No staff found for department: ${department}`);
+    return null;
+  }
+
+  const ticket = tickets.createTicket({
+    department,
+    clientNumber: clientNumber,
+    clientName: msg.senderName || "Client",
+    text: originalMessage
+  });
+  
+  // Outside business hours the ticket waits for the next working day
+  if (!businessCalendar.isOpen()) {
+    tickets.queueTicket(ticket.id);
+    console.log(`🌙 Out of hours - ${ticket.id} queued for ${department}`);
+    return ticket;
+  }
+
+  const delivered = await forwardTicket(ticket, staff);
+  if (!delivered) {
+    tickets.discardTicket(ticket.id);
+    return null;
+  }
+
+  return ticket;
+}
+
+// Deliver tickets queued out of hours once the office opens
+async function processTicketQueue() {
+  if (!businessCalendar.isOpen()) return;
+  
+  const queued = tickets.getQueued();
+  if (queued.length === 0) return;
+  
+  console.log(`☀️ Office open - forwarding ${queued.length} queued ticket(s)`);
+  
+  for (const ticket of queued) {
+    const staff = await getFrontlineStaff(ticket.department);
+    if (staff.length === 0) {
+      console.error(`⚠️ No staff found for department: ${ticket.department} (${ticket.id} stays queued)`);
+      continue;
+    }
+    
+    const delivered = await forwardTicket(ticket, staff);
+    if (!delivered) continue;
+    
+    try {
+      await transport.sendMessage(ticket.clientNumber,
+        translate(userTracker.getLanguage(ticket.clientNumber), 'queueFlushed', { ticket })
+      );
+    } catch (err) {
+      console.error(`❌ Failed to update client on ${ticket.id}:`, err.message);
+      logError(err, "processTicketQueue - client update");
+    }
+  }
+}
+
+// ==================
+// STAFF REPLY PROCESSING
+// ==================
+async function processStaffReply(msg) {
+  const staffNumber = msg.from;
+  const replyText = msg.body;
+  
+  if (!msg.hasQuotedMsg) {
+    return false;
+  }
+
+  try {
+    const quotedMsg = await transport.getQuotedMessage(msg);
+    if (!quotedMsg) {
+      return false;
+    }
+    
+    // Find the ticket this reply belongs to
+    const ticket = tickets.findForStaffReply(staffNumber, quotedMsg);
+    if (!ticket) {
+      return false;
+    }
+
+    if (ticket.status === 'closed') {
+      await transport.reply(msg,
+        `⚠️ Ticket ${ticket.id} is closed, so your reply was not sent.\n\n` +
+        `Please contact the client directly if needed: +${ticket.clientNumber.replace('@c.us', '')}`
+      );
+      return true;
+    }
+
+    const staff = ticket.recipients.find(r => r.number === staffNumber);
+    
+    if (!tickets.claimTicket(ticket.id, staff)) {
+      tickets.recordHeldReply(ticket.id, staff, replyText);
+      await transport.reply(msg, getHeldReplyMessage(ticket));
+      console.log(`✋ Held reply from ${staff.name} - Ticket ${ticket.id} belongs to ${ticket.assignedTo.name}`);
+      return true;
+    }
+    
+    const clientReply = translate(userTracker.getLanguage(ticket.clientNumber), 'staffResponse', {
+      ticket,
+      staffName: staff.name,
+      time: formatColomboTime(),
+      text: replyText
+    });
+    
+    const sent = await transport.sendMessage(ticket.clientNumber, clientReply);
+    console.log(`✅ Reply sent to client from ${staff.name} - Ticket: ${ticket.id}`);
+    
+    tickets.addRef(ticket.id, sent.id, ticket.clientNumber);
+    tickets.recordStaffReply(ticket.id, staff, replyText);
+    
+    if (!ticket.claimNotified) {
+      await notifyOtherRecipients(ticket, staff);
+    }
+    
+    return true;
+  } catch (err) {
+    console.error(`❌ Failed to process staff reply:`, err.message);
+    logError(err, "processStaffReply");
+    return false;
+  }
+}
+
+function getHeldReplyMessage(ticket) {
+  return `✋ *Reply not sent*\n\n` +
+    `Ticket ${ticket.id} is being handled by *${ticket.assignedTo.name}*, ` +
+    `so your reply was held back to avoid the client getting several answers.\n\n` +
+    `Please pass any extra details to ${ticket.assignedTo.name} directly.`;
+}
+
+// Tell everyone else who received the forward that the ticket is taken
+async function notifyOtherRecipients(ticket, staff) {
+  const others = ticket.recipients.filter(r => r.number !== staff.number);
+  
+  for (const member of others) {
+    try {
+      await transport.sendMessage(member.number,
+        `ℹ️ *${ticket.id} claimed by ${staff.name}*\n\n` +
+        `The ${ticket.department} request from ${ticket.clientName} ` +
+        `(+${ticket.clientNumber.replace('@c.us', '')}) is now handled by ${staff.name}. ` +
+        `No action is needed from you, and replies you send on it will not reach the client.`
+      );
+    } catch (err) {
+      console.error(`❌ Failed to notify ${member.name} of claim:`, err.message);
+      logError(err, `notifyOtherRecipients - ${member.name}`);
+    }
+  }
+  
+  ticket.claimNotified = true;
+  tickets.saveTickets();
+}
+
+// "claim TKT-00042" / "close TKT-00042", or the bare command quoting a ticket message
+async function processStaffCommand(msg) {
+  const staffNumber = msg.from;
+  const commandMatch = msg.body.trim().match(/^(claim|close)(?:\s+(tkt-?\d{1,5}))?$/i);
+  
+  if (!commandMatch) {
+    return false;
+  }
+
+  try {
+    let ticket = null;
+    
+    if (commandMatch[2]) {
+      ticket = tickets.getTicket(classifier.extractTicketId(commandMatch[2]));
+    } else if (msg.hasQuotedMsg) {
+      const quotedMsg = await transport.getQuotedMessage(msg);
+      ticket = quotedMsg ? tickets.findForStaffReply(staffNumber, quotedMsg) : null;
+    }
+    
+    if (!ticket || !ticket.recipients.some(r => r.number === staffNumber)) {
+      return false;
+    }
+
+    const command = commandMatch[1].toLowerCase();
+    const staff = ticket.recipients.find(r => r.number === staffNumber);
+    
+    if (ticket.status === 'closed') {
+      await transport.reply(msg, `ℹ️ Ticket ${ticket.id} is already closed.`);
+      return true;
+    }
+
+    if (ticket.assignedTo && ticket.assignedTo.number !== staffNumber) {
+      await transport.reply(msg,
+        `✋ Ticket ${ticket.id} is already being handled by *${ticket.assignedTo.name}*.`
+      );
+      return true;
+    }
+
+    if (command === 'claim') {
+      if (ticket.assignedTo) {
+        await transport.reply(msg, `ℹ️ You are already handling ticket ${ticket.id}.`);
+        return true;
+      }
+      
+      tickets.claimTicket(ticket.id, staff);
+      await notifyOtherRecipients(ticket, staff);
+      
+      const sent = await transport.sendMessage(ticket.clientNumber,
+        translate(userTracker.getLanguage(ticket.clientNumber), 'ticketClaimed', { ticket, staffName: staff.name })
+      );
+      tickets.addRef(ticket.id, sent.id, ticket.clientNumber);
+      await transport.reply(msg, `✔️ You have claimed ticket ${ticket.id}. The client and your colleagues have been notified.`);
+      console.log(`🙋 Ticket ${ticket.id} claimed by ${staff.name}`);
+      return true;
+    }
+
+    tickets.closeTicket(ticket.id);
+    
+    await transport.sendMessage(ticket.clientNumber,
+      translate(userTracker.getLanguage(ticket.clientNumber), 'ticketClosed', { ticket, staffName: staff.name })
+    );
+    await transport.reply(msg, `✔️ Ticket ${ticket.id} closed. The client has been notified.`);
+    console.log(`✔️ Ticket ${ticket.id} closed by ${staff.name}`);
+    
+    return true;
+  } catch (err) {
+    console.error(`❌ Failed to process staff command:`, err.message);
+    logError(err, "processStaffCommand");
+    return false;
+  }
+}
+
+// ==================
+// CLIENT FOLLOW-UPS
+// ==================
+// Intents that can be conversation inside an open ticket rather than a new request
+const FOLLOW_UP_INTENTS = ['general', 'casual_conversation', 'department_contact'];
+
+async function processClientFollowUp(msg, intent, entities) {
+  const clientNumber = msg.from;
+  
+  try {
+    let ticket = null;
+    
+    // A quoted staff response always continues its ticket
+    if (msg.hasQuotedMsg) {
+      const quotedMsg = await transport.getQuotedMessage(msg);
+      ticket = quotedMsg ? tickets.findByRef(quotedMsg.id, clientNumber) : null;
+    }
+    
+    if (!ticket && FOLLOW_UP_INTENTS.includes(intent)) {
+      ticket = tickets.findActiveForClient(clientNumber);
+      
+      // A department request only continues a ticket for the same department
+      if (ticket && entities.department && intent === 'department_contact' &&
+          entities.department !== ticket.department) {
+        ticket = null;
+      }
+    }
+    
+    if (!ticket || ticket.status === 'closed') {
+      return false;
+    }
+
+    const senderName = msg.senderName || ticket.clientName;
+    const language = userTracker.getLanguage(clientNumber);
+    
+    // Still waiting for office hours: add to the ticket, it goes out with the rest
+    if (ticket.queued) {
+      tickets.recordClientMessage(ticket.id, senderName, msg.body);
+      await transport.reply(msg, translate(language, 'followUpQueued', { ticketId: ticket.id }));
+      return true;
+    }
+    
+    const recipients = ticket.assignedTo ? [ticket.assignedTo] : ticket.recipients;
+    
+    const followUpMessage = `
+💬 *FOLLOW-UP ON ${ticket.id}*
+${"═".repeat(42)}
+
+👤 *Client:* ${senderName}
+📱 *Number:* +${clientNumber.replace('@c.us', '')}
+🕐 *Time:* ${formatColomboTime()}
+🆔 *Message ID:* ${ticket.messageId}
+
+${"─".repeat(42)}
+💬 *Message:*
+${msg.body}
+${"═".repeat(42)}
+
+⚡ Reply to this message to respond to the client.
+    `.trim();
+
+    let successCount = 0;
+    
+    for (const member of recipients) {
+      try {
+        const sent = await transport.sendMessage(member.number, followUpMessage);
+        tickets.addRef(ticket.id, sent.id, member.number);
+        successCount++;
+      } catch (err) {
+        console.error(`❌ Failed to forward follow-up to ${member.name}:`, err.message);
+        logError(err, `processClientFollowUp - ${member.name}`);
+      }
+    }
+
+    if (successCount === 0) {
+      return false;
+    }
+
+    tickets.recordClientMessage(ticket.id, senderName, msg.body);
+    
+    const target = ticket.assignedTo
+      ? ticket.assignedTo.name
+      : translate(language, 'followUpTeam', { department: ticket.department });
+    await transport.reply(msg, translate(language, 'followUpSent', { target, ticketId: ticket.id }));
+    console.log(`💬 Follow-up forwarded - Ticket: ${ticket.id}`);
+    
+    return true;
+  } catch (err) {
+    console.error(`❌ Failed to process client follow-up:`, err.message);
+    logError(err, "processClientFollowUp");
+    return false;
+  }
+}
+
+// ==================
+// SLA ESCALATION
+// ==================
+function getEscalationRules(department) {
+  const overrides = safeReadJSON(ESCALATION_RULES_FILE, {});
+  const rules = overrides[department.toLowerCase()] || overrides.default || DEFAULT_ESCALATION_RULES;
+  return [...rules].sort((a, b) => a.after - b.after);
+}
+
+function getEscalationClientMessage(ticket, action) {
+  const language = userTracker.getLanguage(ticket.clientNumber);
+  return translate(language, action === 'escalate' ? 'escalated' : 'reminded', { ticket });
+}
+
+async function escalateTicket(ticket, action) {
+  const waitingMinutes = Math.round(
+    businessCalendar.businessTimeBetween(ticket.forwardedAt || ticket.createdAt, Date.now()) / 60000
+  );
+  let targets = ticket.assignedTo ? [ticket.assignedTo] : ticket.recipients;
+  let title = `⏰ *REMINDER: ${ticket.id} UNANSWERED*`;
+
+  if (action === 'escalate') {
+    const directory = await fetchStaffDirectory();
+    const members = directory[ticket.department.toLowerCase()] || [];
+    const heads = members.filter(member => ESCALATION_ROLES.includes(member.role));
+    
+    if (heads.length > 0) {
+      targets = heads;
+    } else {
+      console.warn(`⚠️ No head/backup for ${ticket.department} - re-notifying recipients of ${ticket.id}`);
+    }
+    title = `🚨 *ESCALATION: ${ticket.id} UNANSWERED*`;
+  }
+
+  const escalationMessage = `
+${title}
+${"═".repeat(42)}
+
+🏢 *Department:* ${ticket.department}
+👤 *Client:* ${ticket.clientName}
+📱 *Number:* +${ticket.clientNumber.replace('@c.us', '')}
+⏱️ *Waiting:* ${waitingMinutes} business min
+🆔 *Message ID:* ${ticket.messageId}
+${ticket.assignedTo ? `🙋 *Claimed by:* ${ticket.assignedTo.name}\n` : ''}
+${"─".repeat(42)}
+💬 *Message:*
+${ticket.history[0].text}
+${"═".repeat(42)}
+
+⚡ Reply to this message to respond to the client.
+  `.trim();
+
+  const notified = [];
+  
+  for (const member of targets) {
+    try {
+      const sent = await transport.sendMessage(member.number, escalationMessage);
+      if (!ticket.recipients.some(r => r.number === member.number)) {
+        tickets.addRecipient(ticket.id, member);
+      }
+      tickets.addRef(ticket.id, sent.id, member.number);
+      notified.push(member.name);
+    } catch (err) {
+      console.error(`❌ Failed to escalate ${ticket.id} to ${member.name}:`, err.message);
+      logError(err, `escalateTicket - ${member.name}`);
+    }
+  }
+
+  // Nobody reached: leave the step due so the next check retries it
+  if (notified.length === 0) {
+    console.error(`⚠️ ${ticket.id}: ${action} reached no staff - will retry`);
+    return;
+  }
+
+  tickets.recordEscalation(ticket.id, action, notified);
+
+  try {
+    await transport.sendMessage(ticket.clientNumber, getEscalationClientMessage(ticket, action));
+  } catch (err) {
+    console.error(`❌ Failed to update client on ${ticket.id}:`, err.message);
+    logError(err, "escalateTicket - client update");
+  }
+
+  console.log(`🚨 ${ticket.id}: ${action} after ${waitingMinutes} min → ${notified.join(', ')}`);
+}
+
+// Run the next due step for each unanswered ticket (one step per ticket per check).
+// The SLA clock only runs during business hours.
+async function processEscalations() {
+  if (!businessCalendar.isOpen() || !transport.isReady()) return;
+  
+  const now = Date.now();
+  
+  for (const ticket of tickets.getUnanswered()) {
+    const rules = getEscalationRules(ticket.department);
+    const done = (ticket.escalations || []).length;
+    const nextRule = rules[done];
+    
+    if (!nextRule) continue;
+    
+    const waited = businessCalendar.businessTimeBetween(ticket.forwardedAt || ticket.createdAt, now);
+    if (waited < nextRule.after * 60 * 1000) continue;
+    
+    await escalateTicket(ticket, nextRule.action);
+  }
+}
+
+// ==================
+// FACTORY DATA
+// ==================
+// Sale numbers restart every season, so a sale is looked up within one YEAR:
+// the one asked for, else the newest in the sheet (the current season).
+function resolveSeason(rows, firstRow, yearIndex, year = null) {
+  if (yearIndex === -1) return null;
+  if (year) return parseInt(year);
+  
+  let latest = 0;
+  for (let i = firstRow; i < rows.length; i++) {
+    if (rows[i]) latest = Math.max(latest, parseInt(rows[i][yearIndex]) || 0);
+  }
+  return latest || null;
+}
+
+// "038" or "038 (2024)" for replies
+function formatSaleLabel(saleNo, year = null) {
+  return `${saleNo}${year ? ` (${year})` : ''}`;
+}
+
+async function fetchFactoryData(factoryCodes, saleNo, year = null) {
+  try {
+    const rows = await dataSource.readSheet('factory');
+    if (!rows || rows.length === 0) {
+      console.error("❌ No factory data found");
+      return null;
+    }
+
+    // Find header row
+    let headerRowIndex = 0;
+    let headers = [];
+    
+    for (let i = 0; i < Math.min(5, rows.length); i++) {
+      const row = rows[i];
+      if (row && row.some(cell => cell && 
+          (cell.toString().toUpperCase().includes("YEAR") || 
+           cell.toString().toUpperCase().includes("SALENO") || 
+           cell.toString().toUpperCase().includes("FCODE")))) {
+        headerRowIndex = i;
+        headers = row.map(h => h ? h.toString().toUpperCase().trim() : "");
+        break;
+      }
+    }
+
+    if (headers.length === 0) {
+      console.error("❌ Header row not found");
+      return null;
+    }
+
+    // Map column indices
+    const salenoIndex = headers.findIndex(h => h.includes("SALENO") || (h.includes("SALE") && h.length < 10));
+    const yearIndex = headers.findIndex(h => h === "YEAR");
+    const elevationIndex = headers.findIndex(h => h === "ELEVATION");
+    const factoryIndex = headers.findIndex(h => h === "FACTORY");
+    const fcodeIndex = headers.findIndex(h => h === "FCODE");
+    const wqtyIndex = headers.findIndex(h => h === "WQTY");
+    const wavgIndex = headers.findIndex(h => h === "WAVG");
+    const mqtyIndex = headers.findIndex(h => h === "MQTY");
+    const mavgIndex = headers.findIndex(h => h === "MAVG");
+    const yqtyIndex = headers.findIndex(h => h === "YQTY");
+    const yavgIndex = headers.findIndex(h => h === "YAVG");
+    const wrankIndex = headers.findIndex(h => h === "WRANK");
+    const mrankIndex = headers.findIndex(h => h === "MRANK");
+    const yrankIndex = headers.findIndex(h => h === "YRANK");
+
+    if (fcodeIndex === -1) {
+      console.error("❌ FCODE column not found");
+      return null;
+    }
+
+    const factoryData = [];
+    const normalizedSearchCodes = factoryCodes.map(code => 
+      code.replace(/\s+/g, '').toUpperCase()
+    );
+    const season = saleNo ? resolveSeason(rows, headerRowIndex + 1, yearIndex, year) : null;
+    
+    for (let i = headerRowIndex + 1; i < rows.length; i++) {
+      const row = rows[i];
+      if (!row || row.length === 0) continue;
+      
+      const fcode = row[fcodeIndex] ? row[fcodeIndex].toString().trim() : "";
+      if (!fcode) continue;
+      
+      const normalizedFcode = fcode.replace(/\s+/g, '').toUpperCase();
+      
+      if (normalizedSearchCodes.includes(normalizedFcode)) {
+        // Filter by sale number if provided
+        if (saleNo && salenoIndex !== -1) {
+          const rowSaleNo = row[salenoIndex] ? row[salenoIndex].toString().trim() : "";
+          const rowSaleNoNum = parseInt(rowSaleNo);
+          const searchSaleNoNum = parseInt(saleNo);
+          
+          if (rowSaleNoNum !== searchSaleNoNum) {
+            continue;
+          }
+          if (season && parseInt(row[yearIndex]) !== season) {
+            continue;
+          }
+        }
+        
+        const getCellValue = (index, defaultValue = "0") => {
+          if (index === -1 || !row[index]) return defaultValue;
+          const val = row[index].toString().trim();
+          return val === "" ? defaultValue : val;
+        };
+        
+        factoryData.push({
+          sale: getCellValue(salenoIndex, ""),
+          year: getCellValue(yearIndex, ""),
+          elevation: getCellValue(elevationIndex, "N/A"),
+          factory: getCellValue(factoryIndex, "Unknown"),
+          fcode: fcode,
+          wqty: getCellValue(wqtyIndex, "0"),
+          wavg: getCellValue(wavgIndex, "0"),
+          mqty: getCellValue(mqtyIndex, "0"),
+          mavg: getCellValue(mavgIndex, "0"),
+          yqty: getCellValue(yqtyIndex, "0"),
+          yavg: getCellValue(yavgIndex, "0"),
+          wrank: getCellValue(wrankIndex, "-"),
+          mrank: getCellValue(mrankIndex, "-"),
+          yrank: getCellValue(yrankIndex, "-"),
+        });
+      }
+    }
+
+    return factoryData.length > 0 ? factoryData : null;
+  } catch (err) {
+    console.error("❌ Error fetching factory data:", err.message);
+    logError(err, "fetchFactoryData");
+    return null;
+  }
+}
+
+// Elevation averages for every sale in one read, by season:
+// { 2026: { 38: { UH: 1430, L: 1275 }, ... } }. Season 0 when there is no YEAR column.
+async function fetchElevationAverageHistory() {
+  const rows = await dataSource.readSheet('elevationAvg');
+  if (!rows || rows.length === 0) return {};
+
+  const headers = rows[0].map(h => h ? h.toString().toUpperCase() : "");
+  const salenoIndex = headers.findIndex(h => h.includes("SALENO") || h.includes("SALE"));
+  const yearIndex = headers.findIndex(h => h.trim() === "YEAR");
+  const elevationIndex = headers.findIndex(h => h === "ELEVATION");
+  const avgIndex = headers.findIndex(h => (h.includes("TOTAL") && h.includes("AVG")) || h === "TOTAL AVG");
+
+  if (salenoIndex === -1 || elevationIndex === -1 || avgIndex === -1) {
+    return {};
+  }
+
+  const history = {};
+  
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row || row.length === 0) continue;
+    
+    const sale = parseInt(row[salenoIndex]);
+    const year = yearIndex !== -1 ? parseInt(row[yearIndex]) || 0 : 0;
+    const elevation = row[elevationIndex];
+    const avg = row[avgIndex];
+    
+    if (!isNaN(sale) && elevation && avg && avg !== "NULL" && !isNaN(parseFloat(avg))) {
+      if (!history[year]) history[year] = {};
+      if (!history[year][sale]) history[year][sale] = {};
+      history[year][sale][elevation.toString().toUpperCase()] = parseFloat(avg);
+    }
+  }
+
+  return history;
+}
+
+// A season missing from the sheet gives {} (no market gap) rather than another
+// season's averages; a sheet without a YEAR column (season 0) serves any year
+async function fetchElevationAveragesForComparison(saleNo, year = null) {
+  try {
+    const history = await fetchElevationAverageHistory();
+    const season = !year ? Math.max(...Object.keys(history).map(Number), 0)
+      : history[year] ? year : 0;
+    return (history[season] || {})[parseInt(saleNo)] || {};
+  } catch (err) {
+    console.error("❌ Error fetching elevation averages:", err.message);
+    logError(err, "fetchElevationAveragesForComparison");
+    return {};
+  }
+}
+
+// elevationAvgs can be passed in when formatting many reports for one sale
+async function formatFactoryDataMessage(factoryData, saleNo, elevationAvgs = null) {
+  const year = parseInt(factoryData[0].year) || null;
+  if (!elevationAvgs) {
+    elevationAvgs = saleNo ? await fetchElevationAveragesForComparison(saleNo, year) : {};
+  }
+  
+  const byElevation = {};
+  factoryData.forEach(factory => {
+    const elev = factory.elevation.toUpperCase();
+    if (!byElevation[elev]) {
+      byElevation[elev] = [];
+    }
+    byElevation[elev].push(factory);
+  });
+
+  let message = `🏭 *FACTORY PERFORMANCE REPORT*\n`;
+  if (saleNo) {
+    message += `📊 Sale No: ${formatSaleLabel(saleNo, year)}\n`;
+  }
+  message += `${"═".repeat(42)}\n\n`;
+
+  for (const [elevation, factories] of Object.entries(byElevation)) {
+    const emoji = ELEVATION_EMOJIS[elevation] || '🍃';
+    const elevAvg = elevationAvgs[elevation];
+    
+    message += `${emoji} *${elevation} ELEVATION*\n`;
+    if (elevAvg) {
+      message += `📈 Market Avg: Rs. ${parseFloat(elevAvg).toFixed(2)}\n`;
+    }
+    message += `${"─".repeat(42)}\n\n`;
+
+    factories.forEach((factory, idx) => {
+      message += `*${idx + 1}. ${factory.factory}*\n`;
+      message += `   Code: ${factory.fcode}\n`;
+      message += `${"┈".repeat(42)}\n`;
+      
+      message += `📅 *WEEKLY PERFORMANCE*\n`;
+      const wqty = parseFloat(factory.wqty) || 0;
+      const wavg = parseFloat(factory.wavg) || 0;
+      message += `   Quantity: ${wqty.toLocaleString()} kg\n`;
+      message += `   Average: Rs. ${wavg.toFixed(2)}\n`;
+      if (factory.wrank !== "-" && factory.wrank !== "0") {
+        message += `   🏆 Rank: #${factory.wrank}\n`;
+      }
+      
+      if (elevAvg && wavg > 0) {
+        const diff = wavg - elevAvg;
+        const diffPercent = ((diff / elevAvg) * 100).toFixed(1);
+        if (diff > 0) {
+          message += `   ✅ Above Market: +Rs. ${diff.toFixed(2)} (+${diffPercent}%)\n`;
+        } else if (diff < 0) {
+          message += `   ⚠️ Below Market: Rs. ${diff.toFixed(2)} (${diffPercent}%)\n`;
+        } else {
+          message += `   ➖ At Market Average\n`;
+        }
+      }
+      message += `\n`;
+      
+      message += `📆 *MONTHLY PERFORMANCE*\n`;
+      const mqty = parseFloat(factory.mqty) || 0;
+      const mavg = parseFloat(factory.mavg) || 0;
+      message += `   Quantity: ${mqty.toLocaleString()} kg\n`;
+      message += `   Average: Rs. ${mavg.toFixed(2)}\n`;
+      if (factory.mrank !== "-" && factory.mrank !== "0") {
+        message += `   🏆 Rank: #${factory.mrank}\n`;
+      }
+      message += `\n`;
+      
+      message += `📊 *YEARLY PERFORMANCE*\n`;
+      const yqty = parseFloat(factory.yqty) || 0;
+      const yavg = parseFloat(factory.yavg) || 0;
+      message += `   Quantity: ${yqty.toLocaleString()} kg\n`;
+      message += `   Average: Rs. ${yavg.toFixed(2)}\n`;
+      if (factory.yrank !== "-" && factory.yrank !== "0") {
+        message += `   🏆 Rank: #${factory.yrank}\n`;
+      }
+      
+      message += `\n${"─".repeat(42)}\n\n`;
+    });
+  }
+
+  message += `${"═".repeat(42)}\n`;
+  message += `💡 *Legend*\n`;
+  message += `✅ Above market | ⚠️ Below market | 🏆 Ranking\n`;
+  message += `📅 Week | 📆 Month | 📊 Year\n`;
+
+  return message;
+}
+
+// Head-to-head view for "MF0235 vs MF0777": every metric lists the factories in
+// the order asked, with 🏆 on the better figure, then each factory's gap to
+// its own elevation average, which is the fair measure across elevations.
+const COMPARISON_PERIODS = [
+  { emoji: '📅', title: 'WEEKLY', qty: 'wqty', avg: 'wavg', rank: 'wrank' },
+  { emoji: '📆', title: 'MONTHLY', qty: 'mqty', avg: 'mavg', rank: 'mrank' },
+  { emoji: '📊', title: 'YEARLY', qty: 'yqty', avg: 'yavg', rank: 'yrank' }
+];
+
+// Indexes of the best value (higher is better unless lowerIsBetter); none when all are level
+function findLeaders(values, lowerIsBetter = false) {
+  const known = values.filter(value => value !== null);
+  if (known.length < 2) return [];
+  
+  const best = lowerIsBetter ? Math.min(...known) : Math.max(...known);
+  const leaders = values.map((value, i) => value === best ? i : -1).filter(i => i !== -1);
+  return leaders.length === known.length ? [] : leaders;
+}
+
+async function formatFactoryComparisonMessage(factoryData, saleNo, elevationAvgs = null) {
+  const year = parseInt(factoryData[0].year) || null;
+  if (!elevationAvgs) {
+    elevationAvgs = saleNo ? await fetchElevationAveragesForComparison(saleNo, year) : {};
+  }
+  
+  // One row per factory, in the order the data came back
+  const factories = factoryData.filter((row, i) =>
+    factoryData.findIndex(other => other.fcode === row.fcode) === i
+  );
+  const wins = factories.map(() => 0);
+  let measures = 0;
+  
+  const number = value => parseFloat(value) || 0;
+  const rank = value => value !== "-" && value !== "0" && !isNaN(parseInt(value)) ? parseInt(value) : null;
+  
+  // Ranks are within an elevation, so across elevations they are shown but not scored
+  const elevations = new Set(factories.map(factory => factory.elevation.toUpperCase()));
+  const mixedElevations = elevations.size > 1;
+  
+  const addMetric = (title, values, format, lowerIsBetter = false, scored = true) => {
+    const leaders = scored ? findLeaders(values, lowerIsBetter) : [];
+    if (leaders.length > 0) {
+      measures++;
+      leaders.forEach(i => wins[i]++);
+    }
+    
+    let section = `*${title}*\n`;
+    factories.forEach((factory, i) => {
+      section += `   ${leaders.includes(i) ? '🏆' : '•'} ${factory.factory}: ${values[i] === null ? '-' : format(values[i])}\n`;
+    });
+    return section;
+  };
+  
+  let message = `⚖️ *FACTORY COMPARISON*\n`;
+  if (saleNo) {
+    message += `📊 Sale No: ${formatSaleLabel(saleNo, year)}\n`;
+  }
+  message += `${"═".repeat(42)}\n\n`;
+  
+  factories.forEach(factory => {
+    const elevation = factory.elevation.toUpperCase();
+    message += `${ELEVATION_EMOJIS[elevation] || '🍃'} *${factory.factory}* (${factory.fcode}) - ${elevation}\n`;
+  });
+  
+  if (mixedElevations) {
+    message += `\nℹ️ Different elevations: ranks are within each elevation and are not scored; the gap to the elevation average is the fairer measure.\n`;
+  }
+  message += `\n`;
+  
+  COMPARISON_PERIODS.forEach(period => {
+    message += `${"─".repeat(42)}\n`;
+    message += `${period.emoji} *${period.title}*\n\n`;
+    message += addMetric('Quantity', factories.map(f => number(f[period.qty])), value => `${value.toLocaleString()} kg`);
+    message += addMetric('Average', factories.map(f => number(f[period.avg]) || null), value => `Rs. ${value.toFixed(2)}`);
+    message += addMetric(mixedElevations ? 'Rank (within elevation)' : 'Rank',
+      factories.map(f => rank(f[period.rank])), value => `#${value}`, true, !mixedElevations);
+    message += `\n`;
+  });
+  
+  // Weekly average against the factory's own elevation average for the sale
+  const gaps = factories.map(factory => {
+    const elevAvg = elevationAvgs[factory.elevation.toUpperCase()];
+    const wavg = number(factory.wavg);
+    return elevAvg && wavg > 0 ? wavg - elevAvg : null;
+  });
+  
+  message += `${"─".repeat(42)}\n`;
+  message += `🎯 *VS ELEVATION AVERAGE* (weekly)\n\n`;
+  const gapLeaders = findLeaders(gaps);
+  if (gapLeaders.length > 0) {
+    measures++;
+    gapLeaders.forEach(i => wins[i]++);
+  }
+  factories.forEach((factory, i) => {
+    const elevation = factory.elevation.toUpperCase();
+    const elevAvg = elevationAvgs[elevation];
+    const marker = gapLeaders.includes(i) ? '🏆' : '•';
+    
+    if (gaps[i] === null) {
+      message += `   ${marker} ${factory.factory}: no ${elevation} average for this sale\n`;
+      return;
+    }
+    const percent = ((gaps[i] / elevAvg) * 100).toFixed(1);
+    message += `   ${marker} ${factory.factory}: ${gaps[i] >= 0 ? '+' : '-'}Rs. ${Math.abs(gaps[i]).toFixed(2)} ` +
+      `(${gaps[i] >= 0 ? '+' : ''}${percent}%) vs ${elevation} Rs. ${parseFloat(elevAvg).toFixed(2)}\n`;
+  });
+  
+  message += `\n${"═".repeat(42)}\n`;
+  const mostWins = Math.max(...wins);
+  const ahead = factories.filter((_, i) => wins[i] === mostWins);
+  if (measures === 0 || mostWins === 0) {
+    message += `🏁 Level on every measure\n`;
+  } else if (ahead.length === 1) {
+    message += `🏁 *${ahead[0].factory}* leads on ${mostWins} of ${measures} measures\n`;
+  } else {
+    message += `🏁 ${ahead.map(f => `*${f.factory}*`).join(' and ')} lead on ${mostWins} of ${measures} measures each\n`;
+  }
+  message += `🏆 Better figure | Rank: lower is better\n`;
+  
+  return message;
+}
+
+// ==================
+// FACTORY NAME LOOKUP
+// ==================
+// Estate managers ask by name ("how did Kenilworth do in sale 38"), so names
+// in the FACTORY column are matched against the message, tolerating typos
+// and partial names, and resolved to FCODEs. Elevation and market report
+// requests are never searched: "western high" is an elevation, not Great Western.
+const FACTORY_NAME_INTENTS = ['factory_query', 'general'];
+const FACTORY_NAME_THRESHOLD = 0.8;
+const FACTORY_NAME_MAX_CHOICES = 8;
+
+// Generic words in factory names that say nothing about which factory it is
+const FACTORY_NAME_NOISE = ['estate', 'estates', 'factory', 'tea', 'group', 'ltd', 'pvt', 'plc', 'co', 'company'];
+
+// Everyday and domain words that must never be read as (part of) a factory name
+const FACTORY_NAME_STOPWORDS = new Set([
+  'how', 'did', 'does', 'do', 'the', 'what', 'about', 'for', 'and', 'also', 'was', 'were', 'is', 'are',
+  'in', 'of', 'at', 'on', 'with', 'me', 'my', 'our', 'your', 'can', 'you', 'please', 'show', 'give',
+  'send', 'tell', 'check', 'need', 'want', 'get', 'see', 'hello', 'thanks', 'thank', 'help', 'cancel',
+  'sale', 'sales', 'data', 'factory', 'factories', 'average', 'averages', 'avg', 'report', 'reports',
+  'market', 'latest', 'last', 'this', 'week', 'weekly', 'previous', 'current', 'recent', 'performance',
+  'price', 'prices', 'elevation', 'details', 'code', 'codes', 'result', 'results', 'rank', 'ranking',
+  'month', 'year', 'quantity', 'pdf', 'number', 'status', 'request', 'bot', 'versus', 'against',
+  'compare', 'comparison',
+  // Elevation and department names ("western high", "accounts")
+  ...Object.keys({ ...ELEVATION_MAP, ...DEPARTMENT_MAP }).flatMap(key => key.split(/[^a-z]+/))
+]);
+
+let factoryDirectory = null;
+let factoryDirectoryFetchedAt = 0;
+
+function normalizeFactoryName(name) {
+  return name.toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !FACTORY_NAME_NOISE.includes(word))
+    .join(' ');
+}
+
+// [{ code, name, key }] - one entry per FCODE
+async function getFactoryDirectory() {
+  if (factoryDirectory && Date.now() - factoryDirectoryFetchedAt < CACHE_DURATION) {
+    return factoryDirectory;
+  }
+
+  const rows = await dataSource.readSheet('factory');
+  const headerRowIndex = rows.slice(0, 5).findIndex(row =>
+    row && row.some(cell => cell && cell.toString().toUpperCase().trim() === "FCODE")
+  );
+  if (headerRowIndex === -1) return [];
+
+  const headers = rows[headerRowIndex].map(h => h ? h.toString().toUpperCase().trim() : "");
+  const factoryIndex = headers.findIndex(h => h === "FACTORY");
+  const fcodeIndex = headers.findIndex(h => h === "FCODE");
+  if (factoryIndex === -1 || fcodeIndex === -1) return [];
+
+  const byCode = new Map();
+  for (let i = headerRowIndex + 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row || !row[fcodeIndex] || !row[factoryIndex]) continue;
+    
+    const code = row[fcodeIndex].toString().replace(/\s+/g, '').toUpperCase();
+    const name = row[factoryIndex].toString().trim();
+    const key = normalizeFactoryName(name);
+    if (key) byCode.set(code, { code, name, key });
+  }
+
+  factoryDirectory = [...byCode.values()];
+  factoryDirectoryFetchedAt = Date.now();
+  console.log(`✅ Factory directory loaded: ${factoryDirectory.length} factories`);
+  return factoryDirectory;
+}
+
+function nameSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 0;
+  return 1 - natural.LevenshteinDistance(a, b) / longest;
+}
+
+// A single word stands for part of a name only when no other factory shares it
+// and it is not everyday English ("great" alone is not Great Western)
+function isDistinctiveNameWord(word, directory) {
+  const owners = directory.filter(factory => factory.key.split(' ').some(nameWord =>
+    nameWord === word || (word.length >= 4 && nameWord.startsWith(word))
+  ));
+  return owners.length === 1 && !isEnglishWord(word);
+}
+
+// Best match of one factory against the message words: { score, start, end }
+function scoreFactoryName(factory, words, directory) {
+  const nameWords = factory.key.split(' ');
+  let best = { score: 0, start: -1, end: -1 };
+
+  for (let start = 0; start < words.length; start++) {
+    for (let size = 1; size <= nameWords.length && start + size <= words.length; size++) {
+      const phrase = words.slice(start, start + size).join(' ');
+      let score = nameSimilarity(phrase, factory.key);
+      
+      // Partial names: "kenil" for Kenilworth, "vithanakande" for New Vithanakande
+      if (size < nameWords.length || phrase.length < factory.key.length) {
+        const partOfName = nameWords.some(word =>
+          word === phrase || (phrase.length >= 4 && word.startsWith(phrase))
+        ) && isDistinctiveNameWord(phrase, directory);
+        if (partOfName) score = Math.max(score, 0.9);
+      }
+      
+      if (score > best.score) {
+        best = { score, start, end: start + size };
+      }
+    }
+  }
+  return best;
+}
+
+// Drops factories this number may not see from a name lookup, so a pick list or
+// a refusal never shows it another client's factory names or codes. A single
+// choice left over becomes a match.
+async function filterFactoryLookup(userId, lookup) {
+  const codes = [...lookup.matches, ...lookup.choices].map(factory => factory.code);
+  const { allowed } = await factoryAccess.check(userId, codes);
+  
+  const matches = lookup.matches.filter(factory => allowed.includes(factory.code));
+  const choices = lookup.choices.filter(factory => allowed.includes(factory.code));
+  return choices.length === 1
+    ? { matches: [...matches, ...choices], choices: [] }
+    : { matches, choices };
+}
+
+// Returns { matches: [{ code, name }], choices: [{ code, name }] } - matches are
+// names resolved to one factory, choices are candidates when a name fits several.
+async function findFactoriesByName(text) {
+  const result = { matches: [], choices: [] };
+  const words = text.toLowerCase()
+    .replace(/\bmf\s*[a-z]?\s*\d{3,4}\b/g, ' ')
+    .split(/[^a-z]+/)
+    .filter(word => word.length >= 3 && !FACTORY_NAME_STOPWORDS.has(word));
+  if (words.length === 0) return result;
+
+  let directory;
+  try {
+    directory = await getFactoryDirectory();
+  } catch (err) {
+    console.error("❌ Error loading factory directory:", err.message);
+    logError(err, "findFactoriesByName");
+    return result;
+  }
+
+  const scored = directory
+    .map(factory => ({ factory, ...scoreFactoryName(factory, words, directory) }))
+    .filter(candidate => candidate.score >= FACTORY_NAME_THRESHOLD);
+  if (scored.length === 0) return result;
+
+  // Group candidates by the words they matched; a span inside a better or equal
+  // longer span ("vithanakande" within "new vithanakande") is dropped.
+  const spans = new Map();
+  for (const candidate of scored) {
+    const spanKey = `${candidate.start}-${candidate.end}`;
+    if (!spans.has(spanKey)) spans.set(spanKey, []);
+    spans.get(spanKey).push(candidate);
+  }
+
+  const groups = [...spans.values()].map(group => ({
+    start: group[0].start,
+    end: group[0].end,
+    best: Math.max(...group.map(c => c.score)),
+    candidates: group.sort((a, b) => b.score - a.score)
+  }));
+
+  for (const group of groups) {
+    const covered = groups.some(other => other !== group &&
+      other.start <= group.start && other.end >= group.end &&
+      other.end - other.start > group.end - group.start &&
+      other.best >= group.best);
+    if (covered) continue;
+
+    const top = group.candidates.filter(c => group.best - c.score < 0.05);
+    if (top.length === 1) {
+      result.matches.push({ code: top[0].factory.code, name: top[0].factory.name });
+    } else {
+      result.choices.push(...top.map(c => ({ code: c.factory.code, name: c.factory.name })));
+    }
+  }
+
+  result.choices = result.choices.slice(0, FACTORY_NAME_MAX_CHOICES);
+  return result;
+}
+
+// ==================
+// FACTORY TRENDS
+// ==================
+// Weekly figures for a factory across several sales, each compared with the
+// elevation average of that sale.
+function describeSaleRange(range) {
+  let label;
+  if (range.last) label = `Last ${range.last} sales`;
+  else if (range.sales) label = range.compare ? `Sale ${range.sales.join(' vs ')}` : `Sales ${range.sales.join(', ')}`;
+  else label = `Sales ${range.from}-${range.to}`;
+  return range.year ? `${label} (${range.year})` : label;
+}
+
+// "30-38" or "36, 37, 38" for not-found replies; null for "last N sales"
+function formatRangeSales(range) {
+  if (range.last) return null;
+  return range.sales ? range.sales.join(', ') : `${range.from}-${range.to}`;
+}
+
+// Sale numbers a range covers within one season's sales (ascending)
+function selectRangeSales(available, range) {
+  if (range.last) return available.slice(-range.last);
+  if (range.sales) return available.filter(sale => range.sales.includes(sale));
+  return available.filter(sale => sale >= range.from && sale <= range.to).slice(-MAX_TREND_SALES);
+}
+
+function formatPercentChange(from, to) {
+  if (!from) return "-";
+  const percent = ((to - from) / from) * 100;
+  return `${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%`;
+}
+
+// [{ fcode, factory, elevation, sales: [{ sale, year, wavg, wqty, wrank, elevAvg, diff }] }], oldest sale first
+async function fetchFactoryTrend(factoryCodes, range) {
+  try {
+    const rows = await fetchFactoryData(factoryCodes, null);
+    if (!rows) return null;
+
+    const history = await fetchElevationAverageHistory();
+    const byCode = {};
+
+    rows.forEach(row => {
+      const sale = parseInt(row.sale);
+      if (isNaN(sale)) return;
+      
+      const code = row.fcode.replace(/\s+/g, '').toUpperCase();
+      const elevation = row.elevation.toUpperCase();
+      if (!byCode[code]) {
+        byCode[code] = { fcode: code, factory: row.factory, elevation, sales: [] };
+      }
+      
+      const wavg = parseFloat(row.wavg) || 0;
+      const season = history[parseInt(row.year) || 0] || history[0] || {};
+      const elevAvg = (season[sale] || {})[elevation] || null;
+      byCode[code].sales.push({
+        sale,
+        year: parseInt(row.year) || 0,
+        wavg,
+        wqty: parseFloat(row.wqty) || 0,
+        wrank: row.wrank,
+        elevAvg,
+        diff: elevAvg && wavg > 0 ? wavg - elevAvg : null
+      });
+    });
+
+    const trends = [];
+    for (const code of factoryCodes) {
+      const trend = byCode[code.replace(/\s+/g, '').toUpperCase()];
+      if (!trend) continue;
+      
+      trend.sales.sort((a, b) => a.year - b.year || a.sale - b.sale);
+      if (range.last) {
+        // With a year: the last sales up to the end of that season
+        trend.sales = trend.sales.filter(s => !range.year || s.year <= range.year).slice(-range.last);
+      } else {
+        // A sale range or list without a year means the latest season
+        const season = range.year || Math.max(...trend.sales.map(s => s.year));
+        const inSeason = trend.sales.filter(s => s.year === season);
+        const picked = selectRangeSales(inSeason.map(s => s.sale), range);
+        trend.sales = inSeason.filter(s => picked.includes(s.sale));
+      }
+      
+      if (trend.sales.length > 0) trends.push(trend);
+    }
+
+    return trends.length > 0 ? trends : null;
+  } catch (err) {
+    console.error("❌ Error fetching factory trend:", err.message);
+    logError(err, "fetchFactoryTrend");
+    return null;
+  }
+}
+
+function formatSignedAmount(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+}
+
+function summarizeTrend(sales) {
+  const priced = sales.filter(s => s.wavg > 0);
+  if (priced.length < 2) {
+    return `➖ Not enough sales to show a trend.\n`;
+  }
+
+  const first = priced[0];
+  const last = priced[priced.length - 1];
+  const change = last.wavg - first.wavg;
+  const changePercent = (change / first.wavg) * 100;
+
+  // Least-squares slope, so a single odd week doesn't decide the direction
+  const n = priced.length;
+  const meanX = (n - 1) / 2;
+  const meanY = priced.reduce((sum, s) => sum + s.wavg, 0) / n;
+  const slope = priced.reduce((sum, s, i) => sum + (i - meanX) * (s.wavg - meanY), 0) /
+    priced.reduce((sum, s, i) => sum + (i - meanX) ** 2, 0);
+  const fittedChangePercent = (slope * (n - 1) / meanY) * 100;
+
+  let summary;
+  if (Math.abs(fittedChangePercent) < 1) {
+    summary = `➖ *Steady*`;
+  } else if (slope > 0) {
+    summary = `📈 *Improving*`;
+  } else {
+    summary = `📉 *Declining*`;
+  }
+  summary += `: WAVG ${formatSignedAmount(change)} (${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(1)}%) ` +
+    `from Sale ${first.sale} to Sale ${last.sale}\n`;
+  
+  const qtyChange = Math.round(last.wqty - first.wqty);
+  summary += `   Quantity ${qtyChange >= 0 ? '+' : ''}${qtyChange.toLocaleString()} kg (${formatPercentChange(first.wqty, last.wqty)})\n`;
+
+  const compared = priced.filter(s => s.diff !== null);
+  if (compared.length > 0) {
+    const above = compared.filter(s => s.diff > 0).length;
+    summary += `   Above elevation average in ${above} of ${compared.length} sales`;
+    if (compared.length >= 2) {
+      summary += ` (gap ${formatSignedAmount(compared[0].diff)} → ${formatSignedAmount(compared[compared.length - 1].diff)})`;
+    }
+    summary += `\n`;
+  }
+
+  const ranked = priced.filter(s => s.wrank !== "-" && s.wrank !== "0");
+  if (ranked.length >= 2) {
+    summary += `   Rank: #${ranked[0].wrank} → #${ranked[ranked.length - 1].wrank}\n`;
+  }
+
+  return summary;
+}
+
+function formatFactoryTrendMessage(trends, range) {
+  let message = range.compare ? `⚖️ *SALE COMPARISON*\n` : `📈 *FACTORY TREND*\n`;
+  message += `📊 ${describeSaleRange(range)}\n`;
+  message += `${"═".repeat(42)}\n\n`;
+
+  trends.forEach(trend => {
+    const emoji = ELEVATION_EMOJIS[trend.elevation] || '🍃';
+    const multiYear = new Set(trend.sales.map(s => s.year)).size > 1;
+    
+    message += `${emoji} *${trend.factory}* (${trend.fcode}) - ${trend.elevation}\n`;
+    message += "```\n";
+    message += `${"Sale".padEnd(5)}${"WAVG".padStart(8)}${"Chg".padStart(7)}${"±Avg".padStart(8)}${"WQTY".padStart(8)}${"Rank".padStart(5)}\n`;
+    
+    trend.sales.forEach((s, i) => {
+      const label = multiYear ? `${s.sale}/${String(s.year).slice(-2)}` : `${s.sale}`;
+      const rank = s.wrank !== "-" && s.wrank !== "0" ? `#${s.wrank}` : "-";
+      const previous = trend.sales[i - 1];
+      const change = previous && previous.wavg > 0 && s.wavg > 0 ? formatPercentChange(previous.wavg, s.wavg) : "-";
+      message += label.padEnd(5) +
+        (s.wavg > 0 ? s.wavg.toFixed(2) : "-").padStart(8) +
+        change.padStart(7) +
+        (s.diff !== null ? formatSignedAmount(s.diff) : "-").padStart(8) +
+        Math.round(s.wqty).toLocaleString().padStart(8) +
+        rank.padStart(5) + "\n";
+    });
+    
+    message += "```\n";
+    message += summarizeTrend(trend.sales);
+    message += `${"─".repeat(42)}\n\n`;
+  });
+
+  message += `${"═".repeat(42)}\n`;
+  message += `💡 Chg = WAVG change from the sale above\n`;
+  message += `💡 ±Avg = WAVG minus that sale's elevation average\n`;
+
+  return message;
+}
+
+// ==================
+// ELEVATION AVERAGES
+// ==================
+// Averages for one sale as { UH: "1430", L: "1275.5", ... }, or null.
+// Without a year the sale is looked up in the current season.
+async function fetchElevationAverageValues(saleNo, year = null) {
+  try {
+    const rows = await dataSource.readSheet('elevation');
+    if (!rows || rows.length === 0) {
+      return null;
+    }
+
+    // Find header row
+    let headerRowIndex = 0;
+    let headers = [];
+    
+    for (let i = 0; i < Math.min(3, rows.length); i++) {
+      const row = rows[i];
+      if (row && row.some(cell => cell && cell.toString().toUpperCase().includes("SALENO"))) {
+        headerRowIndex = i;
+        headers = row.map(h => h ? h.toString().toUpperCase() : "");
+        break;
+      }
+    }
+
+    if (headers.length === 0) {
+      console.error("❌ Header row not found in elevation sheet");
+      return null;
+    }
+
+    const salenoIndex = headers.findIndex(h => h.includes("SALENO") || h.includes("SALE"));
+    const elevationIndex = headers.findIndex(h => h === "ELEVATION");
+    const avgIndex = headers.findIndex(h => (h.includes("TOTAL") && h.includes("AVG")) || h === "TOTAL AVG");
+
+    if (salenoIndex === -1 || elevationIndex === -1 || avgIndex === -1) {
+      console.error("❌ Required columns not found");
+      return null;
+    }
+
+    const yearIndex = headers.findIndex(h => h.trim() === "YEAR");
+    const season = resolveSeason(rows, headerRowIndex + 1, yearIndex, year);
+    const result = {};
+    
+    for (let i = headerRowIndex + 1; i < rows.length; i++) {
+      const row = rows[i];
+      if (!row || row.length === 0) continue;
+      
+      const rowSaleNo = row[salenoIndex] ? row[salenoIndex].toString().trim() : "";
+      const rowSaleNoNum = parseInt(rowSaleNo);
+      
+      if (rowSaleNoNum === parseInt(saleNo) && (!season || parseInt(row[yearIndex]) === season)) {
+        const elevation = row[elevationIndex];
+        const avg = row[avgIndex];
+        
+        if (elevation && avg && avg !== "NULL") {
+          result[elevation.toString().toUpperCase()] = avg.toString();
+        }
+      }
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+  } catch (err) {
+    console.error("❌ Error fetching elevation averages:", err.message);
+    logError(err, "fetchElevationAverageValues");
+    return null;
+  }
+}
+
+function formatElevationAveragesMessage(saleNo, averages, year = null) {
+  let message = `📊 *ELEVATION AVERAGES*\n`;
+  message += `Sale No: ${formatSaleLabel(saleNo, year)}\n`;
+  message += `${"═".repeat(42)}\n\n`;
+  
+  for (const [elev, avg] of Object.entries(averages)) {
+    const emoji = ELEVATION_EMOJIS[elev] || '🍃';
+    message += `${emoji} ${elev.padEnd(10)} Rs. ${avg}\n`;
+  }
+  
+  message += `\n${"═".repeat(42)}`;
+
+  return message;
+}
+
+// Up to this many sales are shown as columns; longer ranges get one table per elevation
+const ELEVATION_SIDE_BY_SIDE_SALES = 3;
+
+// Several sales of one season from the elevation history:
+// { season, sales: [36, 37, 38], missing: [], averages: { UH: { 36: 1410, ... } } } or null
+async function fetchElevationComparison(range, elevation = null) {
+  try {
+    const history = await fetchElevationAverageHistory();
+    const seasons = Object.keys(history).map(Number);
+    if (seasons.length === 0) return null;
+    
+    // Sheets without a YEAR column keep everything under season 0
+    const season = range.year && history[range.year] ? range.year : Math.max(...seasons);
+    if (range.year && season !== range.year && season !== 0) return null;
+    
+    const bySale = history[season];
+    const sales = selectRangeSales(Object.keys(bySale).map(Number).sort((a, b) => a - b), range);
+    if (sales.length === 0) return null;
+    
+    const averages = {};
+    sales.forEach(sale => {
+      for (const [elev, avg] of Object.entries(bySale[sale])) {
+        if (elevation && elev !== elevation) continue;
+        if (!averages[elev]) averages[elev] = {};
+        averages[elev][sale] = avg;
+      }
+    });
+    if (Object.keys(averages).length === 0) return null;
+    
+    return {
+      season,
+      sales,
+      missing: range.sales ? range.sales.filter(sale => !sales.includes(sale)) : [],
+      averages
+    };
+  } catch (err) {
+    console.error("❌ Error fetching elevation comparison:", err.message);
+    logError(err, "fetchElevationComparison");
+    return null;
+  }
+}
+
+function formatRoundedChange(from, to) {
+  if (from === undefined || to === undefined) return "-";
+  const change = Math.round(to - from);
+  return `${change >= 0 ? '+' : ''}${change}`;
+}
+
+function formatElevationComparisonMessage(comparison, range) {
+  const { season, sales, missing, averages } = comparison;
+  const elevations = Object.keys(averages).sort((a, b) => {
+    const order = Object.keys(ELEVATION_EMOJIS);
+    return (order.indexOf(a) + 1 || order.length + 1) - (order.indexOf(b) + 1 || order.length + 1);
+  });
+  const value = avg => avg === undefined ? "-" : String(Math.round(avg));
+  const first = sales[0];
+  const last = sales[sales.length - 1];
+  
+  let message = range.compare ? `⚖️ *ELEVATION COMPARISON*\n` : `📊 *ELEVATION AVERAGES*\n`;
+  message += `📊 ${describeSaleRange({ ...range, year: season || null })}\n`;
+  message += `${"═".repeat(42)}\n\n`;
+  
+  if (sales.length <= ELEVATION_SIDE_BY_SIDE_SALES) {
+    // Side by side: one column per sale, then the change from the first to the last
+    const compared = sales.length > 1;
+    message += "```\n";
+    message += "Elev".padEnd(5) + sales.map(sale => String(sale).padStart(6)).join('') +
+      (compared ? "Chg".padStart(7) + "%".padStart(8) : "") + "\n";
+    elevations.forEach(elev => {
+      const row = averages[elev];
+      message += elev.padEnd(5) + sales.map(sale => value(row[sale]).padStart(6)).join('');
+      if (compared) {
+        message += formatRoundedChange(row[first], row[last]).padStart(7) +
+          (row[first] !== undefined && row[last] !== undefined ? formatPercentChange(row[first], row[last]) : "-").padStart(8);
+      }
+      message += "\n";
+    });
+    message += "```\n";
+    if (compared) message += `💡 Chg = Sale ${last} minus Sale ${first}, in Rs.\n`;
+  } else {
+    // Longer ranges: a table per elevation, each sale against the one before
+    elevations.forEach(elev => {
+      const row = averages[elev];
+      const priced = sales.filter(sale => row[sale] !== undefined);
+      
+      message += `${ELEVATION_EMOJIS[elev] || '🍃'} *${elev}*\n`;
+      message += "```\n";
+      message += `${"Sale".padEnd(5)}${"Avg".padStart(7)}${"Chg".padStart(7)}${"%".padStart(8)}\n`;
+      priced.forEach((sale, i) => {
+        const previous = i > 0 ? row[priced[i - 1]] : undefined;
+        message += String(sale).padEnd(5) + value(row[sale]).padStart(7) +
+          (i > 0 ? formatRoundedChange(previous, row[sale]) : "-").padStart(7) +
+          (i > 0 ? formatPercentChange(previous, row[sale]) : "-").padStart(8) + "\n";
+      });
+      message += "```\n";
+      if (priced.length >= 2) {
+        const from = row[priced[0]];
+        const to = row[priced[priced.length - 1]];
+        message += `${to >= from ? '📈' : '📉'} ${formatRoundedChange(from, to)} (${formatPercentChange(from, to)}) from Sale ${priced[0]} to Sale ${priced[priced.length - 1]}\n`;
+      }
+      message += `${"─".repeat(42)}\n`;
+    });
+    message += `💡 Chg = change from the sale above, in Rs.\n`;
+  }
+  
+  if (missing.length > 0) {
+    message += `⚠️ No figures for Sale ${missing.join(', ')}\n`;
+  }
+  message += `${"═".repeat(42)}`;
+  
+  return message;
+}
+
+// ==================
+// CHARTS
+// ==================
+// PNG charts drawn in-process: a small RGB canvas, a 5x7 bitmap font and a
+// PNG encoder on top of zlib, so no browser or chart service is involved.
+// Text is drawn in capitals; characters outside the font show as "?".
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 450;
+
+const CHART_COLORS = {
+  background: [255, 255, 255],
+  text: [33, 33, 33],
+  muted: [117, 117, 117],
+  grid: [224, 224, 224],
+  axis: [158, 158, 158],
+  factory: [46, 125, 50],
+  market: [239, 108, 0],
+  bar: [46, 125, 50]
+};
+
+// Each glyph is seven rows of five pixels, high bit on the left
+const CHART_FONT = {
+  '0': [14, 17, 19, 21, 25, 17, 14], '1': [4, 12, 4, 4, 4, 4, 14], '2': [14, 17, 1, 2, 4, 8, 31],
+  '3': [31, 2, 4, 2, 1, 17, 14], '4': [2, 6, 10, 18, 31, 2, 2], '5': [31, 16, 30, 1, 1, 17, 14],
+  '6': [6, 8, 16, 30, 17, 17, 14], '7': [31, 1, 2, 4, 8, 8, 8], '8': [14, 17, 17, 14, 17, 17, 14],
+  '9': [14, 17, 17, 15, 1, 2, 12], 'A': [14, 17, 17, 31, 17, 17, 17], 'B': [30, 17, 17, 30, 17, 17, 30],
+  'C': [14, 17, 16, 16, 16, 17, 14], 'D': [28, 18, 17, 17, 17, 18, 28], 'E': [31, 16, 16, 30, 16, 16, 31],
+  'F': [31, 16, 16, 30, 16, 16, 16], 'G': [14, 17, 16, 23, 17, 17, 15], 'H': [17, 17, 17, 31, 17, 17, 17],
+  'I': [14, 4, 4, 4, 4, 4, 14], 'J': [7, 2, 2, 2, 2, 18, 12], 'K': [17, 18, 20, 24, 20, 18, 17],
+  'L': [16, 16, 16, 16, 16, 16, 31], 'M': [17, 27, 21, 21, 17, 17, 17], 'N': [17, 17, 25, 21, 19, 17, 17],
+  'O': [14, 17, 17, 17, 17, 17, 14], 'P': [30, 17, 17, 30, 16, 16, 16], 'Q': [14, 17, 17, 17, 21, 18, 13],
+  'R': [30, 17, 17, 30, 20, 18, 17], 'S': [15, 16, 16, 14, 1, 1, 30], 'T': [31, 4, 4, 4, 4, 4, 4],
+  'U': [17, 17, 17, 17, 17, 17, 14], 'V': [17, 17, 17, 17, 17, 10, 4], 'W': [17, 17, 17, 21, 21, 21, 10],
+  'X': [17, 17, 10, 4, 10, 17, 17], 'Y': [17, 17, 17, 10, 4, 4, 4], 'Z': [31, 1, 2, 4, 8, 16, 31],
+  ' ': [0, 0, 0, 0, 0, 0, 0], '.': [0, 0, 0, 0, 0, 12, 12], ',': [0, 0, 0, 0, 12, 4, 8],
+  '-': [0, 0, 0, 31, 0, 0, 0], '+': [0, 4, 4, 31, 4, 4, 0], ':': [0, 12, 12, 0, 12, 12, 0],
+  '/': [0, 1, 2, 4, 8, 16, 0], '(': [2, 4, 8, 8, 8, 4, 2], ')': [8, 4, 2, 2, 2, 4, 8],
+  '#': [10, 10, 31, 10, 31, 10, 10], '%': [24, 25, 2, 4, 8, 19, 3], "'": [12, 4, 8, 0, 0, 0, 0],
+  '&': [12, 18, 20, 8, 21, 18, 13], '?': [14, 17, 1, 2, 4, 0, 4]
+};
+
+const PNG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  let crc = 0xffffffff;
+  for (const byte of body) {
+    crc = PNG_CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE((crc ^ 0xffffffff) >>> 0);
+  return Buffer.concat([length, body, checksum]);
+}
+
+class ChartCanvas {
+  constructor(width, height, background = CHART_COLORS.background) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  setPixel(x, y, color) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const offset = (y * this.width + x) * 3;
+    this.pixels[offset] = color[0];
+    this.pixels[offset + 1] = color[1];
+    this.pixels[offset + 2] = color[2];
+  }
+
+  fillRect(x, y, width, height, color) {
+    for (let row = Math.round(y); row < Math.round(y + height); row++) {
+      for (let col = Math.round(x); col < Math.round(x + width); col++) {
+        this.setPixel(col, row, color);
+      }
+    }
+  }
+
+  fillCircle(cx, cy, radius, color) {
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy <= radius * radius) {
+          this.setPixel(cx + dx, cy + dy, color);
+        }
+      }
+    }
+  }
+
+  // dash: [on, off] lengths in pixels for a dashed line
+  line(x0, y0, x1, y1, color, thickness = 1, dash = null) {
+    const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+    const offset = Math.floor(thickness / 2);
+    
+    for (let i = 0; i <= steps; i++) {
+      if (dash && i % (dash[0] + dash[1]) >= dash[0]) continue;
+      const x = Math.round(x0 + ((x1 - x0) * i) / steps);
+      const y = Math.round(y0 + ((y1 - y0) * i) / steps);
+      this.fillRect(x - offset, y - offset, thickness, thickness, color);
+    }
+  }
+
+  static textWidth(text, scale = 2) {
+    return text.length * 6 * scale - scale;
+  }
+
+  // align: 'left' | 'center' | 'right' relative to x; y is the top of the text
+  text(text, x, y, color, scale = 2, align = 'left') {
+    const value = text.toString().toUpperCase();
+    const width = ChartCanvas.textWidth(value, scale);
+    let left = x;
+    if (align === 'center') left = x - width / 2;
+    if (align === 'right') left = x - width;
+    
+    [...value].forEach((char, index) => {
+      const glyph = CHART_FONT[char] || CHART_FONT['?'];
+      glyph.forEach((bits, row) => {
+        for (let col = 0; col < 5; col++) {
+          if (bits & (1 << (4 - col))) {
+            this.fillRect(left + (index * 6 + col) * scale, y + row * scale, scale, scale, color);
+          }
+        }
+      });
+    });
+  }
+
+  toPng() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // truecolour RGB
+    
+    const rowLength = this.width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * this.height);
+    for (let y = 0; y < this.height; y++) {
+      raw[y * (rowLength + 1)] = 0;  // filter: none
+      this.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+    
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+// Round axis steps to 1, 2 or 5 times a power of ten
+function niceChartStep(range, ticks = 5) {
+  const rough = range / ticks;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const normalized = rough / magnitude;
+  const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+  return nice * magnitude;
+}
+
+// Plot area with horizontal gridlines and value labels; returns a y mapper
+function drawChartAxes(canvas, area, min, max) {
+  const step = niceChartStep(max - min || Math.abs(max) || 1);
+  const low = Math.floor(min / step) * step;
+  let high = Math.ceil(max / step) * step;
+  if (high <= low) high = low + step;
+  const toY = value => area.bottom - ((value - low) / (high - low)) * (area.bottom - area.top);
+  
+  for (let value = low; value <= high + step / 2; value += step) {
+    const y = Math.round(toY(value));
+    canvas.line(area.left, y, area.right, y, CHART_COLORS.grid);
+    canvas.text(Math.round(value).toString(), area.left - 10, y - 7, CHART_COLORS.muted, 2, 'right');
+  }
+  canvas.line(area.left, area.top, area.left, area.bottom, CHART_COLORS.axis, 2);
+  canvas.line(area.left, area.bottom, area.right, area.bottom, CHART_COLORS.axis, 2);
+  
+  return toY;
+}
+
+function drawChartLegend(canvas, items, y) {
+  const widths = items.map(item => 36 + ChartCanvas.textWidth(item.label, 2));
+  let x = (canvas.width - widths.reduce((sum, w) => sum + w + 30, -30)) / 2;
+  
+  items.forEach((item, index) => {
+    canvas.line(x, y + 7, x + 24, y + 7, item.color, 3, item.dash || null);
+    canvas.text(item.label, x + 36, y, CHART_COLORS.text, 2);
+    x += widths[index] + 30;
+  });
+}
+
+// Factory WAVG against its elevation average, one point per sale (trend from fetchFactoryTrend)
+function renderFactoryTrendChart(trend) {
+  const canvas = new ChartCanvas(CHART_WIDTH, CHART_HEIGHT);
+  const area = { left: 90, right: CHART_WIDTH - 40, top: 70, bottom: CHART_HEIGHT - 90 };
+  const sales = trend.sales;
+  
+  const values = sales.flatMap(s => [s.wavg, s.elevAvg]).filter(v => v > 0);
+  if (values.length === 0) return null;
+  
+  canvas.text(`${trend.factory} (${trend.fcode})`, CHART_WIDTH / 2, 16, CHART_COLORS.text, 3, 'center');
+  canvas.text(`WAVG vs ${trend.elevation} average - Rs./kg`, CHART_WIDTH / 2, 46, CHART_COLORS.muted, 2, 'center');
+  
+  const padding = (Math.max(...values) - Math.min(...values)) * 0.1 || Math.max(...values) * 0.05;
+  const toY = drawChartAxes(canvas, area, Math.min(...values) - padding, Math.max(...values) + padding);
+  const toX = index => sales.length === 1
+    ? (area.left + area.right) / 2
+    : area.left + 30 + (index * (area.right - area.left - 60)) / (sales.length - 1);
+  
+  sales.forEach((s, index) => {
+    canvas.text(`${s.sale}`, toX(index), area.bottom + 12, CHART_COLORS.muted, 2, 'center');
+  });
+  canvas.text('Sale', (area.left + area.right) / 2, area.bottom + 36, CHART_COLORS.muted, 2, 'center');
+  
+  const series = [
+    { key: 'elevAvg', color: CHART_COLORS.market, dash: [10, 6] },
+    { key: 'wavg', color: CHART_COLORS.factory, dash: null }
+  ];
+  series.forEach(({ key, color, dash }) => {
+    let previous = null;
+    sales.forEach((s, index) => {
+      if (!(s[key] > 0)) {
+        previous = null;
+        return;
+      }
+      const point = [toX(index), toY(s[key])];
+      if (previous) canvas.line(previous[0], previous[1], point[0], point[1], color, 3, dash);
+      canvas.fillCircle(point[0], point[1], 5, color);
+      previous = point;
+    });
+  });
+  
+  drawChartLegend(canvas, [
+    { label: `${trend.fcode} WAVG`, color: CHART_COLORS.factory },
+    { label: `${trend.elevation} average`, color: CHART_COLORS.market, dash: [10, 6] }
+  ], CHART_HEIGHT - 34);
+  
+  return canvas.toPng();
+}
+
+// One bar per elevation: averages is { UH: "1430.00", L: "1275.50", ... }
+function renderElevationChart(saleNo, averages) {
+  const entries = Object.entries(averages)
+    .map(([elevation, avg]) => [elevation, parseFloat(avg)])
+    .filter(([, avg]) => avg > 0);
+  if (entries.length === 0) return null;
+  
+  const canvas = new ChartCanvas(CHART_WIDTH, CHART_HEIGHT);
+  const area = { left: 90, right: CHART_WIDTH - 40, top: 70, bottom: CHART_HEIGHT - 60 };
+  
+  canvas.text(`Elevation averages - Sale ${parseInt(saleNo)}`, CHART_WIDTH / 2, 16, CHART_COLORS.text, 3, 'center');
+  canvas.text('Rs./kg', CHART_WIDTH / 2, 46, CHART_COLORS.muted, 2, 'center');
+  
+  const max = Math.max(...entries.map(([, avg]) => avg));
+  const toY = drawChartAxes(canvas, area, 0, max * 1.1);
+  const slot = (area.right - area.left) / entries.length;
+  const barWidth = Math.min(80, slot * 0.6);
+  
+  entries.forEach(([elevation, avg], index) => {
+    const center = area.left + slot * (index + 0.5);
+    const top = toY(avg);
+    canvas.fillRect(center - barWidth / 2, top, barWidth, area.bottom - top, CHART_COLORS.bar);
+    canvas.text(avg.toFixed(0), center, top - 20, CHART_COLORS.text, 2, 'center');
+    canvas.text(elevation, center, area.bottom + 12, CHART_COLORS.text, 2, 'center');
+  });
+  
+  return canvas.toPng();
+}
+
+// Charts go out after the text reply; a chart that fails is logged and skipped
+async function sendChart(msg, render, fileName, caption) {
+  if (!SEND_CHARTS) return false;
+  try {
+    const png = render();
+    if (!png) return false;
+    await transport.sendMedia(msg.from, {
+      mimetype: 'image/png',
+      data: png.toString('base64'),
+      filename: fileName
+    }, { caption });
+    return true;
+  } catch (err) {
+    console.error("❌ Error sending chart:", err.message);
+    logError(err, "sendChart");
+    return false;
+  }
+}
+
+async function sendFactoryTrendCharts(msg, trends) {
+  for (const trend of trends) {
+    await sendChart(
+      msg,
+      () => renderFactoryTrendChart(trend),
+      `${trend.fcode}_trend.png`,
+      `📈 ${trend.factory} (${trend.fcode}) vs ${trend.elevation} average`
+    );
+  }
+}
+
+// ==================
+// FACTORY REPORT EXPORTS
+// ==================
+// "MF0235 sale 38 excel" / "... pdf" sends the factory report as a file the
+// owner can forward to an accountant. Both formats use the same columns.
+const EXPORT_FORMATS = {
+  xlsx: { extension: 'xlsx', mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  pdf: { extension: 'pdf', mimetype: 'application/pdf' }
+};
+
+// group: header spanning the columns below it; pdfWidth in points (A4 landscape)
+const FACTORY_EXPORT_COLUMNS = [
+  { key: 'factory', label: 'Factory', width: 28, pdfWidth: 130 },
+  { key: 'fcode', label: 'Code', width: 10, pdfWidth: 48 },
+  { key: 'elevation', label: 'Elevation', width: 10, pdfWidth: 42 },
+  { key: 'wqty', group: 'Weekly', label: 'Qty (kg)', format: 'qty' },
+  { key: 'wavg', group: 'Weekly', label: 'Avg (Rs.)', format: 'price' },
+  { key: 'wrank', group: 'Weekly', label: 'Rank', format: 'rank' },
+  { key: 'marketAvg', group: 'Market', label: 'Mkt Avg', format: 'price' },
+  { key: 'diff', group: 'Market', label: 'vs Mkt', format: 'signed' },
+  { key: 'diffPercent', group: 'Market', label: 'vs Mkt %', format: 'percent' },
+  { key: 'mqty', group: 'Monthly', label: 'Qty (kg)', format: 'qty' },
+  { key: 'mavg', group: 'Monthly', label: 'Avg (Rs.)', format: 'price' },
+  { key: 'mrank', group: 'Monthly', label: 'Rank', format: 'rank' },
+  { key: 'yqty', group: 'Yearly', label: 'Qty (kg)', format: 'qty' },
+  { key: 'yavg', group: 'Yearly', label: 'Avg (Rs.)', format: 'price' },
+  { key: 'yrank', group: 'Yearly', label: 'Rank', format: 'rank' }
+];
+
+const EXCEL_NUMBER_FORMATS = {
+  qty: '#,##0',
+  price: '#,##0.00',
+  rank: '0',
+  signed: '+#,##0.00;-#,##0.00;0.00',
+  percent: '+0.0%;-0.0%;0.0%'
+};
+
+// Same figures as formatFactoryDataMessage, as numbers (null when missing)
+function buildFactoryExportRows(factoryData, elevationAvgs) {
+  const toNumber = value => {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  };
+  const toRank = value => (value === "-" || value === "0" ? null : toNumber(value));
+  
+  // Keep the elevation grouping of the text report
+  const elevations = [...new Set(factoryData.map(factory => factory.elevation.toUpperCase()))];
+  const ordered = [...factoryData].sort((a, b) =>
+    elevations.indexOf(a.elevation.toUpperCase()) - elevations.indexOf(b.elevation.toUpperCase()));
+  
+  return ordered
+    .map(factory => {
+      const elevation = factory.elevation.toUpperCase();
+      const wavg = toNumber(factory.wavg);
+      const marketAvg = toNumber(elevationAvgs[elevation]);
+      const diff = marketAvg && wavg > 0 ? wavg - marketAvg : null;
+      
+      return {
+        factory: factory.factory,
+        fcode: factory.fcode,
+        elevation,
+        wqty: toNumber(factory.wqty),
+        wavg,
+        wrank: toRank(factory.wrank),
+        marketAvg,
+        diff,
+        diffPercent: diff !== null ? diff / marketAvg : null,
+        mqty: toNumber(factory.mqty),
+        mavg: toNumber(factory.mavg),
+        mrank: toRank(factory.mrank),
+        yqty: toNumber(factory.yqty),
+        yavg: toNumber(factory.yavg),
+        yrank: toRank(factory.yrank)
+      };
+    });
+}
+
+function formatExportValue(value, format) {
+  if (value === null || value === undefined) return '-';
+  switch (format) {
+    case 'qty': return Math.round(value).toLocaleString('en-US');
+    case 'price': return value.toFixed(2);
+    case 'rank': return `#${value}`;
+    case 'signed': return `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+    case 'percent': return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+    default: return value.toString();
+  }
+}
+
+function exportTitle(saleNo, year = null) {
+  if (!saleNo) return 'Factory Performance Report';
+  return `Factory Performance Report - Sale ${parseInt(saleNo)}${year ? ` (${year})` : ''}`;
+}
+
+async function createFactoryReportWorkbook(rows, saleNo, year = null) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Mercantile Produce Brokers';
+  workbook.created = new Date();
+  
+  const sheet = workbook.addWorksheet(saleNo ? `Sale ${parseInt(saleNo)}` : 'Factories', {
+    views: [{ state: 'frozen', xSplit: 1, ySplit: 4 }]
+  });
+  
+  sheet.mergeCells(1, 1, 1, FACTORY_EXPORT_COLUMNS.length);
+  sheet.getCell(1, 1).value = exportTitle(saleNo, year);
+  sheet.getCell(1, 1).font = { bold: true, size: 14 };
+  sheet.getCell(2, 1).value = `Generated ${formatColomboTime()} (Asia/Colombo)`;
+  sheet.getCell(2, 1).font = { italic: true, color: { argb: 'FF757575' } };
+  
+  // Group headers over the column labels, merged across each group
+  const headerFill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2E7D32' } };
+  const headerFont = { bold: true, color: { argb: 'FFFFFFFF' } };
+  FACTORY_EXPORT_COLUMNS.forEach((column, index) => {
+    const col = index + 1;
+    const groupCell = sheet.getCell(3, col);
+    const labelCell = sheet.getCell(4, col);
+    
+    groupCell.value = column.group || column.label;
+    labelCell.value = column.group ? column.label : null;
+    [groupCell, labelCell].forEach(cell => {
+      cell.fill = headerFill;
+      cell.font = headerFont;
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+    });
+    
+    sheet.getColumn(col).width = column.width || 13;
+    if (column.format) {
+      sheet.getColumn(col).numFmt = EXCEL_NUMBER_FORMATS[column.format];
+    }
+  });
+  
+  let start = 0;
+  FACTORY_EXPORT_COLUMNS.forEach((column, index) => {
+    const next = FACTORY_EXPORT_COLUMNS[index + 1];
+    if (next && next.group && next.group === column.group) return;
+    if (column.group && index > start) {
+      sheet.mergeCells(3, start + 1, 3, index + 1);
+    } else if (!column.group) {
+      sheet.mergeCells(3, index + 1, 4, index + 1);
+    }
+    start = index + 1;
+  });
+  
+  rows.forEach(row => {
+    sheet.addRow(FACTORY_EXPORT_COLUMNS.map(column => row[column.key]));
+  });
+  
+  sheet.addRow([]);
+  sheet.addRow(['Mkt Avg is the elevation average for the sale; vs Mkt is the weekly average minus it.'])
+    .getCell(1).font = { italic: true, color: { argb: 'FF757575' } };
+  
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Helvetica advance widths (1/1000 em) for the characters in number cells
+const PDF_CHAR_WIDTHS = {
+  '0': 556, '1': 556, '2': 556, '3': 556, '4': 556, '5': 556, '6': 556, '7': 556, '8': 556, '9': 556,
+  '.': 278, ',': 278, '-': 333, '+': 584, '%': 889, '#': 556, ' ': 278
+};
+
+// Single-page PDF writer using the built-in Helvetica fonts (no embedding).
+// Coordinates are in points from the top-left corner.
+class PdfDocument {
+  constructor(width = 842, height = 595) {
+    this.width = width;
+    this.height = height;
+    this.content = [];
+  }
+
+  static encodeText(text) {
+    return text.toString()
+      .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+      .replace(/([\\()])/g, '\\$1');
+  }
+
+  static textWidth(text, size) {
+    return [...text.toString()].reduce((sum, char) => sum + (PDF_CHAR_WIDTHS[char] || 556), 0) * size / 1000;
+  }
+
+  // align: 'left' | 'right' relative to x; y is the text baseline
+  text(text, x, y, { size = 8, bold = false, align = 'left', color = [0, 0, 0] } = {}) {
+    const left = align === 'right' ? x - PdfDocument.textWidth(text, size) : x;
+    this.content.push(
+      `${color.map(c => (c / 255).toFixed(3)).join(' ')} rg`,
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${(this.height - y).toFixed(2)} Td (${PdfDocument.encodeText(text)}) Tj ET`
+    );
+  }
+
+  fillRect(x, y, width, height, color) {
+    this.content.push(
+      `${color.map(c => (c / 255).toFixed(3)).join(' ')} rg`,
+      `${x.toFixed(2)} ${(this.height - y - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`
+    );
+  }
+
+  line(x0, y0, x1, y1, color = [189, 189, 189], lineWidth = 0.5) {
+    this.content.push(
+      `${color.map(c => (c / 255).toFixed(3)).join(' ')} RG ${lineWidth} w`,
+      `${x0.toFixed(2)} ${(this.height - y0).toFixed(2)} m ${x1.toFixed(2)} ${(this.height - y1).toFixed(2)} l S`
+    );
+  }
+
+  toBuffer() {
+    const stream = this.content.join('\n');
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+        '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+    ];
+    
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = Buffer.byteLength(pdf, 'latin1');
+      pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${offset.toString().padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    
+    return Buffer.from(pdf, 'latin1');
+  }
+}
+
+function createFactoryReportPdf(rows, saleNo, year = null) {
+  const pdf = new PdfDocument();
+  const margin = 36;
+  const fixedWidth = FACTORY_EXPORT_COLUMNS.reduce((sum, column) => sum + (column.pdfWidth || 0), 0);
+  const flexible = FACTORY_EXPORT_COLUMNS.filter(column => !column.pdfWidth).length;
+  const flexWidth = (pdf.width - margin * 2 - fixedWidth) / flexible;
+  
+  let x = margin;
+  const columns = FACTORY_EXPORT_COLUMNS.map(column => {
+    const width = column.pdfWidth || flexWidth;
+    const placed = { ...column, x, width };
+    x += width;
+    return placed;
+  });
+  const right = x;
+  
+  pdf.text(exportTitle(saleNo, year), margin, 52, { size: 16, bold: true });
+  pdf.text(`Mercantile Produce Brokers - generated ${formatColomboTime()} (Asia/Colombo)`, margin, 68, { size: 9, color: [117, 117, 117] });
+  
+  // Two header rows: groups, then column labels
+  let y = 90;
+  pdf.fillRect(margin, y, right - margin, 32, [46, 125, 50]);
+  const white = [255, 255, 255];
+  columns.forEach((column, index) => {
+    const previous = columns[index - 1];
+    if (column.group && (!previous || previous.group !== column.group)) {
+      pdf.text(column.group, column.x + 4, y + 12, { bold: true, color: white });
+    }
+    const numeric = Boolean(column.format);
+    pdf.text(column.label, numeric ? column.x + column.width - 4 : column.x + 4, column.group ? y + 26 : y + 19, {
+      bold: true,
+      color: white,
+      align: numeric ? 'right' : 'left'
+    });
+  });
+  y += 32;
+  
+  rows.forEach((row, index) => {
+    if (index % 2 === 1) pdf.fillRect(margin, y, right - margin, 18, [241, 248, 233]);
+    columns.forEach(column => {
+      const numeric = Boolean(column.format);
+      const value = numeric ? formatExportValue(row[column.key], column.format) : row[column.key];
+      let color = [33, 33, 33];
+      if ((column.key === 'diff' || column.key === 'diffPercent') && row.diff !== null) {
+        color = row.diff >= 0 ? [46, 125, 50] : [198, 40, 40];
+      }
+      pdf.text(value, numeric ? column.x + column.width - 4 : column.x + 4, y + 12, {
+        align: numeric ? 'right' : 'left',
+        color
+      });
+    });
+    y += 18;
+    pdf.line(margin, y, right, y);
+  });
+  
+  pdf.text('Mkt Avg is the elevation average for the sale; vs Mkt is the weekly average minus it.', margin, y + 20, {
+    size: 8,
+    color: [117, 117, 117]
+  });
+  
+  return pdf.toBuffer();
+}
+
+// Returns transport media ({ mimetype, data, filename }) for the report file
+async function exportFactoryReport(factoryData, saleNo, format) {
+  const year = parseInt(factoryData[0].year) || null;
+  const elevationAvgs = saleNo ? await fetchElevationAveragesForComparison(saleNo, year) : {};
+  const rows = buildFactoryExportRows(factoryData, elevationAvgs);
+  const { extension, mimetype } = EXPORT_FORMATS[format];
+  
+  const buffer = format === 'xlsx'
+    ? await createFactoryReportWorkbook(rows, saleNo, year)
+    : createFactoryReportPdf(rows, saleNo, year);
+  
+  const codes = [...new Set(rows.map(row => row.fcode))].join('_');
+  const salePart = saleNo ? `_Sale_${parseInt(saleNo)}${year ? `_${year}` : ''}` : '';
+  
+  return {
+    mimetype,
+    data: buffer.toString('base64'),
+    filename: `Factory_Report${salePart}_${codes}.${extension}`
+  };
+}
+
+// ==================
+// LATEST SALE RESOLUTION
+// ==================
+// "latest" covers latest / current / this week / last sale; "previous" is the
+// sale before that (previous sale / sale before last / last week).
+const saleListCache = {};
+
+// "Market Report Sale 38 2026.pdf" -> "038". Without the word "sale", the only
+// standalone one- to three-digit number ("MR 38-2026.pdf"); a name with several
+// ("Market Report 19-10-2026.pdf" is a date) has no sale number.
+function parseReportSaleNumber(fileName) {
+  const match = fileName.match(/sale[\s_-]*(?:no\.?[\s_-]*)?(\d{1,3})(?!\d)/i);
+  if (match) return match[1].padStart(3, '0');
+  
+  const numbers = fileName.match(/(?<!\d)\d{1,3}(?!\d)/g) || [];
+  return numbers.length === 1 ? numbers[0].padStart(3, '0') : null;
+}
+
+// { saleNo, year } for a report file; the year comes from the name, else the upload date
+function parseReportFileName(file) {
+  const yearMatch = file.name.match(/(?<!\d)(20\d{2})(?!\d)/);
+  const uploaded = file.createdTime ? new Date(file.createdTime).getFullYear() : null;
+  return {
+    saleNo: parseReportSaleNumber(file.name.replace(/(?<!\d)20\d{2}(?!\d)/g, ' ')),
+    year: yearMatch ? parseInt(yearMatch[1], 10) : uploaded
+  };
+}
+
+// Distinct sales in a sheet, newest first: [{ saleNo: "038", year: 2026 }]
+async function getAvailableSales(sheetKey, maxAge = CACHE_DURATION) {
+  const cached = saleListCache[sheetKey];
+  if (cached && Date.now() - cached.fetchedAt < maxAge) {
+    return cached.sales;
+  }
+
+  const rows = await dataSource.readSheet(sheetKey);
+  const headerRowIndex = rows.slice(0, 5).findIndex(row =>
+    row && row.some(cell => cell && cell.toString().toUpperCase().includes("SALE"))
+  );
+  if (headerRowIndex === -1) return [];
+
+  const headers = rows[headerRowIndex].map(h => h ? h.toString().toUpperCase().trim() : "");
+  const salenoIndex = headers.findIndex(h => h.includes("SALENO") || (h.includes("SALE") && h.length < 10));
+  const yearIndex = headers.findIndex(h => h === "YEAR");
+  if (salenoIndex === -1) return [];
+
+  const seen = new Map();
+  for (let i = headerRowIndex + 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row) continue;
+    
+    const sale = parseInt(row[salenoIndex]);
+    if (isNaN(sale)) continue;
+    
+    const year = yearIndex !== -1 ? parseInt(row[yearIndex]) || 0 : 0;
+    seen.set(`${year}-${sale}`, { saleNo: sale.toString().padStart(3, '0'), year });
+  }
+
+  const sales = [...seen.values()].sort((a, b) => b.year - a.year || parseInt(b.saleNo) - parseInt(a.saleNo));
+  saleListCache[sheetKey] = { sales, fetchedAt: Date.now() };
+  return sales;
+}
+
+async function getAvailableReportSales() {
+  const files = await dataSource.listReports();
+  const sales = [];
+  
+  for (const file of files) {
+    const { saleNo, year } = parseReportFileName(file);
+    if (saleNo && !sales.some(s => s.saleNo === saleNo && s.year === year)) {
+      sales.push({ saleNo, year });
+    }
+  }
+  return sales.sort((a, b) => (b.year || 0) - (a.year || 0) || parseInt(b.saleNo) - parseInt(a.saleNo));
+}
+
+// Pick the sale a request means when it gives no sale number; with a year,
+// the latest sale of that season
+async function resolveLatestSale(intent, reference = 'latest', year = null) {
+  try {
+    const index = reference === 'previous' ? 1 : 0;
+    const inSeason = sales => sales.filter(sale => !year || !sale.year || sale.year === year);
+    let sales = [];
+    
+    if (intent === 'market_report') {
+      sales = inSeason(await getAvailableReportSales());
+    } else if (intent === 'factory_query') {
+      sales = inSeason(await getAvailableSales('factory'));
+    }
+    
+    // Fall back to the elevation sheet, which every sale is published to
+    if (!sales[index]) {
+      sales = inSeason(await getAvailableSales('elevation'));
+    }
+    return sales[index] || null;
+  } catch (err) {
+    console.error("❌ Error resolving latest sale:", err.message);
+    logError(err, "resolveLatestSale");
+    return null;
+  }
+}
+
+// ==================
+// MARKET REPORTS
+// ==================
+// Downloads are kept in REPORT_CACHE_DIR as <file key>_<modifiedTime>.pdf, so
+// a report is only fetched again after it has been replaced in the folder.
+
+// Newest report for a sale: matching year when one is given, else the latest year
+async function findMarketReport(saleNo, year = null) {
+  const sale = parseInt(saleNo, 10);
+  
+  // Report file names carry the plain sale number ("Sale 38"), not "038"
+  const files = await dataSource.findReports(sale.toString());
+  const matches = files
+    .map(file => ({ ...file, ...parseReportFileName(file) }))
+    .filter(file => file.saleNo && parseInt(file.saleNo, 10) === sale && (!year || file.year === year))
+    .sort((a, b) => (b.year || 0) - (a.year || 0) || (b.createdTime || '').localeCompare(a.createdTime || ''));
+  
+  return matches[0] || null;
+}
+
+async function getCachedReport(file) {
+  if (!fs.existsSync(REPORT_CACHE_DIR)) {
+    fs.mkdirSync(REPORT_CACHE_DIR, { recursive: true });
+  }
+  
+  const key = crypto.createHash('sha1').update(file.id).digest('hex').slice(0, 16);
+  const version = file.modifiedTime ? Date.parse(file.modifiedTime) : 0;
+  const cachedPath = path.join(REPORT_CACHE_DIR, `${key}_${version}.pdf`);
+  
+  if (fs.existsSync(cachedPath)) {
+    const now = new Date();
+    fs.utimesSync(cachedPath, now, now);
+    console.log(`📦 Report cache hit: ${file.name}`);
+    return cachedPath;
+  }
+  
+  // Older versions of the same file are stale now
+  fs.readdirSync(REPORT_CACHE_DIR)
+    .filter(name => name.startsWith(`${key}_`))
+    .forEach(name => fs.unlinkSync(path.join(REPORT_CACHE_DIR, name)));
+  
+  const partPath = `${cachedPath}.part`;
+  await dataSource.downloadReport(file, partPath);
+  fs.renameSync(partPath, cachedPath);
+  console.log("✅ Downloaded:", file.name);
+  
+  pruneReportCache();
+  return cachedPath;
+}
+
+// Keep the REPORT_CACHE_MAX_FILES most recently used reports
+function pruneReportCache() {
+  const cached = fs.readdirSync(REPORT_CACHE_DIR)
+    .filter(name => name.endsWith('.pdf'))
+    .map(name => ({ filePath: path.join(REPORT_CACHE_DIR, name), used: fs.statSync(path.join(REPORT_CACHE_DIR, name)).mtimeMs }))
+    .sort((a, b) => b.used - a.used);
+  
+  cached.slice(REPORT_CACHE_MAX_FILES).forEach(({ filePath }) => fs.unlinkSync(filePath));
+}
+
+// { filePath, fileName } for a sale, or for a file picked from the "reports" list
+async function fetchMarketReport(saleNo, { year = null, file = null } = {}) {
+  try {
+    const report = file || await findMarketReport(saleNo, year);
+    if (!report) return null;
+
+    const filePath = await getCachedReport(report);
+    return { filePath, fileName: report.name };
+  } catch (err) {
+    console.error("❌ Error fetching market report:", err.message);
+    logError(err, "fetchMarketReport");
+    return null;
+  }
+}
+
+// The latest reports in the folder, newest first, for the "reports" command
+const REPORT_LIST_PATTERN = /^\s*(?:latest\s+|list\s+|available\s+)?(?:market\s+)?reports\s*$/i;
+
+async function listLatestReports() {
+  const files = await dataSource.listReports();
+  return files.slice(0, REPORT_LIST_SIZE).map(file => ({
+    id: file.id,
+    name: file.name,
+    createdTime: file.createdTime,
+    modifiedTime: file.modifiedTime,
+    ...parseReportFileName(file)
+  }));
+}
+
+function formatReportChoices(reports) {
+  return reports.map((report, index) => {
+    const uploaded = report.createdTime
+      ? new Date(report.createdTime).toLocaleDateString('en-LK', { timeZone: 'Asia/Colombo', dateStyle: 'medium' })
+      : '';
+    return `*${index + 1}.* ${report.name.replace(/\.pdf$/i, '')}${uploaded ? ` _(${uploaded})_` : ''}`;
+  }).join('\n');
+}
+
+// ==================
+// SUBSCRIPTIONS
+// ==================
+// "subscribe MF0235" pushes that factory's report once a new sale appears in
+// the factory sheet. Updates wait in a persistent outbox and go out one at a
+// time, SUBSCRIPTION_SEND_GAP apart, so a busy sale day never turns into a
+// burst of identical messages from one number.
+// Factories whose rows are entered late get their update on a later check:
+// each subscribed code remembers the last sale it was sent for.
+// Store: { lastSale: { saleNo, year }, subscribers: { userId: { codes, since, delivered: { code: { saleNo, year } } } },
+//          reportSubscribers: { userId: { since } },
+//          outbox: [{ userId, saleNo, text, queuedAt, reportId?, filePath? }] }
+const SUBSCRIPTION_COMMAND_PATTERN = /^\s*(subscribe|unsubscribe|subscriptions|my\s+subscriptions)\b\s*(.*)$/i;
+
+class SubscriptionManager {
+  constructor() {
+    const data = safeReadJSON(SUBSCRIPTIONS_FILE, { lastSale: null, subscribers: {}, reportSubscribers: {}, outbox: [] });
+    this.lastSale = data.lastSale || null;
+    this.subscribers = data.subscribers || {};
+    
+    // Subscriptions stored before per-code tracking start from the last sale seen
+    Object.values(this.subscribers).forEach(entry => {
+      if (!entry.delivered) {
+        entry.delivered = Object.fromEntries(entry.codes.map(code => [code, this.lastSale]));
+      }
+    });
+    this.reportSubscribers = data.reportSubscribers || {};
+    this.outbox = data.outbox || [];
+  }
+  
+  saveSubscriptions() {
+    safeWriteJSON(SUBSCRIPTIONS_FILE, {
+      lastSale: this.lastSale,
+      subscribers: this.subscribers,
+      reportSubscribers: this.reportSubscribers,
+      outbox: this.outbox
+    });
+  }
+  
+  getCodes(userId) {
+    return this.subscribers[userId] ? [...this.subscribers[userId].codes] : [];
+  }
+  
+  getSubscribers() {
+    return Object.entries(this.subscribers).map(([userId, entry]) => ({ userId, codes: entry.codes }));
+  }
+  
+  getAllCodes() {
+    return [...new Set(Object.values(this.subscribers).flatMap(entry => entry.codes))];
+  }
+  
+  // Returns { added, existing, rejected }; rejected codes would pass the per-user limit
+  subscribe(userId, codes) {
+    const entry = this.subscribers[userId] || { codes: [], since: Date.now(), delivered: {} };
+    const result = { added: [], existing: [], rejected: [] };
+    
+    codes.forEach(code => {
+      if (entry.codes.includes(code)) {
+        result.existing.push(code);
+      } else if (entry.codes.length >= MAX_SUBSCRIPTIONS_PER_USER) {
+        result.rejected.push(code);
+      } else {
+        entry.codes.push(code);
+        entry.delivered[code] = this.lastSale;
+        result.added.push(code);
+      }
+    });
+    
+    if (entry.codes.length > 0) {
+      this.subscribers[userId] = entry;
+      this.saveSubscriptions();
+    }
+    return result;
+  }
+  
+  // Without codes every subscription goes. Returns the codes removed.
+  unsubscribe(userId, codes = []) {
+    const entry = this.subscribers[userId];
+    if (!entry) return [];
+    
+    const removed = codes.length === 0 ? entry.codes : entry.codes.filter(code => codes.includes(code));
+    entry.codes = entry.codes.filter(code => !removed.includes(code));
+    removed.forEach(code => delete entry.delivered[code]);
+    
+    if (entry.codes.length === 0) {
+      delete this.subscribers[userId];
+      this.outbox = this.outbox.filter(item => item.userId !== userId || item.reportId);
+    }
+    this.saveSubscriptions();
+    return removed;
+  }
+  
+  isReportSubscriber(userId) {
+    return Boolean(this.reportSubscribers[userId]);
+  }
+  
+  getReportSubscribers() {
+    return Object.keys(this.reportSubscribers);
+  }
+  
+  // Both return false when nothing changed
+  subscribeReports(userId) {
+    if (this.reportSubscribers[userId]) return false;
+    this.reportSubscribers[userId] = { since: Date.now() };
+    this.saveSubscriptions();
+    return true;
+  }
+  
+  unsubscribeReports(userId) {
+    if (!this.reportSubscribers[userId]) return false;
+    delete this.reportSubscribers[userId];
+    this.saveSubscriptions();
+    return true;
+  }
+  
+  isNewerSale(sale, than = this.lastSale) {
+    if (!than) return false;
+    return sale.year > than.year ||
+      (sale.year === than.year && parseInt(sale.saleNo) > parseInt(than.saleNo));
+  }
+  
+  // [{ userId, codes }] still waiting for `sale`. Codes never baselined (subscribed
+  // before the first check) start from `sale` without an update.
+  getPending(sale) {
+    const pending = [];
+    let baselined = false;
+    
+    for (const [userId, entry] of Object.entries(this.subscribers)) {
+      const codes = entry.codes.filter(code => {
+        if (!entry.delivered[code]) {
+          entry.delivered[code] = { saleNo: sale.saleNo, year: sale.year };
+          baselined = true;
+          return false;
+        }
+        return this.isNewerSale(sale, entry.delivered[code]);
+      });
+      if (codes.length > 0) pending.push({ userId, codes });
+    }
+    
+    if (baselined) this.saveSubscriptions();
+    return pending;
+  }
+  
+  markDelivered(userId, codes, sale) {
+    const entry = this.subscribers[userId];
+    if (!entry || codes.length === 0) return;
+    
+    codes.forEach(code => {
+      if (entry.codes.includes(code)) entry.delivered[code] = { saleNo: sale.saleNo, year: sale.year };
+    });
+    this.saveSubscriptions();
+  }
+  
+  setLastSale(sale) {
+    this.lastSale = { saleNo: sale.saleNo, year: sale.year };
+    this.saveSubscriptions();
+  }
+  
+  enqueue(items) {
+    this.outbox.push(...items);
+    this.saveSubscriptions();
+  }
+  
+  nextUpdate() {
+    const item = this.outbox.shift();
+    if (item) this.saveSubscriptions();
+    return item || null;
+  }
+  
+  getStats() {
+    return {
+      subscribers: Object.keys(this.subscribers).length,
+      report_subscribers: Object.keys(this.reportSubscribers).length,
+      factories: this.getAllCodes().length,
+      queued: this.outbox.length,
+      lastSale: this.lastSale
+    };
+  }
+}
+
+const subscriptions = new SubscriptionManager();
+
+// "Kenilworth (MF0235), Deniyaya (MF0777)" - codes missing from the sheet stay bare
+async function describeFactoryCodes(codes) {
+  const directory = await getFactoryDirectory();
+  return codes.map(code => {
+    const factory = directory.find(f => f.code === code);
+    return factory ? `${factory.name} (${code})` : code;
+  }).join(', ');
+}
+
+// Codes or factory names from a subscribe/unsubscribe command:
+// { codes, unknown, choices } where unknown codes are not in the factory sheet.
+// With a userId, names only resolve to factories that number may see.
+async function resolveSubscriptionCodes(text, userId = null) {
+  const directory = await getFactoryDirectory();
+  const codes = classifier.extractFactoryCodes(text);
+  
+  if (codes.length === 0 && text.trim()) {
+    let lookup = await findFactoriesByName(text);
+    if (userId) lookup = await filterFactoryLookup(userId, lookup);
+    return { codes: lookup.matches.map(match => match.code), unknown: [], choices: lookup.choices };
+  }
+  
+  return {
+    codes: codes.filter(code => directory.some(f => f.code === code)),
+    unknown: codes.filter(code => !directory.some(f => f.code === code)),
+    choices: []
+  };
+}
+
+async function handleSubscriptionCommand(msg, command, argument, language) {
+  const userId = msg.from;
+  const action = command.toLowerCase().replace(/\s+/g, ' ');
+  
+  if (action === 'subscriptions' || action === 'my subscriptions') {
+    const codes = subscriptions.getCodes(userId);
+    const lines = codes.length > 0 ? (await describeFactoryCodes(codes)).split(', ') : [];
+    if (subscriptions.isReportSubscriber(userId)) {
+      lines.push(translate(language, 'reportSubscriptionLine'));
+    }
+    await transport.reply(msg, lines.length > 0
+      ? translate(language, 'subscriptionList', { list: lines.join('\n') })
+      : translate(language, 'noSubscriptions'));
+    return;
+  }
+  
+  if (action === 'unsubscribe' && !argument.trim()) {
+    const removed = subscriptions.unsubscribe(userId);
+    const hadReports = subscriptions.unsubscribeReports(userId);
+    const lines = [];
+    if (removed.length > 0) lines.push(translate(language, 'unsubscribed', { list: await describeFactoryCodes(removed) }));
+    if (hadReports) lines.push(translate(language, 'reportsUnsubscribed'));
+    await transport.reply(msg, lines.length > 0 ? lines.join('\n\n') : translate(language, 'noSubscriptions'));
+    console.log(`🔕 ${userId.substring(0, 15)}... unsubscribed from everything`);
+    return;
+  }
+  
+  // "subscribe reports" / "unsubscribe reports": new market report PDFs
+  if (REPORT_SUBSCRIPTION_PATTERN.test(argument.trim())) {
+    if (action === 'subscribe') {
+      const added = subscriptions.subscribeReports(userId);
+      await transport.reply(msg, translate(language, added ? 'reportsSubscribed' : 'reportsAlreadySubscribed'));
+      if (added) console.log(`🔔 ${userId.substring(0, 15)}... subscribed to market reports`);
+    } else {
+      const removed = subscriptions.unsubscribeReports(userId);
+      await transport.reply(msg, translate(language, removed ? 'reportsUnsubscribed' : 'reportsNotSubscribed'));
+      if (removed) console.log(`🔕 ${userId.substring(0, 15)}... unsubscribed from market reports`);
+    }
+    return;
+  }
+  
+  if (!argument.trim()) {
+    await transport.reply(msg, translate(language, 'subscribeUsage'));
+    return;
+  }
+  
+  const { codes, unknown, choices } = await resolveSubscriptionCodes(argument, action === 'subscribe' ? userId : null);
+  
+  if (choices.length > 0) {
+    await transport.reply(msg, translate(language, 'subscriptionChoices', {
+      list: choices.map(choice => `• ${choice.name} (${choice.code})`).join('\n')
+    }));
+    return;
+  }
+  
+  const lines = [];
+  if (action === 'subscribe') {
+    const access = await factoryAccess.check(userId, codes);
+    if (access.denied.length > 0) {
+      factoryAccess.audit(userId, access.denied, 'subscribe', argument);
+      lines.push(translate(language, 'factoryAccessDenied', { codes: access.denied.join(', ') }));
+    }
+    
+    const { added, existing, rejected } = subscriptions.subscribe(userId, access.allowed);
+    if (added.length > 0) lines.push(translate(language, 'subscribed', { list: await describeFactoryCodes(added) }));
+    if (existing.length > 0) lines.push(translate(language, 'alreadySubscribed', { list: await describeFactoryCodes(existing) }));
+    if (rejected.length > 0) lines.push(translate(language, 'subscriptionLimit', { max: MAX_SUBSCRIPTIONS_PER_USER, list: rejected.join(', ') }));
+    if (added.length > 0) console.log(`🔔 ${userId.substring(0, 15)}... subscribed to ${added.join(', ')}`);
+  } else {
+    const removed = subscriptions.unsubscribe(userId, codes);
+    lines.push(removed.length > 0
+      ? translate(language, 'unsubscribed', { list: await describeFactoryCodes(removed) })
+      : translate(language, 'notSubscribed'));
+    if (removed.length > 0) console.log(`🔕 ${userId.substring(0, 15)}... unsubscribed from ${removed.join(', ')}`);
+  }
+  
+  if (unknown.length > 0) lines.push(translate(language, 'unknownFactories', { list: unknown.join(', ') }));
+  if (lines.length === 0) lines.push(translate(language, 'subscribeUsage'));
+  
+  await transport.reply(msg, lines.join('\n\n'));
+}
+
+// Queue a report for each subscribed factory once its rows for the newest sale
+// are in the factory sheet. Factories entered late are picked up on a later
+// check. The first check only records the current sale, so a restart never re-sends it.
+async function checkForNewSale() {
+  const [latest] = await getAvailableSales('factory', 0);
+  if (!latest) return;
+  
+  if (!subscriptions.lastSale) {
+    subscriptions.setLastSale(latest);
+    console.log(`📌 Subscription baseline: Sale ${latest.saleNo} (${latest.year})`);
+    return;
+  }
+  if (subscriptions.isNewerSale(latest)) {
+    console.log(`🆕 New sale in factory sheet: Sale ${latest.saleNo} (${latest.year})`);
+    subscriptions.setLastSale(latest);
+  }
+  
+  const pending = subscriptions.getPending(latest);
+  if (pending.length === 0) return;
+  
+  const pendingCodes = [...new Set(pending.flatMap(entry => entry.codes))];
+  const rows = await fetchFactoryData(pendingCodes, latest.saleNo, latest.year);
+  if (!rows) return; // Sheet unreadable: try again on the next check
+  
+  const entered = new Set(rows.map(row => row.fcode.replace(/\s+/g, '').toUpperCase()));
+  if (entered.size === 0) return;
+  
+  const elevationAvgs = await fetchElevationAveragesForComparison(latest.saleNo, latest.year);
+  const items = [];
+  
+  for (const { userId, codes } of pending) {
+    // Access can be withdrawn after subscribing; those codes are settled without an update
+    const { allowed, denied } = await factoryAccess.check(userId, codes);
+    const ready = allowed.filter(code => entered.has(code));
+    subscriptions.markDelivered(userId, [...ready, ...denied], latest);
+    if (ready.length === 0) continue;
+    
+    const own = rows.filter(row => ready.includes(row.fcode.replace(/\s+/g, '').toUpperCase()));
+    const language = userTracker.getLanguage(userId);
+    const header = translate(language, 'subscriptionUpdate', { sale: parseInt(latest.saleNo), year: latest.year });
+    items.push({
+      userId,
+      saleNo: latest.saleNo,
+      text: header + await formatFactoryDataMessage(own, latest.saleNo, elevationAvgs),
+      queuedAt: Date.now()
+    });
+  }
+  
+  if (items.length > 0) {
+    subscriptions.enqueue(items);
+    console.log(`📬 Queued ${items.length} subscription update(s) for Sale ${latest.saleNo}`);
+  }
+}
 
-  return message;
+// Send one queued update (factory report or market report PDF); called every SUBSCRIPTION_SEND_GAP
+async function sendNextSubscriptionUpdate() {
+  if (!transport.isReady()) return;
+  
+  const item = subscriptions.nextUpdate();
+  if (!item) return;
+  
+  if (item.reportId) {
+    await sendReportBroadcast(item);
+    return;
+  }
+  
+  if (!userTracker.isBotActive(item.userId)) {
+    console.log(`🔇 Skipping subscription update for muted user ${item.userId.substring(0, 15)}...`);
+    return;
+  }
+  
+  try {
+    await transport.sendMessage(item.userId, item.text);
+    console.log(`📤 Sale ${item.saleNo} update sent to ${item.userId.substring(0, 15)}... (${subscriptions.outbox.length} left)`);
+  } catch (err) {
+    console.error(`❌ Failed to send subscription update to ${item.userId.substring(0, 15)}...:`, err.message);
+    logError(err, "sendNextSubscriptionUpdate");
+  }
 }
 
 // ==================
-// ELEVATION AVERAGES
+// MARKET REPORT BROADCASTS
 // ==================
-async function fetchElevationAverages(saleNo) {
-  try {
-    const res = await sheets.spreadsheets.values.get({
-      spreadsheetId: SHEET_ID,
-      range: `${SHEET_NAME}!A:H`,
+// Watches the reports folder (DRIVE_FOLDER_ID, or the local reports folder)
+// and sends each new PDF to users who sent "subscribe reports". Sends go
+// through the subscription outbox, so they share its pacing; the PDF itself
+// comes from the report cache.
+// Log: { initializedAt, reports: { fileId: { id, name, saleNo, createdTime,
+//        modifiedTime, detectedAt, announced, recipients: { userId: { status, at } } } } }
+// Recipient status: queued | sent | failed | skipped (muted) | opted_out
+const REPORT_SUBSCRIPTION_PATTERN = /^(?:market\s+)?reports?$/i;
+
+class ReportBroadcastLog {
+  constructor() {
+    const data = safeReadJSON(REPORT_BROADCASTS_FILE, { initializedAt: null, reports: {} });
+    this.initializedAt = data.initializedAt || null;
+    this.reports = data.reports || {};
+  }
+  
+  saveLog() {
+    safeWriteJSON(REPORT_BROADCASTS_FILE, {
+      initializedAt: this.initializedAt,
+      reports: this.reports
     });
+  }
+  
+  has(fileId) {
+    return Boolean(this.reports[fileId]);
+  }
+  
+  // Files present on the first check are recorded without being announced
+  initialize(files) {
+    files.forEach(file => this.record(file, false));
+    this.initializedAt = Date.now();
+    this.saveLog();
+  }
+  
+  record(file, announced = true) {
+    this.reports[file.id] = {
+      id: file.id,
+      name: file.name,
+      saleNo: parseReportSaleNumber(file.name),
+      createdTime: file.createdTime || null,
+      modifiedTime: file.modifiedTime || null,
+      detectedAt: Date.now(),
+      announced,
+      recipients: {}
+    };
+    this.saveLog();
+    return this.reports[file.id];
+  }
+  
+  setRecipientStatus(fileId, userId, status) {
+    const report = this.reports[fileId];
+    if (!report) return;
+    report.recipients[userId] = { status, at: Date.now() };
+    this.saveLog();
+  }
+  
+  // Announced reports, newest first, with per-status recipient counts
+  getStats(limit = 20) {
+    return Object.values(this.reports)
+      .filter(report => report.announced)
+      .sort((a, b) => b.detectedAt - a.detectedAt)
+      .slice(0, limit)
+      .map(report => {
+        const counts = { queued: 0, sent: 0, failed: 0, skipped: 0, opted_out: 0 };
+        Object.values(report.recipients).forEach(r => { counts[r.status] = (counts[r.status] || 0) + 1; });
+        return { ...report, counts };
+      });
+  }
+}
 
-    const rows = res.data.values;
-    if (!rows || rows.length === 0) {
-      return null;
-    }
-
-    // Find header row
-    let headerRowIndex = 0;
-    let headers = [];
-    
-    for (let i = 0; i < Math.min(3, rows.length); i++) {
-      const row = rows[i];
-      if (row && row.some(cell => cell && cell.toString().toUpperCase().includes("SALENO"))) {
-        headerRowIndex = i;
-        headers = row.map(h => h ? h.toString().toUpperCase() : "");
-        break;
-      }
-    }
-
-    if (headers.length === 0) {
-      console.error("❌ Header row not found in elevation sheet");
-      return null;
-    }
-
-    const salenoIndex = headers.findIndex(h => h.includes("SALENO") || h.includes("SALE"));
-    const elevationIndex = headers.findIndex(h => h === "ELEVATION");
-    const avgIndex = headers.findIndex(h => (h.includes("TOTAL") && h.includes("AVG")) || h === "TOTAL AVG");
+const reportBroadcasts = new ReportBroadcastLog();
 
-    if (salenoIndex === -1 || elevationIndex === -1 || avgIndex === -1) {
-      console.error("❌ Required columns not found");
-      return null;
-    }
+// wa.me link that opens a chat with the bot with the opt-out text filled in
+function getReportOptOutLink() {
+  const number = transport.getOwnNumber() || process.env.BOT_NUMBER;
+  if (!number) return null;
+  return `https://wa.me/${number.replace(/\D/g, '')}?text=${encodeURIComponent('unsubscribe reports')}`;
+}
 
-    const searchSaleNo = parseInt(saleNo).toString();
-    const result = {};
+// Queue every report added since the last check for the opted-in users
+async function checkForNewReports() {
+  const files = await dataSource.listReports();
+  
+  if (!reportBroadcasts.initializedAt) {
+    reportBroadcasts.initialize(files);
+    console.log(`📌 Report watcher baseline: ${files.length} existing report(s)`);
+    return;
+  }
+  
+  // listReports is newest first; announce in upload order
+  const fresh = files.filter(file => !reportBroadcasts.has(file.id)).reverse();
+  
+  for (const file of fresh) {
+    const recipients = subscriptions.getReportSubscribers();
+    console.log(`🆕 New market report: ${file.name} (${recipients.length} subscriber(s))`);
     
-    for (let i = headerRowIndex + 1; i < rows.length; i++) {
-      const row = rows[i];
-      if (!row || row.length === 0) continue;
-      
-      const rowSaleNo = row[salenoIndex] ? row[salenoIndex].toString().trim() : "";
-      const rowSaleNoNum = parseInt(rowSaleNo);
-      
-      if (rowSaleNoNum === parseInt(saleNo)) {
-        const elevation = row[elevationIndex];
-        const avg = row[avgIndex];
-        
-        if (elevation && avg && avg !== "NULL") {
-          result[elevation.toString().toUpperCase()] = avg.toString();
-        }
-      }
+    if (recipients.length === 0) {
+      reportBroadcasts.record(file);
+      continue;
     }
-
-    if (Object.keys(result).length === 0) {
-      return null;
-    }
-
-    let message = `📊 *ELEVATION AVERAGES*\n`;
-    message += `Sale No: ${saleNo}\n`;
-    message += `${"═".repeat(42)}\n\n`;
     
-    for (const [elev, avg] of Object.entries(result)) {
-      const emoji = ELEVATION_EMOJIS[elev] || '🍃';
-      message += `${emoji} ${elev.padEnd(10)} Rs. ${avg}\n`;
-    }
+    const filePath = await getCachedReport(file); // Throws: retried on the next check
     
-    message += `\n${"═".repeat(42)}`;
-
-    return message;
-  } catch (err) {
-    console.error("❌ Error fetching elevation averages:", err.message);
-    logError(err, "fetchElevationAverages");
-    return null;
+    const report = reportBroadcasts.record(file);
+    const link = getReportOptOutLink();
+    
+    subscriptions.enqueue(recipients.map(userId => {
+      const language = userTracker.getLanguage(userId);
+      reportBroadcasts.setRecipientStatus(report.id, userId, 'queued');
+      return {
+        userId,
+        reportId: report.id,
+        filePath,
+        fileName: file.name,
+        saleNo: report.saleNo,
+        text: translate(language, 'reportBroadcast', {
+          name: file.name.replace(/\.pdf$/i, ''),
+          optOut: translate(language, 'reportOptOut', { link })
+        }),
+        queuedAt: Date.now()
+      };
+    }));
+    console.log(`📬 Queued ${file.name} for ${recipients.length} subscriber(s)`);
   }
 }
 
-// ==================
-// MARKET REPORTS
-// ==================
-async function fetchMarketReport(saleNo) {
-  try {
-    const searchQuery = `'${DRIVE_FOLDER_ID}' in parents and name contains '${saleNo}' and mimeType='application/pdf'`;
-    
-    const res = await drive.files.list({
-      q: searchQuery,
-      fields: "files(id, name)",
-      spaces: "drive"
-    });
-
-    if (!res.data.files || res.data.files.length === 0) return null;
-
-    const file = res.data.files[0];
-    const destPath = path.join(DATA_DIR, file.name);
+// Send a queued report broadcast and note the outcome against the report
+async function sendReportBroadcast(item) {
+  if (!subscriptions.isReportSubscriber(item.userId)) {
+    reportBroadcasts.setRecipientStatus(item.reportId, item.userId, 'opted_out');
+  } else if (!userTracker.isBotActive(item.userId)) {
+    reportBroadcasts.setRecipientStatus(item.reportId, item.userId, 'skipped');
+  } else {
+    try {
+      // The cached copy can be gone if the report was replaced meanwhile
+      const filePath = fs.existsSync(item.filePath)
+        ? item.filePath
+        : await getCachedReport(reportBroadcasts.reports[item.reportId] || { id: item.reportId, name: item.fileName });
+      await transport.sendMedia(item.userId, { filePath, filename: item.fileName }, { caption: item.text, asDocument: true });
+      reportBroadcasts.setRecipientStatus(item.reportId, item.userId, 'sent');
+      console.log(`📤 ${item.fileName} sent to ${item.userId.substring(0, 15)}... (${subscriptions.outbox.length} left)`);
+    } catch (err) {
+      reportBroadcasts.setRecipientStatus(item.reportId, item.userId, 'failed');
+      console.error(`❌ Failed to send report to ${item.userId.substring(0, 15)}...:`, err.message);
+      logError(err, "sendReportBroadcast");
+    }
+  }
+}
 
-    return new Promise((resolve, reject) => {
-      const dest = fs.createWriteStream(destPath);
-      
-      drive.files.get(
-        { fileId: file.id, alt: "media" },
-        { responseType: "stream" },
-        (err, res) => {
-          if (err) {
-            console.error("Drive download error:", err);
-            logError(err, "fetchMarketReport");
-            reject(err);
-            return;
-          }
-          
-          res.data
-            .on("end", () => {
-              console.log("✅ Downloaded:", file.name);
-              resolve(destPath);
-            })
-            .on("error", (err) => {
-              logError(err, "fetchMarketReport - stream");
-              reject(err);
-            })
-            .pipe(dest);
-        }
-      );
-    });
-  } catch (err) {
-    console.error("❌ Error fetching market report:", err.message);
-    logError(err, "fetchMarketReport");
-    return null;
+function formatBroadcastSummary() {
+  const reports = reportBroadcasts.getStats(5);
+  if (reports.length === 0) {
+    return `📄 No market reports have been broadcast yet.`;
   }
+  
+  let message = `📄 *MARKET REPORT BROADCASTS*\n`;
+  message += `👥 Subscribers: ${subscriptions.getReportSubscribers().length}\n`;
+  message += `${"═".repeat(42)}\n\n`;
+  
+  reports.forEach(report => {
+    const sentTo = Object.entries(report.recipients)
+      .filter(([, r]) => r.status === 'sent')
+      .map(([userId]) => `+${userId.replace('@c.us', '')}`);
+    
+    message += `*${report.name}*\n`;
+    message += `   Found: ${formatColomboTime(report.detectedAt)}\n`;
+    message += `   ✅ ${report.counts.sent} sent | ⏳ ${report.counts.queued} queued | ❌ ${report.counts.failed} failed`;
+    message += ` | ⏭️ ${report.counts.skipped + report.counts.opted_out} skipped\n`;
+    if (sentTo.length > 0) {
+      message += `   To: ${sentTo.slice(0, 10).join(', ')}${sentTo.length > 10 ? ` +${sentTo.length - 10} more` : ''}\n`;
+    }
+    message += `\n`;
+  });
+  
+  message += `${"═".repeat(42)}\n`;
+  message += `Full list: /broadcasts on the health server`;
+  return message;
 }
 
 // ==================
-// MESSAGE TEMPLATES
+// TRANSLATIONS
 // ==================
-function getWelcomeMessage() {
-  return `
+// Client-facing texts per language. Entries are strings or functions of a
+// params object; anything missing from a language falls back to English.
+// Staff-facing texts (forwards, reminders, commands) stay in English.
+const CONTACT_PHONE = '+94 112 581 358';
+const CONTACT_EMAIL = 'info@merctea.lk';
+
+const MESSAGES = {
+  en: {
+    welcome: () => `
 *MIRA – Mercantile Intelligent Response Assistant 💡🤖*
 MIRA is a smart AI assistant designed by MPBL IT.
 
@@ -1586,17 +5571,23 @@ ${"═".repeat(42)}
    Examples:
    • \`MF 0235 average\`
    • \`MF0235 MF0777 performance\`
+   • \`MF0235 vs MF0777\`
    • \`MF 1234 sale 38 data\`
+   • \`Kenilworth sale 38\`
+   • \`MF0235 last 6 sales\`
+   • \`MF0235 sale 37 vs 38\`
+   • \`MF0235 sale 38 pdf\`
 
 *2️⃣ Elevation Prices*
    Examples:
    • \`elevation sale 38\`
    • \`UH averages sale 38\`
+   • \`elevation sale 36, 37, 38\`
 
 *3️⃣ Market Reports*
    Examples:
    • \`market report sale 38\`
-   • \`sale 38 pdf report\`
+   • \`latest market report\`
 
 *4️⃣ Department Contacts*
    • *Valuation*: Appraisals, reports
@@ -1610,38 +5601,879 @@ ${"═".repeat(42)}
    • \`help\` - Show this menu
    • \`contact\` - Contact information
    • \`status\` - Bot statistics
+   • \`status of my request\` - Track your inquiries
+   • \`language\` - English / සිංහල / தமிழ்
+   • \`subscribe MF0235\` - Reports when a new sale is out
+   • \`reports\` - Pick from the latest market reports
    • \`mute bot\` - Stop bot responses
    • \`unmute bot\` - Resume bot responses
 
-${"═".repeat(42)}
+${"═".repeat(42)}
+
+_I won't spam you! I only respond to specific requests._
+_This welcome message appears once per day._
+
+Type your request to get started!
+    `.trim(),
+
+    contactInfo: ({ hours }) => `
+📞 *CONTACT INFORMATION*
+${"═".repeat(42)}
+
+🏢 *Mercantile Produce Brokers Pvt Ltd*
+🍃 Built on Trust & Strong Bonds
+
+📧 Email: ${CONTACT_EMAIL}
+🌐 Website: www.merctea.lk
+📍 133, Jawatta Rd, Colombo 05, Sri Lanka
+
+⏰ *Business Hours*
+${hours}
+Closed on public and Poya holidays
+
+${"═".repeat(42)}
+
+For urgent matters, contact the relevant
+department through this bot.
+    `.trim(),
+
+    slotFactoryCodes: `🏭 Which factory code(s) would you like?\n\n*Example:* MF0235 or MF0235 MF0777\n\n_Send "cancel" to stop._`,
+    slotSaleNumber: ({ intent }) =>
+      `📊 Which sale number would you like ${intent === 'market_report' ? 'the market report' : 'elevation averages'} for?\n\n` +
+      `*Example:* 38 or sale 38\n\n_Send "cancel" to stop._`,
+
+    outOfHours: ({ ticket, holiday, opening, hours }) =>
+      `🌙 *We're currently closed*\n\n` +
+      `Our offices are closed ${holiday ? `for *${holiday}*` : 'outside business hours'}.\n\n` +
+      `Your request has been recorded as *${ticket.id}* and will be passed to our ` +
+      `*${ticket.department} Department* ` +
+      `${opening ? `when we open on *${opening}*` : 'on the next working day'}.\n\n` +
+      `⏰ *Business Hours:* ${hours}\n` +
+      `Send "status of my request" to check on it.`,
+
+    noTicket: ({ ticketId }) => `⚠️ No ticket ${ticketId} found for your number.`,
+    noTickets: `📭 You have no requests with our departments.\n\n` +
+      `To contact a department, tell me what you need, e.g. "I need help from accounts".`,
+    ticketListTitle: '🎫 *YOUR REQUESTS*',
+    ticketListStatus: 'Status',
+    ticketListHandledBy: 'Handled by',
+    ticketListOpened: 'Opened',
+    ticketListUpdated: 'Last update',
+    ticketStatusLabels: TICKET_STATUS_LABELS,
+
+    rateLimited: ({ seconds }) =>
+      `⚠️ *Rate Limit Exceeded*\n\n` +
+      `Please wait ${seconds} seconds before sending more messages.\n` +
+      `This helps us maintain quality service for all users.`,
+    botMuted: `🔇 *Bot Muted*\n\n` +
+      `I will no longer respond to your messages.\n\n` +
+      `To reactivate me, send:\n` +
+      `• \`activate bot\`\n` +
+      `• \`unmute bot\`\n` +
+      `• \`resume bot\`\n\n` +
+      `_I'll still listen for these commands._`,
+    botActivated: `🔔 *Bot Activated!*\n\n` +
+      `I'm back and ready to assist you.\n\n` +
+      `Type *help* to see what I can do.`,
+    irrelevant: `Thank you for your interest in Mercantile Produce Brokers.\n\n` +
+      `This is an automated tea brokering assistant. For HR inquiries, please contact our office directly:\n\n` +
+      `📞 ${CONTACT_PHONE}\n` +
+      `📧 ${CONTACT_EMAIL}\n\n` +
+      `_If you don't need bot assistance, I'll stay quiet. Type "help" if you need me later._`,
+    cancelled: "👍 Okay, cancelled. Type *help* if you need anything else.",
+
+    correctedQuery: ({ terms }) => `🔎 Showing results for *${terms}*\n\n`,
+    saleNote: ({ reference, sale, year }) =>
+      `📅 Using the ${reference} sale: *Sale ${sale}*${year ? ` (${year})` : ''}\n\n`,
+    tooManyCodes: "⚠️ Maximum 5 factory codes per request.",
+    factoryChoices: ({ list }) =>
+      `🔎 *Which factory did you mean?*\n\n${list}\n\n` +
+      `Reply with a number (e.g. 1, or 1 2 for several).\n\n_Send "cancel" to stop._`,
+    factoryMatched: ({ list }) => `🔎 Factory: ${list}\n\n`,
+    fetchingFactory: ({ codes }) => `⏳ Fetching data for: ${codes}...`,
+    noFactoryData: ({ codes, saleNo }) => `⚠️ No data found for: ${codes}${saleNo ? ` (Sale ${saleNo})` : ''}`,
+    fetchingElevation: "⏳ Fetching elevation data...",
+    noElevationData: ({ saleNo }) => `⚠️ No elevation data found for Sale ${saleNo}.`,
+    fetchingReport: "⏳ Fetching market report...",
+    reportSent: "✅ Report sent successfully!",
+    reportList: ({ list }) => `📄 *LATEST MARKET REPORTS*\n\n${list}\n\nReply with a number to get that report.`,
+    noReports: "⚠️ No market reports are available right now. Please try again later.",
+    exportSent: ({ format }) => `✅ Factory report sent as ${format === 'xlsx' ? 'an Excel' : 'a PDF'} file.`,
+    factoryAccessDenied: ({ codes }) =>
+      `🔒 Sorry, this number is not authorised to view figures for: ${codes}\n\nIf you should have access, please contact our Marketing team.`,
+    feedbackQueued: "🙏 Thanks for telling us. Your last message has been passed to our team so the bot can learn from it.\n\nPlease try asking again in other words, or type *help* to see what I can do.",
+    reportNotFound: ({ saleNo }) => `⚠️ Market report for Sale ${saleNo} not found.`,
+
+    departmentMenu: `📞 *DEPARTMENT CONTACTS*\n\n` +
+      `Please specify which department:\n\n` +
+      `• *Valuation* - Appraisals & reports\n` +
+      `• *Accounts* - Tax, VAT, invoices\n` +
+      `• *IT* - Technical support\n` +
+      `• *Marketing* - General inquiries\n\n` +
+      `Example: "I need help from accounting"`,
+    connecting: ({ department }) => `⏳ Connecting to ${department} Department...`,
+    ticketCreated: ({ department, ticketId }) =>
+      `✅ *Thank you for your inquiry!*\n\n` +
+      `Your request has been forwarded to our *${department} Department*. ` +
+      `Our team will review your message and respond shortly.\n\n` +
+      `🎫 *Ticket:* ${ticketId}\n` +
+      `Send "status of my request" to check on it.\n\n` +
+      `📞 For urgent matters, please call our office directly.`,
+    routeFailed: ({ department }) =>
+      `⚠️ Unable to route your request to the ${department} Department.\n\n` +
+      `Please try again or contact us directly at:\n` +
+      `📞 ${CONTACT_PHONE}\n` +
+      `📧 ${CONTACT_EMAIL}`,
+    generalNudge: `👋 I'm here if you need:\n\n` +
+      `• 🏭 Factory data\n` +
+      `• 📊 Elevation averages\n` +
+      `• 📄 Market reports\n` +
+      `• 📞 Department contacts\n\n` +
+      `Type *help* for more info.\n\n` +
+      `_To mute me, send: "mute bot"_`,
+    error: `⚠️ *An error occurred while processing your request.*\n\n` +
+      `Please try again in a moment. If the problem persists, ` +
+      `contact our support team directly.\n\n` +
+      `📞 Support: ${CONTACT_PHONE}`,
+
+    staffResponse: ({ ticket, staffName, time, text }) => `
+✅ *RESPONSE FROM ${ticket.department.toUpperCase()} DEPARTMENT*
+${"═".repeat(42)}
+
+👤 *From:* ${staffName}
+🎫 *Ticket:* ${ticket.id}
+🕐 *Time:* ${time}
+
+${"─".repeat(42)}
+💬 *Response:*
+${text}
+${"═".repeat(42)}
+
+↩️ Reply to this message to continue the conversation.
+Thank you for using Mercantile Produce Brokers!
+    `.trim(),
+    ticketClaimed: ({ ticket, staffName }) =>
+      `👤 *${staffName}* from our ${ticket.department} Department ` +
+      `is now handling your request *${ticket.id}*.\n\n` +
+      `You will receive a response here shortly.`,
+    ticketClosed: ({ ticket, staffName }) =>
+      `✅ *Request Closed*\n\n` +
+      `Your request *${ticket.id}* with our ${ticket.department} Department ` +
+      `has been closed by ${staffName}.\n\n` +
+      `If you need anything else, just send us a new message.`,
+    queueFlushed: ({ ticket }) =>
+      `☀️ *Good day!*\n\n` +
+      `Your request *${ticket.id}* has now been passed to our ` +
+      `*${ticket.department} Department*. We will get back to you shortly.`,
+    followUpQueued: ({ ticketId }) => `📝 Added to your request ${ticketId}. Our team will see it when the office opens.`,
+    followUpTeam: ({ department }) => `our ${department} team`,
+    followUpSent: ({ target, ticketId }) => `📨 Sent to ${target} (Ticket ${ticketId}).`,
+    escalated: ({ ticket }) =>
+      `🙏 *We're sorry for the delay*\n\n` +
+      `Your request *${ticket.id}* has not been answered yet, so we have ` +
+      `escalated it to the head of our ${ticket.department} Department.\n\n` +
+      `📞 For urgent matters, please call ${CONTACT_PHONE}.`,
+    reminded: ({ ticket }) =>
+      `⏳ *Update on ${ticket.id}*\n\n` +
+      `Sorry for the wait. Your request is still with our ${ticket.department} team ` +
+      `and we have reminded them to get back to you.`,
+
+    languageStatus: ({ name, pinned }) =>
+      `🌐 *LANGUAGE*\n\n` +
+      `Current language: *${name}*${pinned ? '' : ' (automatic)'}\n\n` +
+      `To change it, send:\n` +
+      `• \`language english\`\n` +
+      `• \`language sinhala\`\n` +
+      `• \`language tamil\`\n` +
+      `• \`language auto\` - follow the language you write in`,
+    languageSet: "✅ I'll reply in *English* from now on.",
+    languageAuto: "✅ Automatic language detection is on. I'll reply in the language you write in.",
+    languageUnknown: ({ value }) =>
+      `⚠️ I don't recognise the language "${value}".\n\n` +
+      `*Example:* \`language english\`, \`language sinhala\`, \`language tamil\` or \`language auto\``,
+    subscribeUsage:
+      `🔔 *FACTORY UPDATES*\n\n` +
+      `Send \`subscribe MF0235\` to get that factory's report as soon as a new sale is published.\n\n` +
+      `• \`subscriptions\` - factories you follow\n` +
+      `• \`unsubscribe MF0235\` - stop one factory\n` +
+      `• \`subscribe reports\` - new market reports as they are published\n` +
+      `• \`unsubscribe\` - stop all updates`,
+    subscribed: ({ list }) =>
+      `🔔 Subscribed to ${list}.\nYou'll get the report as soon as a new sale is published. Send "unsubscribe" to stop.`,
+    alreadySubscribed: ({ list }) => `ℹ️ Already subscribed to ${list}.`,
+    subscriptionLimit: ({ max, list }) => `⚠️ You can follow up to ${max} factories. Not added: ${list}`,
+    unknownFactories: ({ list }) => `⚠️ Factory code not found: ${list}`,
+    subscriptionChoices: ({ list }) =>
+      `🔎 That name fits several factories:\n${list}\n\nSend \`subscribe\` with the code you want, e.g. \`subscribe MF0235\``,
+    unsubscribed: ({ list }) => `🔕 Unsubscribed from ${list}.`,
+    notSubscribed: `ℹ️ You're not subscribed to that factory. Send \`subscriptions\` to see your list.`,
+    subscriptionList: ({ list }) =>
+      `🔔 *YOUR FACTORY SUBSCRIPTIONS*\n\n${list}\n\n` +
+      `Send \`unsubscribe <code>\` to stop one, or \`unsubscribe\` to stop all.`,
+    noSubscriptions: `🔕 You have no factory subscriptions. Send \`subscribe MF0235\` to follow a factory.`,
+    reportsSubscribed:
+      `📄 You'll now receive each new market report as soon as it is published.\nSend \`unsubscribe reports\` to stop.`,
+    reportsAlreadySubscribed: `ℹ️ You're already receiving new market reports.`,
+    reportsUnsubscribed: `🔕 You'll no longer receive new market reports.`,
+    reportsNotSubscribed: `ℹ️ You're not receiving market reports. Send \`subscribe reports\` to start.`,
+    reportSubscriptionLine: `📄 New market reports`,
+    reportBroadcast: ({ name, optOut }) => `📄 *New market report:* ${name}\n\n${optOut}`,
+    reportOptOut: ({ link }) => link
+      ? `_Don't want these? Tap to stop: ${link}_`
+      : `_Don't want these? Reply "unsubscribe reports"._`,
+    subscriptionUpdate: ({ sale, year }) =>
+      `🔔 *Sale ${sale}${year ? ` (${year})` : ''} is out* - your subscribed factories:\n\n`
+  },
+
+  si: {
+    welcome: () => `
+*MIRA – Mercantile Intelligent Response Assistant 💡🤖*
+MIRA යනු MPBL IT විසින් නිර්මාණය කළ ස්මාර්ට් AI සහායකයෙකි.
+
+${"═".repeat(42)}
+
+📊 *ලබා ගත හැකි සේවා*
+
+*1️⃣ කර්මාන්තශාලා කාර්ය සාධන දත්ත*
+   උදාහරණ:
+   • \`MF 0235 average\`
+   • \`MF0235 MF0777 performance\`
+   • \`MF0235 vs MF0777\`
+   • \`MF0235 sale 38 දත්ත\`
+   • \`Kenilworth sale 38\`
+   • \`MF0235 last 6 sales\`
+   • \`MF0235 sale 37 vs 38\`
+   • \`MF0235 sale 38 pdf\`
+
+*2️⃣ උන්නතාංශ මිල ගණන්*
+   උදාහරණ:
+   • \`elevation sale 38\`
+   • \`උඩරට මිල sale 38\`
+   • \`elevation sale 36, 37, 38\`
+
+*3️⃣ වෙළඳපොළ වාර්තා*
+   උදාහරණ:
+   • \`market report sale 38\`
+   • \`අලුත්ම වෙළඳපොළ වාර්තාව\`
+
+*4️⃣ අංශ සම්බන්ධතා*
+   • *Valuation* (තක්සේරු): ඇගයීම්, වාර්තා
+   • *Accounts* (ගිණුම්): බදු, VAT, ඉන්වොයිස්, DO
+   • *IT*: තාක්ෂණික සහාය
+   • *Marketing* (අලෙවි): සාමාන්‍ය විමසීම්
+
+${"═".repeat(42)}
+
+💡 *ඉක්මන් විධාන*
+   • \`help\` / \`උදව්\` - මෙම මෙනුව පෙන්වන්න
+   • \`contact\` - සම්බන්ධතා තොරතුරු
+   • \`status\` - බොට් සංඛ්‍යාලේඛන
+   • \`මගේ ඉල්ලීම\` - ඔබගේ විමසීම් බලන්න
+   • \`language\` - English / සිංහල / தமிழ்
+   • \`subscribe MF0235\` - නව වෙන්දේසියක් පළ වූ විට වාර්තාව
+   • \`reports\` - නවතම වෙළඳපොළ වාර්තා වලින් තෝරන්න
+   • \`mute bot\` - බොට් පිළිතුරු නවත්වන්න
+   • \`unmute bot\` - බොට් පිළිතුරු නැවත ආරම්භ කරන්න
+
+${"═".repeat(42)}
+
+_මම ඔබට අනවශ්‍ය පණිවිඩ එවන්නේ නැහැ. නිශ්චිත ඉල්ලීම්වලට පමණයි පිළිතුරු දෙන්නේ._
+_මෙම පිළිගැනීමේ පණිවිඩය දිනකට එක් වරක් පමණක් දිස්වේ._
+
+ආරම්භ කිරීමට ඔබගේ ඉල්ලීම ටයිප් කරන්න!
+    `.trim(),
+
+    contactInfo: ({ hours }) => `
+📞 *සම්බන්ධතා තොරතුරු*
+${"═".repeat(42)}
+
+🏢 *Mercantile Produce Brokers Pvt Ltd*
+🍃 විශ්වාසය සහ ශක්තිමත් බැඳීම් මත ගොඩනැගුණු
+
+📧 ඊමේල්: ${CONTACT_EMAIL}
+🌐 වෙබ් අඩවිය: www.merctea.lk
+📍 133, ජාවත්ත පාර, කොළඹ 05, ශ්‍රී ලංකාව
+
+⏰ *කාර්යාල වේලාවන්*
+${hours}
+රජයේ සහ පොහොය නිවාඩු දිනවල වසා ඇත
+
+${"═".repeat(42)}
+
+හදිසි කරුණු සඳහා, මෙම බොට් හරහා
+අදාළ අංශය අමතන්න.
+    `.trim(),
+
+    slotFactoryCodes: `🏭 ඔබට අවශ්‍ය කර්මාන්තශාලා කේතය(න්) මොනවාද?\n\n*උදාහරණ:* MF0235 හෝ MF0235 MF0777\n\n_නවත්වන්න "cancel" යවන්න._`,
+    slotSaleNumber: ({ intent }) =>
+      `📊 ඔබට ${intent === 'market_report' ? 'වෙළඳපොළ වාර්තාව' : 'උන්නතාංශ සාමාන්‍ය මිල'} අවශ්‍ය වෙන්දේසි අංකය කුමක්ද?\n\n` +
+      `*උදාහරණ:* 38 හෝ sale 38\n\n_නවත්වන්න "cancel" යවන්න._`,
+
+    outOfHours: ({ ticket, holiday, opening, hours }) =>
+      `🌙 *අපි දැනට වසා ඇත*\n\n` +
+      `අපගේ කාර්යාල ${holiday ? `*${holiday}* නිසා` : 'කාර්යාල වේලාවෙන් පසු'} වසා ඇත.\n\n` +
+      `ඔබගේ ඉල්ලීම *${ticket.id}* ලෙස සටහන් කර ඇති අතර ` +
+      `${opening ? `අපි *${opening}* විවෘත වූ විට` : 'ඊළඟ වැඩ කරන දිනයේ'} ` +
+      `අපගේ *${ticket.department} අංශය* වෙත යොමු කෙරේ.\n\n` +
+      `⏰ *කාර්යාල වේලාවන්:* ${hours}\n` +
+      `එය පරීක්ෂා කිරීමට "මගේ ඉල්ලීම" යවන්න.`,
+
+    noTicket: ({ ticketId }) => `⚠️ ඔබගේ අංකයට ${ticketId} ටිකට්පතක් හමු නොවීය.`,
+    noTickets: `📭 අපගේ අංශ සමඟ ඔබට ඉල්ලීම් කිසිවක් නැත.\n\n` +
+      `අංශයක් සම්බන්ධ කර ගැනීමට, ඔබට අවශ්‍ය දේ මට කියන්න, උදා: "ගිණුම් අංශයෙන් උදව් අවශ්‍යයි".`,
+    ticketListTitle: '🎫 *ඔබගේ ඉල්ලීම්*',
+    ticketListStatus: 'තත්ත්වය',
+    ticketListHandledBy: 'හසුරුවන්නේ',
+    ticketListOpened: 'විවෘත කළේ',
+    ticketListUpdated: 'අවසන් යාවත්කාලීනය',
+    ticketStatusLabels: {
+      open: '🟡 විවෘතයි - අපගේ කණ්ඩායම එනතුරු',
+      queued: '🌙 පෝලිමේ - කාර්යාලය විවෘත වූ විට යවනු ලැබේ',
+      claimed: '🔵 හසුරුවමින් පවතී',
+      answered: '🟢 පිළිතුරු ලැබී ඇත',
+      closed: '⚪ අවසන්'
+    },
+
+    rateLimited: ({ seconds }) =>
+      `⚠️ *පණිවිඩ සීමාව ඉක්මවා ඇත*\n\n` +
+      `කරුණාකර තවත් පණිවිඩ යැවීමට පෙර තත්පර ${seconds}ක් රැඳී සිටින්න.\n` +
+      `සියලු පරිශීලකයින්ට ගුණාත්මක සේවාවක් ලබා දීමට මෙය උපකාරී වේ.`,
+    botMuted: `🔇 *බොට් නිහඬ කර ඇත*\n\n` +
+      `මම තවදුරටත් ඔබගේ පණිවිඩවලට පිළිතුරු නොදෙමි.\n\n` +
+      `මා නැවත සක්‍රිය කිරීමට, යවන්න:\n` +
+      `• \`activate bot\`\n` +
+      `• \`unmute bot\`\n` +
+      `• \`බොට් ආරම්භ කරන්න\`\n\n` +
+      `_මෙම විධාන සඳහා මම තවමත් සවන් දෙමි._`,
+    botActivated: `🔔 *බොට් සක්‍රියයි!*\n\n` +
+      `මම නැවත ඔබට සහාය වීමට සූදානම්.\n\n` +
+      `මට කළ හැකි දේ බැලීමට *help* ටයිප් කරන්න.`,
+    irrelevant: `Mercantile Produce Brokers කෙරෙහි ඔබගේ උනන්දුවට ස්තූතියි.\n\n` +
+      `මෙය ස්වයංක්‍රීය තේ තැරැව්කාර සහායකයෙකි. මානව සම්පත් විමසීම් සඳහා, කරුණාකර අපගේ කාර්යාලය සෘජුවම අමතන්න:\n\n` +
+      `📞 ${CONTACT_PHONE}\n` +
+      `📧 ${CONTACT_EMAIL}\n\n` +
+      `_ඔබට බොට් සහාය අවශ්‍ය නැත්නම් මම නිහඬව සිටිමි. පසුව අවශ්‍ය නම් "help" ටයිප් කරන්න._`,
+    cancelled: "👍 හරි, අවලංගු කළා. වෙනත් යමක් අවශ්‍ය නම් *help* ටයිප් කරන්න.",
+
+    correctedQuery: ({ terms }) => `🔎 *${terms}* සඳහා ප්‍රතිඵල පෙන්වයි\n\n`,
+    saleNote: ({ reference, sale, year }) =>
+      `📅 ${reference === 'previous' ? 'පෙර' : 'අලුත්ම'} වෙන්දේසිය භාවිතා කරයි: *Sale ${sale}*${year ? ` (${year})` : ''}\n\n`,
+    tooManyCodes: "⚠️ එක් ඉල්ලීමකට උපරිම කර්මාන්තශාලා කේත 5ක්.",
+    factoryChoices: ({ list }) =>
+      `🔎 *ඔබ අදහස් කළේ කුමන කර්මාන්තශාලාවද?*\n\n${list}\n\n` +
+      `අංකයකින් පිළිතුරු දෙන්න (උදා: 1, හෝ කිහිපයක් සඳහා 1 2).\n\n_නවත්වන්න "cancel" යවන්න._`,
+    factoryMatched: ({ list }) => `🔎 කර්මාන්තශාලාව: ${list}\n\n`,
+    fetchingFactory: ({ codes }) => `⏳ දත්ත ලබා ගනිමින්: ${codes}...`,
+    noFactoryData: ({ codes, saleNo }) => `⚠️ ${codes} සඳහා දත්ත හමු නොවීය${saleNo ? ` (Sale ${saleNo})` : ''}`,
+    fetchingElevation: "⏳ උන්නතාංශ දත්ත ලබා ගනිමින්...",
+    noElevationData: ({ saleNo }) => `⚠️ Sale ${saleNo} සඳහා උන්නතාංශ දත්ත හමු නොවීය.`,
+    fetchingReport: "⏳ වෙළඳපොළ වාර්තාව ලබා ගනිමින්...",
+    reportSent: "✅ වාර්තාව සාර්ථකව යවන ලදී!",
+    reportList: ({ list }) => `📄 *නවතම වෙළඳපොළ වාර්තා*\n\n${list}\n\nවාර්තාව ලබා ගැනීමට අංකය සමඟ පිළිතුරු දෙන්න.`,
+    noReports: "⚠️ දැනට වෙළඳපොළ වාර්තා නොමැත. කරුණාකර පසුව උත්සාහ කරන්න.",
+    exportSent: ({ format }) => `✅ කර්මාන්තශාලා වාර්තාව ${format === 'xlsx' ? 'Excel' : 'PDF'} ගොනුවක් ලෙස යවන ලදී.`,
+    factoryAccessDenied: ({ codes }) =>
+      `🔒 කණගාටුයි, මෙම අංකයට මෙම කර්මාන්තශාලා වල දත්ත බැලීමට අවසර නැත: ${codes}\n\nඔබට ප්‍රවේශය තිබිය යුතු නම්, කරුණාකර අපගේ අලෙවි අංශය අමතන්න.`,
+    feedbackQueued: "🙏 දැනුම් දීමට ස්තූතියි. බොට් එයින් ඉගෙන ගැනීම සඳහා ඔබගේ අවසන් පණිවිඩය අපගේ කණ්ඩායමට යොමු කරන ලදී.\n\nකරුණාකර වෙනත් වචන වලින් නැවත විමසන්න, නැතහොත් *help* ටයිප් කරන්න.",
+    reportNotFound: ({ saleNo }) => `⚠️ Sale ${saleNo} සඳහා වෙළඳපොළ වාර්තාව හමු නොවීය.`,
+
+    departmentMenu: `📞 *අංශ සම්බන්ධතා*\n\n` +
+      `කරුණාකර අංශය සඳහන් කරන්න:\n\n` +
+      `• *Valuation* (තක්සේරු) - ඇගයීම් සහ වාර්තා\n` +
+      `• *Accounts* (ගිණුම්) - බදු, VAT, ඉන්වොයිස්\n` +
+      `• *IT* - තාක්ෂණික සහාය\n` +
+      `• *Marketing* (අලෙවි) - සාමාන්‍ය විමසීම්\n\n` +
+      `උදාහරණ: "ගිණුම් අංශයෙන් උදව් අවශ්‍යයි"`,
+    connecting: ({ department }) => `⏳ ${department} අංශය වෙත සම්බන්ධ කරමින්...`,
+    ticketCreated: ({ department, ticketId }) =>
+      `✅ *ඔබගේ විමසීමට ස්තූතියි!*\n\n` +
+      `ඔබගේ ඉල්ලීම අපගේ *${department} අංශය* වෙත යොමු කර ඇත. ` +
+      `අපගේ කණ්ඩායම ඔබගේ පණිවිඩය සලකා බලා ඉක්මනින් පිළිතුරු දෙනු ඇත.\n\n` +
+      `🎫 *ටිකට්පත:* ${ticketId}\n` +
+      `එය පරීක්ෂා කිරීමට "මගේ ඉල්ලීම" යවන්න.\n\n` +
+      `📞 හදිසි කරුණු සඳහා, කරුණාකර අපගේ කාර්යාලය සෘජුවම අමතන්න.`,
+    routeFailed: ({ department }) =>
+      `⚠️ ඔබගේ ඉල්ලීම ${department} අංශය වෙත යොමු කිරීමට නොහැකි විය.\n\n` +
+      `කරුණාකර නැවත උත්සාහ කරන්න හෝ අපව සෘජුවම අමතන්න:\n` +
+      `📞 ${CONTACT_PHONE}\n` +
+      `📧 ${CONTACT_EMAIL}`,
+    generalNudge: `👋 ඔබට අවශ්‍ය නම් මම මෙහි සිටිමි:\n\n` +
+      `• 🏭 කර්මාන්තශාලා දත්ත\n` +
+      `• 📊 උන්නතාංශ සාමාන්‍ය මිල\n` +
+      `• 📄 වෙළඳපොළ වාර්තා\n` +
+      `• 📞 අංශ සම්බන්ධතා\n\n` +
+      `වැඩි විස්තර සඳහා *help* ටයිප් කරන්න.\n\n` +
+      `_මා නිහඬ කිරීමට, යවන්න: "mute bot"_`,
+    error: `⚠️ *ඔබගේ ඉල්ලීම සැකසීමේදී දෝෂයක් ඇති විය.*\n\n` +
+      `කරුණාකර මොහොතකින් නැවත උත්සාහ කරන්න. ගැටලුව දිගටම පවතී නම්, ` +
+      `අපගේ සහාය කණ්ඩායම සෘජුවම අමතන්න.\n\n` +
+      `📞 සහාය: ${CONTACT_PHONE}`,
+
+    staffResponse: ({ ticket, staffName, time, text }) => `
+✅ *${ticket.department.toUpperCase()} අංශයෙන් පිළිතුර*
+${"═".repeat(42)}
+
+👤 *වෙතින්:* ${staffName}
+🎫 *ටිකට්පත:* ${ticket.id}
+🕐 *වේලාව:* ${time}
+
+${"─".repeat(42)}
+💬 *පිළිතුර:*
+${text}
+${"═".repeat(42)}
+
+↩️ සංවාදය දිගටම කරගෙන යාමට මෙම පණිවිඩයට පිළිතුරු දෙන්න.
+Mercantile Produce Brokers භාවිතා කිරීම ගැන ස්තූතියි!
+    `.trim(),
+    ticketClaimed: ({ ticket, staffName }) =>
+      `👤 අපගේ ${ticket.department} අංශයේ *${staffName}* දැන් ඔබගේ *${ticket.id}* ඉල්ලීම හසුරුවයි.\n\n` +
+      `ඔබට ඉක්මනින් මෙහි පිළිතුරක් ලැබෙනු ඇත.`,
+    ticketClosed: ({ ticket, staffName }) =>
+      `✅ *ඉල්ලීම අවසන් කරන ලදී*\n\n` +
+      `අපගේ ${ticket.department} අංශය සමඟ වූ ඔබගේ *${ticket.id}* ඉල්ලීම ` +
+      `${staffName} විසින් අවසන් කරන ලදී.\n\n` +
+      `ඔබට වෙනත් යමක් අවශ්‍ය නම්, අපට නව පණිවිඩයක් එවන්න.`,
+    queueFlushed: ({ ticket }) =>
+      `☀️ *සුබ දවසක්!*\n\n` +
+      `ඔබගේ *${ticket.id}* ඉල්ලීම දැන් අපගේ *${ticket.department} අංශය* වෙත යොමු කර ඇත. ` +
+      `අපි ඉක්මනින් ඔබට පිළිතුරු දෙන්නෙමු.`,
+    followUpQueued: ({ ticketId }) => `📝 ඔබගේ ${ticketId} ඉල්ලීමට එක් කරන ලදී. කාර්යාලය විවෘත වූ විට අපගේ කණ්ඩායම එය දකිනු ඇත.`,
+    followUpTeam: ({ department }) => `අපගේ ${department} කණ්ඩායම`,
+    followUpSent: ({ target, ticketId }) => `📨 ${target} වෙත යවන ලදී (ටිකට්පත ${ticketId}).`,
+    escalated: ({ ticket }) =>
+      `🙏 *ප්‍රමාදය ගැන අපි කණගාටු වෙමු*\n\n` +
+      `ඔබගේ *${ticket.id}* ඉල්ලීමට තවමත් පිළිතුරු ලැබී නැති බැවින්, ` +
+      `අපි එය අපගේ ${ticket.department} අංශයේ ප්‍රධානියා වෙත යොමු කර ඇත.\n\n` +
+      `📞 හදිසි කරුණු සඳහා, කරුණාකර ${CONTACT_PHONE} අමතන්න.`,
+    reminded: ({ ticket }) =>
+      `⏳ *${ticket.id} පිළිබඳ යාවත්කාලීනය*\n\n` +
+      `රැඳී සිටීම ගැන කණගාටුයි. ඔබගේ ඉල්ලීම තවමත් අපගේ ${ticket.department} කණ්ඩායම සතුව ඇති අතර ` +
+      `ඔබට පිළිතුරු දෙන ලෙස අපි ඔවුන්ට මතක් කර ඇත.`,
+
+    languageStatus: ({ name, pinned }) =>
+      `🌐 *භාෂාව*\n\n` +
+      `වත්මන් භාෂාව: *${name}*${pinned ? '' : ' (ස්වයංක්‍රීය)'}\n\n` +
+      `වෙනස් කිරීමට, යවන්න:\n` +
+      `• \`language english\`\n` +
+      `• \`language sinhala\`\n` +
+      `• \`language tamil\`\n` +
+      `• \`language auto\` - ඔබ ලියන භාෂාව අනුව`,
+    languageSet: "✅ මෙතැන් සිට මම *සිංහලෙන්* පිළිතුරු දෙන්නම්.",
+    languageAuto: "✅ ස්වයංක්‍රීය භාෂා හඳුනාගැනීම සක්‍රියයි. ඔබ ලියන භාෂාවෙන් මම පිළිතුරු දෙන්නම්.",
+    languageUnknown: ({ value }) =>
+      `⚠️ "${value}" භාෂාව හඳුනා ගත නොහැක.\n\n` +
+      `*උදාහරණ:* \`language english\`, \`language sinhala\`, \`language tamil\` හෝ \`language auto\``,
+    subscribeUsage:
+      `🔔 *කර්මාන්තශාලා යාවත්කාලීන*\n\n` +
+      `නව වෙන්දේසියක් පළ වූ වහාම කර්මාන්තශාලාවේ වාර්තාව ලබා ගැනීමට \`subscribe MF0235\` යවන්න.\n\n` +
+      `• \`subscriptions\` - ඔබ අනුගමනය කරන කර්මාන්තශාලා\n` +
+      `• \`unsubscribe MF0235\` - එක් කර්මාන්තශාලාවක් නවත්වන්න\n` +
+      `• \`subscribe reports\` - නව වෙළඳපොළ වාර්තා පළ වන විට\n` +
+      `• \`unsubscribe\` - සියල්ල නවත්වන්න`,
+    subscribed: ({ list }) =>
+      `🔔 ${list} සඳහා දායක විය.\nනව වෙන්දේසියක් පළ වූ වහාම වාර්තාව ලැබෙනු ඇත. නැවැත්වීමට "unsubscribe" යවන්න.`,
+    alreadySubscribed: ({ list }) => `ℹ️ ${list} සඳහා දැනටමත් දායක වී ඇත.`,
+    subscriptionLimit: ({ max, list }) => `⚠️ ඔබට කර්මාන්තශාලා ${max} ක් දක්වා අනුගමනය කළ හැක. එකතු නොකළ: ${list}`,
+    unknownFactories: ({ list }) => `⚠️ කර්මාන්තශාලා කේතය හමු නොවීය: ${list}`,
+    subscriptionChoices: ({ list }) =>
+      `🔎 එම නමට කර්මාන්තශාලා කිහිපයක් ගැලපේ:\n${list}\n\nඔබට අවශ්‍ය කේතය සමඟ \`subscribe\` යවන්න, උදා: \`subscribe MF0235\``,
+    unsubscribed: ({ list }) => `🔕 ${list} සඳහා දායකත්වය ඉවත් කරන ලදී.`,
+    notSubscribed: `ℹ️ ඔබ එම කර්මාන්තශාලාවට දායක වී නැත. ඔබගේ ලැයිස්තුව බැලීමට \`subscriptions\` යවන්න.`,
+    subscriptionList: ({ list }) =>
+      `🔔 *ඔබගේ කර්මාන්තශාලා දායකත්ව*\n\n${list}\n\n` +
+      `එකක් නැවැත්වීමට \`unsubscribe <code>\`, සියල්ල නැවැත්වීමට \`unsubscribe\` යවන්න.`,
+    noSubscriptions: `🔕 ඔබට කර්මාන්තශාලා දායකත්ව නැත. කර්මාන්තශාලාවක් අනුගමනය කිරීමට \`subscribe MF0235\` යවන්න.`,
+    reportsSubscribed:
+      `📄 නව වෙළඳපොළ වාර්තාවක් පළ වූ වහාම ඔබට ලැබෙනු ඇත.\nනැවැත්වීමට \`unsubscribe reports\` යවන්න.`,
+    reportsAlreadySubscribed: `ℹ️ ඔබට දැනටමත් නව වෙළඳපොළ වාර්තා ලැබේ.`,
+    reportsUnsubscribed: `🔕 ඔබට තවදුරටත් නව වෙළඳපොළ වාර්තා නොලැබේ.`,
+    reportsNotSubscribed: `ℹ️ ඔබට වෙළඳපොළ වාර්තා නොලැබේ. ආරම්භ කිරීමට \`subscribe reports\` යවන්න.`,
+    reportSubscriptionLine: `📄 නව වෙළඳපොළ වාර්තා`,
+    reportBroadcast: ({ name, optOut }) => `📄 *නව වෙළඳපොළ වාර්තාව:* ${name}\n\n${optOut}`,
+    reportOptOut: ({ link }) => link
+      ? `_මේවා අවශ්‍ය නැද්ද? නැවැත්වීමට ඔබන්න: ${link}_`
+      : `_මේවා අවශ්‍ය නැද්ද? "unsubscribe reports" ලෙස පිළිතුරු දෙන්න._`,
+    subscriptionUpdate: ({ sale, year }) =>
+      `🔔 *Sale ${sale}${year ? ` (${year})` : ''} පළ විය* - ඔබ දායක වූ කර්මාන්තශාලා:\n\n`
+  },
+
+  ta: {
+    welcome: () => `
+*MIRA – Mercantile Intelligent Response Assistant 💡🤖*
+MIRA என்பது MPBL IT வடிவமைத்த ஒரு ஸ்மார்ட் AI உதவியாளர்.
+
+${"═".repeat(42)}
+
+📊 *கிடைக்கும் சேவைகள்*
+
+*1️⃣ தொழிற்சாலை செயல்திறன் தரவு*
+   எடுத்துக்காட்டுகள்:
+   • \`MF 0235 average\`
+   • \`MF0235 MF0777 performance\`
+   • \`MF0235 vs MF0777\`
+   • \`MF0235 sale 38 தரவு\`
+   • \`Kenilworth sale 38\`
+   • \`MF0235 last 6 sales\`
+   • \`MF0235 sale 37 vs 38\`
+   • \`MF0235 sale 38 pdf\`
+
+*2️⃣ உயர வகை விலைகள்*
+   எடுத்துக்காட்டுகள்:
+   • \`elevation sale 38\`
+   • \`மலைநாடு விலை sale 38\`
+   • \`elevation sale 36, 37, 38\`
+
+*3️⃣ சந்தை அறிக்கைகள்*
+   எடுத்துக்காட்டுகள்:
+   • \`market report sale 38\`
+   • \`சமீபத்திய சந்தை அறிக்கை\`
+
+*4️⃣ பிரிவு தொடர்புகள்*
+   • *Valuation* (மதிப்பீடு): மதிப்பீடுகள், அறிக்கைகள்
+   • *Accounts* (கணக்கு): வரி, VAT, விலைப்பட்டியல்கள், DO
+   • *IT*: தொழில்நுட்ப உதவி
+   • *Marketing* (சந்தைப்படுத்தல்): பொது விசாரணைகள்
+
+${"═".repeat(42)}
+
+💡 *விரைவு கட்டளைகள்*
+   • \`help\` / \`உதவி\` - இந்த பட்டியலைக் காட்டு
+   • \`contact\` - தொடர்பு தகவல்
+   • \`status\` - பாட் புள்ளிவிவரங்கள்
+   • \`என் கோரிக்கை\` - உங்கள் விசாரணைகளைப் பின்தொடரவும்
+   • \`language\` - English / සිංහල / தமிழ்
+   • \`subscribe MF0235\` - புதிய ஏலம் வெளியானதும் அறிக்கை
+   • \`reports\` - சமீபத்திய சந்தை அறிக்கைகளில் தேர்வு செய்யவும்
+   • \`mute bot\` - பாட் பதில்களை நிறுத்து
+   • \`unmute bot\` - பாட் பதில்களை மீண்டும் தொடங்கு
+
+${"═".repeat(42)}
+
+_நான் தேவையற்ற செய்திகளை அனுப்ப மாட்டேன். குறிப்பிட்ட கோரிக்கைகளுக்கு மட்டுமே பதிலளிப்பேன்._
+_இந்த வரவேற்பு செய்தி நாளொன்றுக்கு ஒருமுறை மட்டுமே தோன்றும்._
+
+தொடங்க உங்கள் கோரிக்கையைத் தட்டச்சு செய்யவும்!
+    `.trim(),
+
+    contactInfo: ({ hours }) => `
+📞 *தொடர்பு தகவல்*
+${"═".repeat(42)}
+
+🏢 *Mercantile Produce Brokers Pvt Ltd*
+🍃 நம்பிக்கை மற்றும் வலுவான பிணைப்புகளின் மீது கட்டப்பட்டது
+
+📧 மின்னஞ்சல்: ${CONTACT_EMAIL}
+🌐 இணையதளம்: www.merctea.lk
+📍 133, ஜாவத்தை வீதி, கொழும்பு 05, இலங்கை
+
+⏰ *அலுவலக நேரம்*
+${hours}
+பொது மற்றும் போயா விடுமுறை நாட்களில் மூடப்பட்டிருக்கும்
+
+${"═".repeat(42)}
+
+அவசர விஷயங்களுக்கு, இந்த பாட் மூலம்
+தொடர்புடைய பிரிவைத் தொடர்பு கொள்ளவும்.
+    `.trim(),
+
+    slotFactoryCodes: `🏭 எந்த தொழிற்சாலை குறியீடு(கள்) வேண்டும்?\n\n*எடுத்துக்காட்டு:* MF0235 அல்லது MF0235 MF0777\n\n_நிறுத்த "cancel" என அனுப்பவும்._`,
+    slotSaleNumber: ({ intent }) =>
+      `📊 ${intent === 'market_report' ? 'சந்தை அறிக்கை' : 'உயர வகை சராசரி விலைகள்'} எந்த ஏல எண்ணுக்கு வேண்டும்?\n\n` +
+      `*எடுத்துக்காட்டு:* 38 அல்லது sale 38\n\n_நிறுத்த "cancel" என அனுப்பவும்._`,
+
+    outOfHours: ({ ticket, holiday, opening, hours }) =>
+      `🌙 *நாங்கள் தற்போது மூடப்பட்டுள்ளோம்*\n\n` +
+      `எங்கள் அலுவலகங்கள் ${holiday ? `*${holiday}* காரணமாக` : 'அலுவலக நேரத்திற்கு வெளியே'} மூடப்பட்டுள்ளன.\n\n` +
+      `உங்கள் கோரிக்கை *${ticket.id}* ஆக பதிவு செய்யப்பட்டுள்ளது, ` +
+      `${opening ? `நாங்கள் *${opening}* திறக்கும்போது` : 'அடுத்த வேலை நாளில்'} ` +
+      `எங்கள் *${ticket.department} பிரிவுக்கு* அனுப்பப்படும்.\n\n` +
+      `⏰ *அலுவலக நேரம்:* ${hours}\n` +
+      `அதைச் சரிபார்க்க "என் கோரிக்கை" என அனுப்பவும்.`,
+
+    noTicket: ({ ticketId }) => `⚠️ உங்கள் எண்ணுக்கு ${ticketId} டிக்கெட் எதுவும் இல்லை.`,
+    noTickets: `📭 எங்கள் பிரிவுகளிடம் உங்களுக்கு கோரிக்கைகள் எதுவும் இல்லை.\n\n` +
+      `ஒரு பிரிவைத் தொடர்பு கொள்ள, உங்களுக்கு என்ன தேவை என்று சொல்லுங்கள், எ.கா. "கணக்கு பிரிவின் உதவி வேண்டும்".`,
+    ticketListTitle: '🎫 *உங்கள் கோரிக்கைகள்*',
+    ticketListStatus: 'நிலை',
+    ticketListHandledBy: 'கையாள்பவர்',
+    ticketListOpened: 'திறக்கப்பட்டது',
+    ticketListUpdated: 'கடைசி புதுப்பிப்பு',
+    ticketStatusLabels: {
+      open: '🟡 திறந்துள்ளது - எங்கள் குழுவுக்காக காத்திருக்கிறது',
+      queued: '🌙 வரிசையில் - அலுவலகம் திறக்கும்போது அனுப்பப்படும்',
+      claimed: '🔵 கையாளப்படுகிறது',
+      answered: '🟢 பதிலளிக்கப்பட்டது',
+      closed: '⚪ மூடப்பட்டது'
+    },
+
+    rateLimited: ({ seconds }) =>
+      `⚠️ *செய்தி வரம்பு மீறப்பட்டது*\n\n` +
+      `மேலும் செய்திகளை அனுப்புவதற்கு முன் ${seconds} வினாடிகள் காத்திருக்கவும்.\n` +
+      `இது அனைத்து பயனர்களுக்கும் தரமான சேவையை வழங்க உதவுகிறது.`,
+    botMuted: `🔇 *பாட் அமைதியாக்கப்பட்டது*\n\n` +
+      `நான் இனி உங்கள் செய்திகளுக்குப் பதிலளிக்க மாட்டேன்.\n\n` +
+      `மீண்டும் செயல்படுத்த, அனுப்பவும்:\n` +
+      `• \`activate bot\`\n` +
+      `• \`unmute bot\`\n` +
+      `• \`பாட் தொடங்கு\`\n\n` +
+      `_இந்தக் கட்டளைகளை நான் இன்னும் கவனிப்பேன்._`,
+    botActivated: `🔔 *பாட் செயல்படுத்தப்பட்டது!*\n\n` +
+      `நான் மீண்டும் உங்களுக்கு உதவத் தயாராக உள்ளேன்.\n\n` +
+      `நான் என்ன செய்ய முடியும் என்பதைப் பார்க்க *help* என தட்டச்சு செய்யவும்.`,
+    irrelevant: `Mercantile Produce Brokers மீதான உங்கள் ஆர்வத்திற்கு நன்றி.\n\n` +
+      `இது ஒரு தானியங்கி தேயிலை தரகு உதவியாளர். மனிதவள விசாரணைகளுக்கு, எங்கள் அலுவலகத்தை நேரடியாகத் தொடர்பு கொள்ளவும்:\n\n` +
+      `📞 ${CONTACT_PHONE}\n` +
+      `📧 ${CONTACT_EMAIL}\n\n` +
+      `_உங்களுக்கு பாட் உதவி தேவையில்லை என்றால் நான் அமைதியாக இருப்பேன். பின்னர் தேவைப்பட்டால் "help" என தட்டச்சு செய்யவும்._`,
+    cancelled: "👍 சரி, ரத்து செய்யப்பட்டது. வேறு ஏதாவது தேவைப்பட்டால் *help* என தட்டச்சு செய்யவும்.",
+
+    correctedQuery: ({ terms }) => `🔎 *${terms}* க்கான முடிவுகள் காட்டப்படுகின்றன\n\n`,
+    saleNote: ({ reference, sale, year }) =>
+      `📅 ${reference === 'previous' ? 'முந்தைய' : 'சமீபத்திய'} ஏலம் பயன்படுத்தப்படுகிறது: *Sale ${sale}*${year ? ` (${year})` : ''}\n\n`,
+    tooManyCodes: "⚠️ ஒரு கோரிக்கைக்கு அதிகபட்சம் 5 தொழிற்சாலை குறியீடுகள்.",
+    factoryChoices: ({ list }) =>
+      `🔎 *நீங்கள் எந்தத் தொழிற்சாலையைக் குறிப்பிடுகிறீர்கள்?*\n\n${list}\n\n` +
+      `ஒரு எண்ணுடன் பதிலளிக்கவும் (எ.கா. 1, அல்லது பலவற்றுக்கு 1 2).\n\n_நிறுத்த "cancel" என அனுப்பவும்._`,
+    factoryMatched: ({ list }) => `🔎 தொழிற்சாலை: ${list}\n\n`,
+    fetchingFactory: ({ codes }) => `⏳ தரவு பெறப்படுகிறது: ${codes}...`,
+    noFactoryData: ({ codes, saleNo }) => `⚠️ ${codes} க்கான தரவு எதுவும் கிடைக்கவில்லை${saleNo ? ` (Sale ${saleNo})` : ''}`,
+    fetchingElevation: "⏳ உயர வகை தரவு பெறப்படுகிறது...",
+    noElevationData: ({ saleNo }) => `⚠️ Sale ${saleNo} க்கான உயர வகை தரவு கிடைக்கவில்லை.`,
+    fetchingReport: "⏳ சந்தை அறிக்கை பெறப்படுகிறது...",
+    reportSent: "✅ அறிக்கை வெற்றிகரமாக அனுப்பப்பட்டது!",
+    reportList: ({ list }) => `📄 *சமீபத்திய சந்தை அறிக்கைகள்*\n\n${list}\n\nஅறிக்கையைப் பெற எண்ணுடன் பதிலளிக்கவும்.`,
+    noReports: "⚠️ தற்போது சந்தை அறிக்கைகள் எதுவும் இல்லை. பின்னர் மீண்டும் முயற்சிக்கவும்.",
+    exportSent: ({ format }) => `✅ தொழிற்சாலை அறிக்கை ${format === 'xlsx' ? 'Excel' : 'PDF'} கோப்பாக அனுப்பப்பட்டது.`,
+    factoryAccessDenied: ({ codes }) =>
+      `🔒 மன்னிக்கவும், இந்த எண்ணுக்கு இந்த தொழிற்சாலைகளின் தரவைப் பார்க்க அனுமதி இல்லை: ${codes}\n\nஉங்களுக்கு அணுகல் இருக்க வேண்டும் என்றால், எங்கள் சந்தைப்படுத்தல் பிரிவைத் தொடர்பு கொள்ளவும்.`,
+    feedbackQueued: "🙏 தெரிவித்தமைக்கு நன்றி. பாட் இதிலிருந்து கற்றுக்கொள்ள உங்கள் கடைசி செய்தி எங்கள் குழுவுக்கு அனுப்பப்பட்டது.\n\nதயவுசெய்து வேறு வார்த்தைகளில் மீண்டும் கேளுங்கள், அல்லது *help* என தட்டச்சு செய்யவும்.",
+    reportNotFound: ({ saleNo }) => `⚠️ Sale ${saleNo} க்கான சந்தை அறிக்கை கிடைக்கவில்லை.`,
+
+    departmentMenu: `📞 *பிரிவு தொடர்புகள்*\n\n` +
+      `தயவுசெய்து பிரிவைக் குறிப்பிடவும்:\n\n` +
+      `• *Valuation* (மதிப்பீடு) - மதிப்பீடுகள் & அறிக்கைகள்\n` +
+      `• *Accounts* (கணக்கு) - வரி, VAT, விலைப்பட்டியல்கள்\n` +
+      `• *IT* - தொழில்நுட்ப உதவி\n` +
+      `• *Marketing* (சந்தைப்படுத்தல்) - பொது விசாரணைகள்\n\n` +
+      `எடுத்துக்காட்டு: "கணக்கு பிரிவின் உதவி வேண்டும்"`,
+    connecting: ({ department }) => `⏳ ${department} பிரிவுடன் இணைக்கப்படுகிறது...`,
+    ticketCreated: ({ department, ticketId }) =>
+      `✅ *உங்கள் விசாரணைக்கு நன்றி!*\n\n` +
+      `உங்கள் கோரிக்கை எங்கள் *${department} பிரிவுக்கு* அனுப்பப்பட்டுள்ளது. ` +
+      `எங்கள் குழு உங்கள் செய்தியைப் பரிசீலித்து விரைவில் பதிலளிக்கும்.\n\n` +
+      `🎫 *டிக்கெட்:* ${ticketId}\n` +
+      `அதைச் சரிபார்க்க "என் கோரிக்கை" என அனுப்பவும்.\n\n` +
+      `📞 அவசர விஷயங்களுக்கு, எங்கள் அலுவலகத்தை நேரடியாக அழைக்கவும்.`,
+    routeFailed: ({ department }) =>
+      `⚠️ உங்கள் கோரிக்கையை ${department} பிரிவுக்கு அனுப்ப முடியவில்லை.\n\n` +
+      `மீண்டும் முயற்சிக்கவும் அல்லது எங்களை நேரடியாகத் தொடர்பு கொள்ளவும்:\n` +
+      `📞 ${CONTACT_PHONE}\n` +
+      `📧 ${CONTACT_EMAIL}`,
+    generalNudge: `👋 உங்களுக்குத் தேவைப்பட்டால் நான் இங்கே இருக்கிறேன்:\n\n` +
+      `• 🏭 தொழிற்சாலை தரவு\n` +
+      `• 📊 உயர வகை சராசரி விலைகள்\n` +
+      `• 📄 சந்தை அறிக்கைகள்\n` +
+      `• 📞 பிரிவு தொடர்புகள்\n\n` +
+      `மேலும் தகவலுக்கு *help* என தட்டச்சு செய்யவும்.\n\n` +
+      `_என்னை அமைதியாக்க, அனுப்பவும்: "mute bot"_`,
+    error: `⚠️ *உங்கள் கோரிக்கையைச் செயலாக்கும்போது பிழை ஏற்பட்டது.*\n\n` +
+      `சிறிது நேரத்தில் மீண்டும் முயற்சிக்கவும். சிக்கல் தொடர்ந்தால், ` +
+      `எங்கள் உதவிக் குழுவை நேரடியாகத் தொடர்பு கொள்ளவும்.\n\n` +
+      `📞 உதவி: ${CONTACT_PHONE}`,
+
+    staffResponse: ({ ticket, staffName, time, text }) => `
+✅ *${ticket.department.toUpperCase()} பிரிவிலிருந்து பதில்*
+${"═".repeat(42)}
+
+👤 *அனுப்பியவர்:* ${staffName}
+🎫 *டிக்கெட்:* ${ticket.id}
+🕐 *நேரம்:* ${time}
+
+${"─".repeat(42)}
+💬 *பதில்:*
+${text}
+${"═".repeat(42)}
+
+↩️ உரையாடலைத் தொடர இந்தச் செய்திக்குப் பதிலளிக்கவும்.
+Mercantile Produce Brokers ஐப் பயன்படுத்தியதற்கு நன்றி!
+    `.trim(),
+    ticketClaimed: ({ ticket, staffName }) =>
+      `👤 எங்கள் ${ticket.department} பிரிவைச் சேர்ந்த *${staffName}* இப்போது உங்கள் *${ticket.id}* கோரிக்கையைக் கையாளுகிறார்.\n\n` +
+      `விரைவில் இங்கே உங்களுக்குப் பதில் கிடைக்கும்.`,
+    ticketClosed: ({ ticket, staffName }) =>
+      `✅ *கோரிக்கை மூடப்பட்டது*\n\n` +
+      `எங்கள் ${ticket.department} பிரிவுடனான உங்கள் *${ticket.id}* கோரிக்கை ` +
+      `${staffName} அவர்களால் மூடப்பட்டது.\n\n` +
+      `வேறு ஏதாவது தேவைப்பட்டால், எங்களுக்குப் புதிய செய்தி அனுப்பவும்.`,
+    queueFlushed: ({ ticket }) =>
+      `☀️ *இனிய நாள்!*\n\n` +
+      `உங்கள் *${ticket.id}* கோரிக்கை இப்போது எங்கள் *${ticket.department} பிரிவுக்கு* அனுப்பப்பட்டுள்ளது. ` +
+      `விரைவில் உங்களைத் தொடர்பு கொள்வோம்.`,
+    followUpQueued: ({ ticketId }) => `📝 உங்கள் ${ticketId} கோரிக்கையில் சேர்க்கப்பட்டது. அலுவலகம் திறக்கும்போது எங்கள் குழு அதைப் பார்க்கும்.`,
+    followUpTeam: ({ department }) => `எங்கள் ${department} குழு`,
+    followUpSent: ({ target, ticketId }) => `📨 ${target} க்கு அனுப்பப்பட்டது (டிக்கெட் ${ticketId}).`,
+    escalated: ({ ticket }) =>
+      `🙏 *தாமதத்திற்கு வருந்துகிறோம்*\n\n` +
+      `உங்கள் *${ticket.id}* கோரிக்கைக்கு இன்னும் பதில் அளிக்கப்படாததால், ` +
+      `அதை எங்கள் ${ticket.department} பிரிவின் தலைவருக்கு அனுப்பியுள்ளோம்.\n\n` +
+      `📞 அவசர விஷயங்களுக்கு, ${CONTACT_PHONE} ஐ அழைக்கவும்.`,
+    reminded: ({ ticket }) =>
+      `⏳ *${ticket.id} பற்றிய புதுப்பிப்பு*\n\n` +
+      `காத்திருப்புக்கு வருந்துகிறோம். உங்கள் கோரிக்கை இன்னும் எங்கள் ${ticket.department} குழுவிடம் உள்ளது, ` +
+      `உங்களுக்குப் பதிலளிக்குமாறு அவர்களுக்கு நினைவூட்டியுள்ளோம்.`,
+
+    languageStatus: ({ name, pinned }) =>
+      `🌐 *மொழி*\n\n` +
+      `தற்போதைய மொழி: *${name}*${pinned ? '' : ' (தானியங்கி)'}\n\n` +
+      `மாற்ற, அனுப்பவும்:\n` +
+      `• \`language english\`\n` +
+      `• \`language sinhala\`\n` +
+      `• \`language tamil\`\n` +
+      `• \`language auto\` - நீங்கள் எழுதும் மொழியின்படி`,
+    languageSet: "✅ இனி நான் *தமிழில்* பதிலளிப்பேன்.",
+    languageAuto: "✅ தானியங்கி மொழி கண்டறிதல் இயக்கப்பட்டது. நீங்கள் எழுதும் மொழியில் பதிலளிப்பேன்.",
+    languageUnknown: ({ value }) =>
+      `⚠️ "${value}" என்ற மொழி அடையாளம் காணப்படவில்லை.\n\n` +
+      `*எடுத்துக்காட்டு:* \`language english\`, \`language sinhala\`, \`language tamil\` அல்லது \`language auto\``,
+    subscribeUsage:
+      `🔔 *தொழிற்சாலை புதுப்பிப்புகள்*\n\n` +
+      `புதிய ஏலம் வெளியானவுடன் தொழிற்சாலை அறிக்கையைப் பெற \`subscribe MF0235\` அனுப்பவும்.\n\n` +
+      `• \`subscriptions\` - நீங்கள் பின்தொடரும் தொழிற்சாலைகள்\n` +
+      `• \`unsubscribe MF0235\` - ஒரு தொழிற்சாலையை நிறுத்து\n` +
+      `• \`subscribe reports\` - புதிய சந்தை அறிக்கைகள் வெளியாகும்போது\n` +
+      `• \`unsubscribe\` - அனைத்தையும் நிறுத்து`,
+    subscribed: ({ list }) =>
+      `🔔 ${list} க்கு சந்தா செய்யப்பட்டது.\nபுதிய ஏலம் வெளியானவுடன் அறிக்கை கிடைக்கும். நிறுத்த "unsubscribe" அனுப்பவும்.`,
+    alreadySubscribed: ({ list }) => `ℹ️ ${list} க்கு ஏற்கனவே சந்தா உள்ளது.`,
+    subscriptionLimit: ({ max, list }) => `⚠️ நீங்கள் ${max} தொழிற்சாலைகள் வரை பின்தொடரலாம். சேர்க்கப்படவில்லை: ${list}`,
+    unknownFactories: ({ list }) => `⚠️ தொழிற்சாலை குறியீடு கிடைக்கவில்லை: ${list}`,
+    subscriptionChoices: ({ list }) =>
+      `🔎 அந்தப் பெயர் பல தொழிற்சாலைகளுக்குப் பொருந்துகிறது:\n${list}\n\nவேண்டிய குறியீட்டுடன் \`subscribe\` அனுப்பவும், எ.கா. \`subscribe MF0235\``,
+    unsubscribed: ({ list }) => `🔕 ${list} சந்தா நீக்கப்பட்டது.`,
+    notSubscribed: `ℹ️ அந்தத் தொழிற்சாலைக்கு உங்களுக்கு சந்தா இல்லை. உங்கள் பட்டியலைக் காண \`subscriptions\` அனுப்பவும்.`,
+    subscriptionList: ({ list }) =>
+      `🔔 *உங்கள் தொழிற்சாலை சந்தாக்கள்*\n\n${list}\n\n` +
+      `ஒன்றை நிறுத்த \`unsubscribe <code>\`, அனைத்தையும் நிறுத்த \`unsubscribe\` அனுப்பவும்.`,
+    noSubscriptions: `🔕 உங்களுக்கு தொழிற்சாலை சந்தாக்கள் இல்லை. பின்தொடர \`subscribe MF0235\` அனுப்பவும்.`,
+    reportsSubscribed:
+      `📄 புதிய சந்தை அறிக்கை வெளியானவுடன் உங்களுக்கு அனுப்பப்படும்.\nநிறுத்த \`unsubscribe reports\` அனுப்பவும்.`,
+    reportsAlreadySubscribed: `ℹ️ நீங்கள் ஏற்கனவே புதிய சந்தை அறிக்கைகளைப் பெறுகிறீர்கள்.`,
+    reportsUnsubscribed: `🔕 இனி புதிய சந்தை அறிக்கைகள் அனுப்பப்படாது.`,
+    reportsNotSubscribed: `ℹ️ நீங்கள் சந்தை அறிக்கைகளைப் பெறவில்லை. தொடங்க \`subscribe reports\` அனுப்பவும்.`,
+    reportSubscriptionLine: `📄 புதிய சந்தை அறிக்கைகள்`,
+    reportBroadcast: ({ name, optOut }) => `📄 *புதிய சந்தை அறிக்கை:* ${name}\n\n${optOut}`,
+    reportOptOut: ({ link }) => link
+      ? `_இவை வேண்டாமா? நிறுத்த அழுத்தவும்: ${link}_`
+      : `_இவை வேண்டாமா? "unsubscribe reports" என பதிலளிக்கவும்._`,
+    subscriptionUpdate: ({ sale, year }) =>
+      `🔔 *Sale ${sale}${year ? ` (${year})` : ''} வெளியானது* - உங்கள் சந்தா தொழிற்சாலைகள்:\n\n`
+  }
+};
+
+function translate(language, key, params = {}) {
+  const catalogue = MESSAGES[language] || MESSAGES.en;
+  const entry = key in catalogue ? catalogue[key] : MESSAGES.en[key];
+  return typeof entry === 'function' ? entry(params) : entry;
+}
+
+// `language` shows the current setting, `language <name>` pins one and
+// `language auto` goes back to following the language the user writes in
+async function handleLanguageCommand(msg, value, currentLanguage) {
+  const userId = msg.from;
+  
+  if (!value) {
+    await transport.reply(msg, translate(currentLanguage, 'languageStatus', {
+      name: SUPPORTED_LANGUAGES[currentLanguage],
+      pinned: userTracker.isLanguagePinned(userId)
+    }));
+    return;
+  }
+  
+  const language = parseLanguageName(value);
+  if (!language) {
+    await transport.reply(msg, translate(currentLanguage, 'languageUnknown', { value }));
+    return;
+  }
+  
+  if (language === 'auto') {
+    userTracker.setLanguage(userId, null);
+    await transport.reply(msg, translate(userTracker.getLanguage(userId), 'languageAuto'));
+  } else {
+    userTracker.setLanguage(userId, language);
+    await transport.reply(msg, translate(language, 'languageSet'));
+  }
+  console.log(`🌐 Language for ${userId.substring(0, 15)}... set to ${language}`);
+}
+
+// ==================
+// MESSAGE TEMPLATES
+// ==================
+function getWelcomeMessage(language = 'en') {
+  return translate(language, 'welcome');
+}
+
+function getContactInfo(language = 'en') {
+  return translate(language, 'contactInfo', { hours: businessCalendar.describeHours(language) });
+}
 
-_I won't spam you! I only respond to specific requests._
-_This welcome message appears once per day._
+function getMissingSlot(intent, entities) {
+  if (intent === 'factory_query' && entities.factory_codes.length === 0) {
+    return 'factory_codes';
+  }
+  if (intent === 'elevation_query' && !entities.sale_number && !entities.sale_range) {
+    return 'sale_number';
+  }
+  if (intent === 'market_report' && !entities.sale_number && !entities.report_file) {
+    return 'sale_number';
+  }
+  return null;
+}
 
-Type your request to get started!
-  `.trim();
+function getSlotPrompt(intent, slot, language = 'en') {
+  if (slot === 'factory_codes') {
+    return translate(language, 'slotFactoryCodes');
+  }
+  return translate(language, 'slotSaleNumber', { intent });
 }
 
-function getContactInfo() {
-  return `
-📞 *CONTACT INFORMATION*
-${"═".repeat(42)}
+function getFactoryChoicePrompt(choices, language = 'en') {
+  const list = choices.map((choice, i) => `*${i + 1}.* ${choice.name} (${choice.code})`).join('\n');
+  return translate(language, 'factoryChoices', { list });
+}
 
-🏢 *Mercantile Produce Brokers Pvt Ltd*
-🍃 Built on Trust & Strong Bonds
+function getOutOfHoursMessage(ticket, language = 'en') {
+  const opening = businessCalendar.nextOpening();
+  
+  return translate(language, 'outOfHours', {
+    ticket,
+    holiday: businessCalendar.getHoliday(),
+    opening: opening ? businessCalendar.formatOpening(opening, language) : null,
+    hours: businessCalendar.describeHours(language)
+  });
+}
 
-📧 Email: info@merctea.lk
-🌐 Website: www.merctea.lk
-📍 133, Jawatta Rd, Colombo 05, Sri Lanka
+function getTicketStatusMessage(clientTickets, ticketId, language = 'en') {
+  if (clientTickets.length === 0) {
+    return ticketId
+      ? translate(language, 'noTicket', { ticketId })
+      : translate(language, 'noTickets');
+  }
 
-⏰ *Business Hours*
-Mon-Fri: 9:00 AM - 5:00 PM
+  const labels = translate(language, 'ticketStatusLabels');
+  let message = `${translate(language, 'ticketListTitle')}\n${"═".repeat(42)}\n\n`;
 
-${"═".repeat(42)}
+  clientTickets.slice(0, 5).forEach(ticket => {
+    message += `*${ticket.id}* - ${ticket.department}\n`;
+    message += `   ${translate(language, 'ticketListStatus')}: ${labels[ticket.queued ? 'queued' : ticket.status]}\n`;
+    if (ticket.assignedTo) {
+      message += `   ${translate(language, 'ticketListHandledBy')}: ${ticket.assignedTo.name}\n`;
+    }
+    message += `   ${translate(language, 'ticketListOpened')}: ${formatColomboTime(ticket.createdAt)}\n`;
+    message += `   ${translate(language, 'ticketListUpdated')}: ${formatColomboTime(ticket.updatedAt)}\n\n`;
+  });
 
-For urgent matters, contact the relevant
-department through this bot.
-  `.trim();
+  message += `${"═".repeat(42)}`;
+  return message;
 }
 
 function getBotStatus() {
@@ -1670,6 +6502,259 @@ ${"═".repeat(42)}
   `.trim();
 }
 
+// ==================
+// ADMIN COMMANDS
+// ==================
+// "!" commands for staff with the admin role, so the bot can be run from a
+// phone. Anyone else gets a refusal. Replies are staff-facing, in English.
+const ADMIN_COMMAND_PATTERN = /^\s*!([a-z]+)(?:\s+([\s\S]*))?$/i;
+
+const ADMIN_HELP = `🛠️ *ADMIN COMMANDS*
+${"═".repeat(42)}
+• \`!stats\` - Message statistics
+• \`!health\` - Connection, memory and queues
+• \`!tickets\` - Tickets by department
+• \`!reload staff\` - Re-read the staff directory
+• \`!reload access\` - Re-read the factory access list
+• \`!mute <number>\` - Stop replies to a number
+• \`!unmute <number>\` - Resume replies to a number
+• \`!broadcast <dept|all> <text>\` - Message a department's staff, or all staff
+• \`!broadcasts\` - Market report broadcasts and their recipients
+• \`!review\` - Messages users marked as misunderstood
+• \`!label <id> <intent|skip>\` - Label a reviewed message for training`;
+
+function formatAdminStats() {
+  const stats = analytics.getStats();
+  const users = Object.values(userTracker.interactions);
+  
+  let message = `📊 *BOT STATISTICS*\n`;
+  message += `${"═".repeat(42)}\n\n`;
+  message += `⏱️ Uptime: ${stats.uptime}\n`;
+  message += `📬 Messages: ${stats.total_messages}\n`;
+  message += `👥 Users: ${stats.unique_users} (${users.filter(user => user.botActive === false).length} muted)\n`;
+  message += `✅ Succeeded: ${stats.successful_requests} | ❌ Failed: ${stats.failed_requests} (${stats.error_rate})\n`;
+  message += `⚡ Avg response: ${stats.average_response_time}\n`;
+  message += `🔔 Subscribers: ${subscriptions.getSubscribers().length} factory, ${subscriptions.getReportSubscribers().length} reports\n`;
+  message += `\n${"─".repeat(42)}\n`;
+  message += `📈 *Top requests*\n`;
+  message += stats.popular_intents.map(([intent, count], i) => `${i + 1}. ${intent}: ${count}`).join('\n') || 'None yet';
+  return message;
+}
+
+function formatAdminHealth() {
+  updateHealthStatus();
+  const health = loadHealthStatus();
+  const stats = analytics.getStats();
+  
+  let message = `🩺 *BOT HEALTH*\n`;
+  message += `${"═".repeat(42)}\n\n`;
+  message += `${transport.isReady() ? '🟢' : '🔴'} Transport: ${transport.label} (${health.status})\n`;
+  message += `🗂️ Data source: ${dataSource.type}\n`;
+  message += `⏱️ Uptime: ${stats.uptime}\n`;
+  message += `💾 Memory: ${stats.memory_usage.rss} RSS, ${stats.memory_usage.heap_used} heap\n`;
+  message += `👥 Staff directory: ${staffDirectory ? `${Object.values(staffDirectory).flat().length} member(s)` : 'not loaded'}\n`;
+  message += `🎫 Open tickets: ${tickets.countOpen()}\n`;
+  message += `📬 Subscription outbox: ${subscriptions.outbox.length} queued\n`;
+  message += `🚦 Rate-limited users: ${rateLimiter.userLimits.size} tracked`;
+  return message;
+}
+
+function formatAdminTickets() {
+  const stats = tickets.getStats();
+  
+  let message = `🎫 *TICKETS*\n`;
+  message += `Total: ${stats.total_tickets} | Open: ${stats.open_tickets}\n`;
+  message += `${"═".repeat(42)}\n\n`;
+  
+  const departments = Object.entries(stats.by_department);
+  if (departments.length === 0) {
+    return message + 'No tickets yet.';
+  }
+  
+  departments.forEach(([department, dept]) => {
+    message += `*${department}*: ${dept.total} total\n`;
+    message += `   Open ${dept.open} | Claimed ${dept.claimed} | Answered ${dept.answered} | Closed ${dept.closed}\n`;
+    message += `   Escalated ${dept.escalated} | Unanswered ${dept.never_answered} | First reply ${dept.avg_first_response}\n\n`;
+  });
+  
+  message += `Full breakdown: /tickets on the health server`;
+  return message;
+}
+
+function formatAdminReview() {
+  const pending = intentFeedback.getPending();
+  if (pending.length === 0) {
+    return `📝 The review queue is empty.`;
+  }
+  
+  let message = `📝 *REVIEW QUEUE* (${pending.length} pending)\n`;
+  message += `${"═".repeat(42)}\n\n`;
+  
+  pending.slice(0, 10).forEach(item => {
+    const entities = Object.entries(item.entities || {})
+      .filter(([, value]) => value && (Array.isArray(value) ? value.length > 0 : true))
+      .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : typeof value === 'object' ? JSON.stringify(value) : value}`);
+    
+    message += `*${item.id}* · ${formatColomboTime(item.reportedAt)} · ${item.language}\n`;
+    message += `   "${item.text.substring(0, 200)}"\n`;
+    message += `   Predicted: ${item.predicted}\n`;
+    if (entities.length > 0) message += `   Entities: ${entities.join(' | ')}\n`;
+    message += `\n`;
+  });
+  
+  if (pending.length > 10) message += `...and ${pending.length - 10} more\n\n`;
+  message += `${"─".repeat(42)}\n`;
+  message += `Label: \`!label <id> <intent>\` or \`!label <id> skip\`\n`;
+  message += `Intents: ${INTENTS.join(', ')}`;
+  return message;
+}
+
+async function reloadStaffDirectory() {
+  staffDirectory = null;
+  lastStaffFetch = 0;
+  
+  const directory = await fetchStaffDirectory();
+  const lines = Object.entries(directory).map(([dept, members]) => {
+    const admins = members.filter(member => member.role === 'admin').length;
+    return `• ${dept}: ${members.length} member(s)${admins > 0 ? `, ${admins} admin` : ''}`;
+  });
+  
+  return lines.length > 0
+    ? `🔄 Staff directory reloaded:\n${lines.join('\n')}`
+    : `⚠️ Staff directory is empty or could not be read. Check the staff sheet.`;
+}
+
+async function broadcastToStaff(sender, target, text) {
+  const directory = await fetchStaffDirectory();
+  const department = target.toLowerCase();
+  
+  if (department !== 'all' && !directory[department]) {
+    return `⚠️ Unknown department "${target}". Use one of: ${Object.keys(directory).join(', ')}, all`;
+  }
+  
+  const members = department === 'all' ? Object.values(directory).flat() : directory[department];
+  const recipients = [...new Set(members.map(member => member.number))].filter(number => number !== sender.number);
+  
+  let sent = 0;
+  for (const number of recipients) {
+    try {
+      await transport.sendMessage(number, `📢 *Message from ${sender.name}*\n\n${text}`);
+      sent++;
+    } catch (err) {
+      console.error(`❌ Broadcast to ${number.substring(0, 15)}... failed:`, err.message);
+      logError(err, "broadcastToStaff");
+    }
+  }
+  
+  console.log(`📢 ${sender.name} broadcast to ${department}: ${sent}/${recipients.length} sent`);
+  return `📢 Sent to ${sent} of ${recipients.length} staff member(s) in ${department === 'all' ? 'all departments' : department}.`;
+}
+
+// Returns false when the message is not an admin command
+async function handleAdminCommand(msg, text) {
+  const match = text.match(ADMIN_COMMAND_PATTERN);
+  if (!match) return false;
+  
+  const userId = msg.from;
+  const command = match[1].toLowerCase();
+  const argument = (match[2] || '').trim();
+  
+  if (await getUserRole(userId) !== 'admin') {
+    console.log(`⛔ Admin command !${command} refused for ${userId.substring(0, 15)}...`);
+    await transport.reply(msg, `⛔ Sorry, \`!${command}\` is only available to administrators.`);
+    return true;
+  }
+  
+  console.log(`🛠️ Admin command from ${userId.substring(0, 15)}...: !${command}`);
+  
+  switch (command) {
+    case 'stats':
+      await transport.reply(msg, formatAdminStats());
+      break;
+      
+    case 'health':
+      await transport.reply(msg, formatAdminHealth());
+      break;
+      
+    case 'tickets':
+      await transport.reply(msg, formatAdminTickets());
+      break;
+      
+    case 'reload':
+      if (/^staff$/i.test(argument)) {
+        await transport.reply(msg, await reloadStaffDirectory());
+      } else if (/^access$/i.test(argument)) {
+        factoryAccess.fetchedAt = 0;
+        const entries = await factoryAccess.load();
+        await transport.reply(msg, `🔄 Factory access list reloaded: ${entries.size} number(s).`);
+      } else {
+        await transport.reply(msg, `Usage: \`!reload staff\` or \`!reload access\``);
+      }
+      break;
+      
+    case 'mute':
+    case 'unmute': {
+      // Local numbers (0771234567) are stored with the 94 country code
+      const digits = argument.replace(/\D/g, '').replace(/^0(?=\d{9}$)/, '94');
+      if (digits.length < 10) {
+        await transport.reply(msg, `Usage: \`!${command} 94771234567\``);
+        break;
+      }
+      
+      userTracker.setBotActive(toChatId(digits), command === 'unmute', { admin: true });
+      console.log(`${command === 'mute' ? '🔇' : '🔊'} Bot ${command}d for +${digits} by admin`);
+      await transport.reply(msg, command === 'mute'
+        ? `🔇 The bot will no longer reply to +${digits}.`
+        : `🔊 The bot will reply to +${digits} again.`);
+      break;
+    }
+    
+    case 'broadcast': {
+      const [, target, body] = argument.match(/^(\S+)\s+([\s\S]+)$/) || [];
+      if (!target) {
+        await transport.reply(msg, `Usage: \`!broadcast <dept|all> <text>\``);
+        break;
+      }
+      
+      const directory = await fetchStaffDirectory();
+      const sender = Object.values(directory).flat().find(member => member.number === userId);
+      await transport.reply(msg, await broadcastToStaff(sender, target, body));
+      break;
+    }
+    
+    case 'broadcasts':
+      await transport.reply(msg, formatBroadcastSummary());
+      break;
+      
+    case 'review':
+      await transport.reply(msg, formatAdminReview());
+      break;
+      
+    case 'label': {
+      const [id, intent] = argument.split(/\s+/);
+      if (!intent) {
+        await transport.reply(msg, `Usage: \`!label <id> <intent|skip>\``);
+        break;
+      }
+      
+      try {
+        const item = intentFeedback.label(id, intent, `+${userId.replace('@c.us', '')}`);
+        await transport.reply(msg, item.label
+          ? `🏷️ ${item.id} labelled *${item.label}* (was ${item.predicted}). The intent model has been retrained.`
+          : `🗑️ ${item.id} dismissed without training.`);
+      } catch (err) {
+        await transport.reply(msg, `⚠️ ${err.message}`);
+      }
+      break;
+    }
+    
+    default:
+      await transport.reply(msg, ADMIN_HELP);
+  }
+  
+  return true;
+}
+
 // ==================
 // INPUT SANITIZATION
 // ==================
@@ -1684,7 +6769,7 @@ function sanitizeInput(text) {
 // ==================
 // MAIN MESSAGE HANDLER
 // ==================
-client.on("message", async (msg) => {
+async function handleMessage(msg) {
   // Ignore group messages and own messages
   if (msg.from.includes("@g.us") || msg.fromMe) return;
 
@@ -1700,10 +6785,8 @@ client.on("message", async (msg) => {
       
       // Only respond every 5 violations to avoid spam
       if (violations % 5 === 1) {
-        await msg.reply(
-          `⚠️ *Rate Limit Exceeded*\n\n` +
-          `Please wait ${remainingTime} seconds before sending more messages.\n` +
-          `This helps us maintain quality service for all users.`
+        await transport.reply(msg,
+          translate(userTracker.getLanguage(userId), 'rateLimited', { seconds: remainingTime })
         );
       }
       
@@ -1727,27 +6810,81 @@ client.on("message", async (msg) => {
     // Track user interaction
     userTracker.recordInteraction(userId);
 
-    // Classify intent
-    const intent = classifier.classify(text);
-    const entities = classifier.extractEntities(text);
-    const saleNo = entities.sale_number;
+    // "!" admin commands, even while the bot is muted for the sender
+    if (await handleAdminCommand(msg, text)) {
+      analytics.trackMessage(userId, 'admin_command', Date.now() - startTime, true);
+      logRequest(userId, 'admin_command', true, Date.now() - startTime);
+      return;
+    }
+
+    // "wrong" / "not what I asked" queues the client's last message for staff review
+    if (INTENT_FEEDBACK_PATTERN.test(text) && userTracker.isBotActive(userId) && !(await isStaffNumber(userId))) {
+      const item = intentFeedback.report(userId);
+      if (item) {
+        await transport.reply(msg, translate(userTracker.getLanguage(userId), 'feedbackQueued'));
+        userTracker.recordBotResponse(userId);
+        analytics.trackMessage(userId, 'feedback', Date.now() - startTime, true);
+        logRequest(userId, 'feedback', true, Date.now() - startTime);
+        return;
+      }
+    }
+
+    // Misspelt domain words ("markt reprt") and O-for-0 factory codes ("MFO235").
+    // Staff still see what the client actually wrote.
+    const originalText = text;
+    const normalized = normalizeText(text);
+    if (normalized.corrections.length > 0) {
+      console.log(`✏️ Corrected: ${normalized.corrections.map(c => `${c.from} → ${c.to}`).join(', ')}`);
+      text = normalized.text;
+    }
+
+    // Reply in the pinned language, else the one last recognised in their messages
+    const detectedLanguage = detectLanguage(text);
+    userTracker.recordDetectedLanguage(userId, detectedLanguage);
+    const language = userTracker.getLanguage(userId);
+    const correctionNote = normalized.corrections.length > 0
+      ? translate(language, 'correctedQuery', { terms: normalized.corrections.map(c => c.to).join(' ') })
+      : '';
+
+    let classifiedIntent = classifier.classify(text, detectedLanguage || language);
+    const extracted = classifier.extractEntities(text);
+
+    // Factory names stand in for MF codes ("how did Kenilworth do in sale 38")
+    let factoryLookup = null;
+    if (extracted.factory_codes.length === 0 && FACTORY_NAME_INTENTS.includes(classifiedIntent)) {
+      const found = await findFactoriesByName(text);
+      
+      if (found.matches.length > 0 || found.choices.length > 0) {
+        // Still a factory question when every name found is off limits; it then asks for a code
+        factoryLookup = await filterFactoryLookup(userId, found);
+        extracted.factory_codes = factoryLookup.matches.map(match => match.code);
+        classifiedIntent = 'factory_query';
+      } else {
+        factoryLookup = null;
+      }
+    }
+
+    // Copied before the conversation fills in carried-over and latest values
+    intentFeedback.remember(userId, { text, intent: classifiedIntent, entities: { ...extracted }, language: detectedLanguage || language });
+
+    // Fill in anything carried over from earlier turns
+    const resolved = conversations.resolve(userId, text, classifiedIntent, extracted);
+    const { intent, entities } = resolved;
+    let saleNo = entities.sale_number;
     
-    console.log(`🎯 Intent: ${intent}`);
+    console.log(`🎯 Intent: ${intent}${resolved.resolvedFrom ? ` (${resolved.resolvedFrom})` : ''} [${language}]`);
     if (Object.values(entities).some(v => v && (Array.isArray(v) ? v.length > 0 : true))) {
       console.log(`🔍 Entities:`, JSON.stringify(entities));
     }
 
-    // Check if this is an unmute command
-    const lowerText = text.toLowerCase();
+    // Check if this is an unmute command ("deactivate" is not "activate")
     const isUnmuteCommand = intent === "bot_control" && 
-      (lowerText.includes('unmute') || 
-       lowerText.includes('activate') || 
-       lowerText.includes('resume') || 
-       lowerText.includes('enable') ||
-       lowerText.includes('start'));
-
-    // Check if bot is muted
-    if (!userTracker.isBotActive(userId) && !isUnmuteCommand) {
+      BOT_CONTROL_WORDS.unmute.some(word => containsTerm(text, word));
+    const isMuteCommand = intent === "bot_control" && !isUnmuteCommand &&
+      BOT_CONTROL_WORDS.mute.some(word => containsTerm(text, word));
+
+    // Check if bot is muted (an admin mute ignores the user's own unmute too)
+    if (!userTracker.isBotActive(userId) && (!isUnmuteCommand || userTracker.isAdminMuted(userId))) {
       console.log(`🔇 Bot muted for ${userId.substring(0, 15)}... - Ignoring message`);
       userTracker.incrementIgnoredMessages(userId);
       return;
@@ -1755,6 +6892,14 @@ client.on("message", async (msg) => {
 
     const responseTime = Date.now() - startTime;
 
+    // Staff ticket commands
+    const isStaffCommand = await processStaffCommand(msg);
+    if (isStaffCommand) {
+      analytics.trackMessage(userId, 'staff_command', Date.now() - startTime, true);
+      logRequest(userId, 'staff_command', true, Date.now() - startTime);
+      return;
+    }
+
     // Check for staff reply
     const isStaffReply = await processStaffReply(msg);
     if (isStaffReply) {
@@ -1764,29 +6909,59 @@ client.on("message", async (msg) => {
       return;
     }
 
+    // Pin or release the reply language
+    const languageMatch = text.match(LANGUAGE_COMMAND_PATTERN);
+    if (languageMatch) {
+      await handleLanguageCommand(msg, languageMatch[1], language);
+      analytics.trackMessage(userId, 'language', Date.now() - startTime, true);
+      logRequest(userId, 'language', true, Date.now() - startTime);
+      return;
+    }
+
+    // Factory subscriptions
+    const subscriptionMatch = text.match(SUBSCRIPTION_COMMAND_PATTERN);
+    if (subscriptionMatch) {
+      await handleSubscriptionCommand(msg, subscriptionMatch[1], subscriptionMatch[2], language);
+      userTracker.recordBotResponse(userId);
+      analytics.trackMessage(userId, 'subscription', Date.now() - startTime, true);
+      logRequest(userId, 'subscription', true, Date.now() - startTime);
+      return;
+    }
+
+    // Latest reports as a numbered list; the reply number picks one
+    if (REPORT_LIST_PATTERN.test(text)) {
+      const reports = await listLatestReports();
+      if (reports.length > 0) {
+        conversations.setPending(userId, 'market_report', entities, 'report_file', reports);
+        await transport.reply(msg, translate(language, 'reportList', { list: formatReportChoices(reports) }));
+      } else {
+        await transport.reply(msg, translate(language, 'noReports'));
+      }
+      userTracker.recordBotResponse(userId);
+      analytics.trackMessage(userId, 'market_report', Date.now() - startTime, reports.length > 0);
+      logRequest(userId, 'report_list', reports.length > 0, Date.now() - startTime);
+      return;
+    }
+
+    // Client follow-up on an open ticket
+    const isFollowUp = await processClientFollowUp(msg, intent, entities);
+    if (isFollowUp) {
+      analytics.trackMessage(userId, 'ticket_follow_up', Date.now() - startTime, true);
+      logRequest(userId, 'ticket_follow_up', true, Date.now() - startTime);
+      return;
+    }
+
     // Handle bot control commands
     if (intent === "bot_control") {
-      if (lowerText.includes('stop') || lowerText.includes('mute') || lowerText.includes('pause') || lowerText.includes('disable')) {
+      if (isMuteCommand) {
         userTracker.setBotActive(userId, false);
-        await msg.reply(
-          `🔇 *Bot Muted*\n\n` +
-          `I will no longer respond to your messages.\n\n` +
-          `To reactivate me, send:\n` +
-          `• \`activate bot\`\n` +
-          `• \`unmute bot\`\n` +
-          `• \`resume bot\`\n\n` +
-          `_I'll still listen for these commands._`
-        );
+        await transport.reply(msg, translate(language, 'botMuted'));
         analytics.trackMessage(userId, intent, responseTime, true);
         logRequest(userId, 'bot_muted', true, responseTime);
         return;
       } else if (isUnmuteCommand) {
         userTracker.setBotActive(userId, true);
-        await msg.reply(
-          `🔔 *Bot Activated!*\n\n` +
-          `I'm back and ready to assist you.\n\n` +
-          `Type *help* to see what I can do.`
-        );
+        await transport.reply(msg, translate(language, 'botActivated'));
         analytics.trackMessage(userId, intent, responseTime, true);
         logRequest(userId, 'bot_activated', true, responseTime);
         return;
@@ -1796,13 +6971,7 @@ client.on("message", async (msg) => {
     // Handle irrelevant queries
     if (intent === "irrelevant") {
       if (userTracker.shouldRespondToGeneral(userId)) {
-        await msg.reply(
-          `Thank you for your interest in Mercantile Produce Brokers.\n\n` +
-          `This is an automated tea brokering assistant. For HR inquiries, please contact our office directly:\n\n` +
-          `📞 +94 112 581 358\n` +
-          `📧 info@merctea.lk\n\n` +
-          `_If you don't need bot assistance, I'll stay quiet. Type "help" if you need me later._`
-        );
+        await transport.reply(msg, translate(language, 'irrelevant'));
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, responseTime, true);
         logRequest(userId, 'irrelevant_query', true, responseTime);
@@ -1818,7 +6987,7 @@ client.on("message", async (msg) => {
 
     // Handle commands
     if (intent === "help") {
-      await msg.reply(getWelcomeMessage());
+      await transport.reply(msg, getWelcomeMessage(language));
       userTracker.recordBotResponse(userId);
       analytics.trackMessage(userId, intent, responseTime, true);
       logRequest(userId, intent, true, responseTime);
@@ -1826,7 +6995,7 @@ client.on("message", async (msg) => {
     }
 
     if (intent === "contact") {
-      await msg.reply(getContactInfo());
+      await transport.reply(msg, getContactInfo(language));
       userTracker.recordBotResponse(userId);
       analytics.trackMessage(userId, intent, responseTime, true);
       logRequest(userId, intent, true, responseTime);
@@ -1834,45 +7003,169 @@ client.on("message", async (msg) => {
     }
 
     if (intent === "status") {
-      await msg.reply(getBotStatus());
+      await transport.reply(msg, getBotStatus());
       userTracker.recordBotResponse(userId);
       analytics.trackMessage(userId, intent, responseTime, true);
       logRequest(userId, intent, true, responseTime);
       return;
     }
 
+    // Ticket status
+    if (intent === "ticket_status") {
+      const ticketId = entities.ticket_id;
+      const clientTickets = tickets.findByClient(userId)
+        .filter(ticket => !ticketId || ticket.id === ticketId);
+      
+      await transport.reply(msg, getTicketStatusMessage(clientTickets, ticketId, language));
+      userTracker.recordBotResponse(userId);
+      analytics.trackMessage(userId, intent, Date.now() - startTime, clientTickets.length > 0);
+      logRequest(userId, intent, clientTickets.length > 0, Date.now() - startTime);
+      return;
+    }
+
+    if (resolved.resolvedFrom === 'cancelled') {
+      await transport.reply(msg, translate(language, 'cancelled'));
+      userTracker.recordBotResponse(userId);
+      analytics.trackMessage(userId, 'cancel', Date.now() - startTime, true);
+      logRequest(userId, 'cancel', true, Date.now() - startTime);
+      return;
+    }
+
+    // A factory name fits several factories: let the user pick by number
+    if (intent === 'factory_query' && factoryLookup && factoryLookup.choices.length > 0) {
+      conversations.setPending(userId, intent, entities, 'factory_codes', factoryLookup.choices);
+      await transport.reply(msg, getFactoryChoicePrompt(factoryLookup.choices, language));
+      userTracker.recordBotResponse(userId);
+      analytics.trackMessage(userId, intent, Date.now() - startTime, true);
+      logRequest(userId, 'factory_choice_prompt', true, Date.now() - startTime);
+      return;
+    }
+
+    // No sale number given: use the latest sale (or the one before it)
+    let saleNote = '';
+    if (DATA_INTENTS.includes(intent) && !entities.sale_number && !entities.sale_range && !entities.report_file) {
+      const reference = entities.sale_reference || 'latest';
+      const picked = await resolveLatestSale(intent, reference, entities.sale_year);
+      
+      if (picked) {
+        entities.sale_number = picked.saleNo;
+        entities.sale_year = picked.year || entities.sale_year;
+        saleNo = picked.saleNo;
+        saleNote = translate(language, 'saleNote', {
+          reference,
+          sale: parseInt(picked.saleNo),
+          year: picked.year
+        });
+        console.log(`📅 Resolved ${reference} sale: ${picked.saleNo}`);
+      }
+    }
+
+    // Ask for whatever a data request is missing; the next message fills it in
+    const missingSlot = getMissingSlot(intent, entities);
+    if (missingSlot) {
+      conversations.setPending(userId, intent, entities, missingSlot);
+      await transport.reply(msg, getSlotPrompt(intent, missingSlot, language));
+      userTracker.recordBotResponse(userId);
+      analytics.trackMessage(userId, intent, Date.now() - startTime, true);
+      logRequest(userId, `${intent}_prompt`, true, Date.now() - startTime);
+      return;
+    }
+
+    if (DATA_INTENTS.includes(intent)) {
+      conversations.rememberQuery(userId, intent, entities);
+    }
+
     // Factory queries
     if (intent === "factory_query") {
-      const factoryCodes = entities.factory_codes;
-      
-      if (factoryCodes.length === 0) {
-        await msg.reply("⚠️ Please provide valid factory code(s).\n\n*Example:* MF 0235 average");
+      if (entities.factory_codes.length > 5) {
+        await transport.reply(msg, translate(language, 'tooManyCodes'));
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, Date.now() - startTime, false);
         logRequest(userId, intent, false, Date.now() - startTime);
         return;
       }
 
-      if (factoryCodes.length > 5) {
-        await msg.reply("⚠️ Maximum 5 factory codes per request.");
-        userTracker.recordBotResponse(userId);
-        analytics.trackMessage(userId, intent, Date.now() - startTime, false);
-        logRequest(userId, intent, false, Date.now() - startTime);
+      // Only the factories this number is authorised to see
+      const access = await factoryAccess.check(userId, entities.factory_codes);
+      if (access.denied.length > 0) {
+        factoryAccess.audit(userId, access.denied, intent, text);
+        await transport.reply(msg, translate(language, 'factoryAccessDenied', { codes: access.denied.join(', ') }));
+        
+        if (access.allowed.length === 0) {
+          userTracker.recordBotResponse(userId);
+          analytics.trackMessage(userId, intent, Date.now() - startTime, false);
+          logRequest(userId, 'factory_access_denied', false, Date.now() - startTime);
+          return;
+        }
+      }
+      const factoryCodes = access.allowed;
+
+      const factoryNote = factoryLookup && factoryLookup.matches.length > 0
+        ? translate(language, 'factoryMatched', {
+            list: factoryLookup.matches.map(match => `${match.name} (${match.code})`).join(', ')
+          })
+        : '';
+      await transport.reply(msg, correctionNote + saleNote + factoryNote + translate(language, 'fetchingFactory', { codes: factoryCodes.join(', ') }));
+      
+      // Several sales: one table per factory instead of a single week
+      if (entities.sale_range) {
+        const range = entities.sale_year ? { ...entities.sale_range, year: entities.sale_year } : entities.sale_range;
+        const trends = await fetchFactoryTrend(factoryCodes, range);
+        
+        if (trends) {
+          await transport.reply(msg, formatFactoryTrendMessage(trends, range));
+          await sendFactoryTrendCharts(msg, trends);
+          userTracker.recordBotResponse(userId);
+          analytics.trackMessage(userId, intent, Date.now() - startTime, true);
+          logRequest(userId, 'factory_trend', true, Date.now() - startTime);
+        } else {
+          await transport.reply(msg, translate(language, 'noFactoryData', {
+            codes: factoryCodes.join(', '),
+            saleNo: formatRangeSales(range)
+          }));
+          userTracker.recordBotResponse(userId);
+          analytics.trackMessage(userId, intent, Date.now() - startTime, false);
+          logRequest(userId, 'factory_trend', false, Date.now() - startTime);
+        }
         return;
       }
-
-      await msg.reply(`⏳ Fetching data for: ${factoryCodes.join(', ')}...`);
       
-      const factoryData = await fetchFactoryData(factoryCodes, saleNo);
+      const factoryData = await fetchFactoryData(factoryCodes, saleNo, entities.sale_year);
       
-      if (factoryData && factoryData.length > 0) {
-        const formattedMessage = await formatFactoryDataMessage(factoryData, saleNo);
-        await msg.reply(formattedMessage);
+      if (factoryData && factoryData.length > 0 && entities.export_format) {
+        // The same report as an Excel or PDF document
+        const media = await exportFactoryReport(factoryData, saleNo, entities.export_format);
+        await transport.sendMedia(msg.from, media, { quotedMessageId: msg.id, asDocument: true });
+        await transport.reply(msg, translate(language, 'exportSent', { format: entities.export_format }));
+        userTracker.recordBotResponse(userId);
+        analytics.trackMessage(userId, intent, Date.now() - startTime, true);
+        logRequest(userId, 'factory_export', true, Date.now() - startTime);
+      } else if (factoryData && factoryData.length > 0) {
+        // "vs" / "compare" with two or more factories: head to head instead of one after another
+        const headToHead = entities.comparison && new Set(factoryData.map(row => row.fcode)).size > 1;
+        const formattedMessage = headToHead
+          ? await formatFactoryComparisonMessage(factoryData, saleNo)
+          : await formatFactoryDataMessage(factoryData, saleNo);
+        await transport.reply(msg, formattedMessage);
+        
+        // Chart each factory over the sales leading up to this one
+        if (SEND_CHARTS && saleNo) {
+          const sale = parseInt(saleNo);
+          const trends = await fetchFactoryTrend(factoryCodes, {
+            from: Math.max(1, sale - DEFAULT_TREND_SALES + 1),
+            to: sale,
+            year: parseInt(factoryData[0].year) || null
+          });
+          if (trends) await sendFactoryTrendCharts(msg, trends);
+        }
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, Date.now() - startTime, true);
         logRequest(userId, intent, true, Date.now() - startTime);
       } else {
-        await msg.reply(`⚠️ No data found for: ${factoryCodes.join(', ')}${saleNo ? ` (Sale ${saleNo})` : ''}`);
+        await transport.reply(msg, translate(language, 'noFactoryData', {
+          codes: factoryCodes.join(', '),
+          saleNo: formatSaleLabel(saleNo, entities.sale_year)
+        }));
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, Date.now() - startTime, false);
         logRequest(userId, intent, false, Date.now() - startTime);
@@ -1880,17 +7173,42 @@ client.on("message", async (msg) => {
       return;
     }
 
+    // Elevation averages for several sales, side by side
+    if (intent === "elevation_query" && entities.sale_range) {
+      const range = entities.sale_year ? { ...entities.sale_range, year: entities.sale_year } : entities.sale_range;
+      await transport.reply(msg, correctionNote + translate(language, 'fetchingElevation'));
+      const comparison = await fetchElevationComparison(range, entities.elevation);
+      
+      if (comparison) {
+        await transport.reply(msg, formatElevationComparisonMessage(comparison, range));
+      } else {
+        await transport.reply(msg, translate(language, 'noElevationData', {
+          saleNo: formatRangeSales(range) || describeSaleRange(range)
+        }));
+      }
+      userTracker.recordBotResponse(userId);
+      analytics.trackMessage(userId, intent, Date.now() - startTime, !!comparison);
+      logRequest(userId, 'elevation_comparison', !!comparison, Date.now() - startTime);
+      return;
+    }
+
     // Elevation queries
     if (intent === "elevation_query" && saleNo) {
-      await msg.reply("⏳ Fetching elevation data...");
-      const averages = await fetchElevationAverages(saleNo);
+      await transport.reply(msg, correctionNote + saleNote + translate(language, 'fetchingElevation'));
+      const averages = await fetchElevationAverageValues(saleNo, entities.sale_year);
       if (averages) {
-        await msg.reply(averages);
+        await transport.reply(msg, formatElevationAveragesMessage(saleNo, averages, entities.sale_year));
+        await sendChart(
+          msg,
+          () => renderElevationChart(saleNo, averages),
+          `elevation_averages_sale_${parseInt(saleNo)}.png`,
+          `📊 Elevation averages - Sale ${parseInt(saleNo)}`
+        );
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, Date.now() - startTime, true);
         logRequest(userId, intent, true, Date.now() - startTime);
       } else {
-        await msg.reply(`⚠️ No elevation data found for Sale ${saleNo}.`);
+        await transport.reply(msg, translate(language, 'noElevationData', { saleNo: formatSaleLabel(saleNo, entities.sale_year) }));
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, Date.now() - startTime, false);
         logRequest(userId, intent, false, Date.now() - startTime);
@@ -1899,19 +7217,17 @@ client.on("message", async (msg) => {
     }
 
     // Market reports
-    if (intent === "market_report" && saleNo) {
-      await msg.reply("⏳ Fetching market report...");
-      const filePath = await fetchMarketReport(saleNo);
-      if (filePath) {
-        const media = MessageMedia.fromFilePath(filePath);
-        await msg.reply(media);
-        fs.unlinkSync(filePath);
-        await msg.reply("✅ Report sent successfully!");
+    if (intent === "market_report" && (saleNo || entities.report_file)) {
+      await transport.reply(msg, correctionNote + saleNote + translate(language, 'fetchingReport'));
+      const report = await fetchMarketReport(saleNo, { year: entities.sale_year, file: entities.report_file });
+      if (report) {
+        await transport.sendMedia(msg.from, { filePath: report.filePath, filename: report.fileName }, { quotedMessageId: msg.id });
+        await transport.reply(msg, translate(language, 'reportSent'));
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, Date.now() - startTime, true);
         logRequest(userId, intent, true, Date.now() - startTime);
       } else {
-        await msg.reply(`⚠️ Market report for Sale ${saleNo} not found.`);
+        await transport.reply(msg, translate(language, 'reportNotFound', { saleNo: formatSaleLabel(saleNo, entities.sale_year) }));
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, Date.now() - startTime, false);
         logRequest(userId, intent, false, Date.now() - startTime);
@@ -1924,41 +7240,28 @@ client.on("message", async (msg) => {
       const department = entities.department;
       
       if (!department) {
-        await msg.reply(
-          `📞 *DEPARTMENT CONTACTS*\n\n` +
-          `Please specify which department:\n\n` +
-          `• *Valuation* - Appraisals & reports\n` +
-          `• *Accounts* - Tax, VAT, invoices\n` +
-          `• *IT* - Technical support\n` +
-          `• *Marketing* - General inquiries\n\n` +
-          `Example: "I need help from accounting"`
-        );
+        await transport.reply(msg, translate(language, 'departmentMenu'));
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, Date.now() - startTime, false);
         logRequest(userId, intent, false, Date.now() - startTime);
         return;
       }
 
-      await msg.reply(`⏳ Connecting to ${department} Department...`);
-      const routed = await routeToDepartment(msg, department, text, userId);
+      await transport.reply(msg, translate(language, 'connecting', { department }));
+      const ticket = await routeToDepartment(msg, department, originalText, userId);
       
-      if (routed) {
-        await msg.reply(
-          `✅ *Thank you for your inquiry!*\n\n` +
-          `Your request has been forwarded to our *${department} Department*. ` +
-          `Our team will review your message and respond shortly.\n\n` +
-          `📞 For urgent matters, please call our office directly.`
-        );
+      if (ticket && ticket.queued) {
+        await transport.reply(msg, getOutOfHoursMessage(ticket, language));
+        userTracker.recordBotResponse(userId);
+        analytics.trackMessage(userId, intent, Date.now() - startTime, true);
+        logRequest(userId, intent, true, Date.now() - startTime);
+      } else if (ticket) {
+        await transport.reply(msg, translate(language, 'ticketCreated', { department, ticketId: ticket.id }));
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, Date.now() - startTime, true);
         logRequest(userId, intent, true, Date.now() - startTime);
       } else {
-        await msg.reply(
-          `⚠️ Unable to route your request to the ${department} Department.\n\n` +
-          `Please try again or contact us directly at:\n` +
-          `📞 +94 112 581 358\n` +
-          `📧 info@merctea.lk`
-        );
+        await transport.reply(msg, translate(language, 'routeFailed', { department }));
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, Date.now() - startTime, false);
         logRequest(userId, intent, false, Date.now() - startTime);
@@ -1969,21 +7272,13 @@ client.on("message", async (msg) => {
     // General/Unknown intent
     if (intent === "general") {
       if (userTracker.shouldSendWelcome(userId)) {
-        await msg.reply(getWelcomeMessage());
+        await transport.reply(msg, getWelcomeMessage(language));
         userTracker.recordBotResponse(userId);
         analytics.trackMessage(userId, intent, Date.now() - startTime, true);
         logRequest(userId, intent, true, Date.now() - startTime);
       } else {
         if (userTracker.shouldRespondToGeneral(userId)) {
-          await msg.reply(
-            `👋 I'm here if you need:\n\n` +
-            `• 🏭 Factory data\n` +
-            `• 📊 Elevation averages\n` +
-            `• 📄 Market reports\n` +
-            `• 📞 Department contacts\n\n` +
-            `Type *help* for more info.\n\n` +
-            `_To mute me, send: "mute bot"_`
-          );
+          await transport.reply(msg, translate(language, 'generalNudge'));
           userTracker.recordBotResponse(userId);
           analytics.trackMessage(userId, intent, Date.now() - startTime, true);
           logRequest(userId, intent, true, Date.now() - startTime);
@@ -2000,14 +7295,11 @@ client.on("message", async (msg) => {
     analytics.trackMessage(userId, 'error', responseTime, false);
     logRequest(userId, 'error', false, responseTime);
     
-    await msg.reply(
-      `⚠️ *An error occurred while processing your request.*\n\n` +
-      `Please try again in a moment. If the problem persists, ` +
-      `contact our support team directly.\n\n` +
-      `📞 Support: +94 112 581 358`
-    );
+    await transport.reply(msg, translate(userTracker.getLanguage(userId), 'error'));
   }
-});
+}
+
+transport.onMessage(handleMessage);
 
 // ==================
 // HEALTH MONITORING
@@ -2016,7 +7308,7 @@ function updateHealthStatus() {
   try {
     const stats = analytics.getStats();
     const health = {
-      status: isClientReady ? 'connected' : 'disconnected',
+      status: transport.isReady() ? 'connected' : 'disconnected',
       timestamp: new Date().toISOString(),
       uptime: stats.uptime,
       memory_usage: stats.memory_usage,
@@ -2033,7 +7325,7 @@ function updateHealthStatus() {
       },
       cache: {
         message_cache_size: Object.keys(messageCache.cache).length,
-        forwarded_messages: Object.keys(forwardedMessages.messages).length,
+        open_tickets: tickets.countOpen(),
         staff_directory_loaded: staffDirectory !== null
       }
     };
@@ -2066,17 +7358,58 @@ setInterval(async () => {
   }
 }, CACHE_DURATION);
 
-// Cleanup old forwarded messages every hour
+// Close stale tickets every hour
 setInterval(() => {
-  console.log("🧹 Cleaning up old forwarded messages...");
+  console.log("🧹 Cleaning up stale tickets...");
   try {
-    forwardedMessages.cleanup();
+    tickets.cleanup();
   } catch (error) {
     console.error("❌ Cleanup failed:", error.message);
-    logError(error, "Forwarded Messages Cleanup");
+    logError(error, "Ticket Cleanup");
   }
 }, 60 * 60 * 1000);
 
+// Chase unanswered tickets and release the out-of-hours queue every minute
+setInterval(async () => {
+  try {
+    await processTicketQueue();
+    await processEscalations();
+  } catch (error) {
+    console.error("❌ Escalation check failed:", error.message);
+    logError(error, "Ticket Escalation");
+  }
+}, ESCALATION_CHECK_INTERVAL);
+
+// Look for a new sale for factory subscribers
+setInterval(async () => {
+  try {
+    await checkForNewSale();
+  } catch (error) {
+    console.error("❌ New sale check failed:", error.message);
+    logError(error, "Subscription Poll");
+  }
+}, SUBSCRIPTION_POLL_INTERVAL);
+
+// Watch the reports folder for new market reports
+setInterval(async () => {
+  try {
+    await checkForNewReports();
+  } catch (error) {
+    console.error("❌ Report watch failed:", error.message);
+    logError(error, "Report Watcher");
+  }
+}, REPORT_WATCH_INTERVAL);
+
+// Push queued subscription updates one at a time
+setInterval(async () => {
+  try {
+    await sendNextSubscriptionUpdate();
+  } catch (error) {
+    console.error("❌ Subscription delivery failed:", error.message);
+    logError(error, "Subscription Delivery");
+  }
+}, SUBSCRIPTION_SEND_GAP);
+
 // Cleanup message cache every 30 minutes
 setInterval(() => {
   console.log("🧹 Cleaning up message cache...");
@@ -2098,6 +7431,15 @@ setInterval(() => {
   }
 }, 15 * 60 * 1000);
 
+// Expire conversation state every 15 minutes
+setInterval(() => {
+  try {
+    conversations.cleanup();
+  } catch (error) {
+    console.error("❌ Conversation cleanup failed:", error.message);
+  }
+}, 15 * 60 * 1000);
+
 // Update health status every minute
 setInterval(() => {
   updateHealthStatus();
@@ -2110,7 +7452,9 @@ setInterval(() => {
     analytics.saveAnalytics();
     userTracker.saveInteractions();
     messageCache.saveCache();
-    forwardedMessages.saveMessages();
+    tickets.saveTickets();
+    subscriptions.saveSubscriptions();
+    reportBroadcasts.saveLog();
   } catch (error) {
     console.error("❌ Save failed:", error.message);
   }
@@ -2148,12 +7492,14 @@ process.on('SIGINT', async () => {
     analytics.saveAnalytics();
     messageCache.saveCache();
     userTracker.saveInteractions();
-    forwardedMessages.saveMessages();
+    tickets.saveTickets();
+    subscriptions.saveSubscriptions();
+    reportBroadcasts.saveLog();
     updateHealthStatus();
     
     // Destroy client
-    console.log('🔌 Disconnecting WhatsApp...');
-    await client.destroy();
+    console.log(`🔌 Disconnecting ${transport.label}...`);
+    await transport.destroy();
     
     console.log('✅ Shutdown complete');
     process.exit(0);
@@ -2170,9 +7516,11 @@ process.on('SIGTERM', async () => {
     analytics.saveAnalytics();
     messageCache.saveCache();
     userTracker.saveInteractions();
-    forwardedMessages.saveMessages();
+    tickets.saveTickets();
+    subscriptions.saveSubscriptions();
+    reportBroadcasts.saveLog();
     updateHealthStatus();
-    await client.destroy();
+    await transport.destroy();
     process.exit(0);
   } catch (error) {
     console.error('❌ Error during shutdown:', error.message);
@@ -2210,8 +7558,11 @@ console.log(`   ✓ Main Sheet: ${SHEET_ID ? 'Configured' : '✗ Missing'}`);
 console.log(`   ✓ Factory Sheet: ${FACTORY_SHEET_ID ? 'Configured' : '✗ Missing'}`);
 console.log(`   ✓ Staff Sheet: ${STAFF_SHEET_ID ? 'Configured' : '✗ Missing'}`);
 console.log(`   ✓ Elevation Sheet: ${ELEVATION_AVG_SHEET_ID ? 'Configured' : '✗ Missing'}`);
+console.log(`   ✓ Access List: ${!FACTORY_ACCESS_CONTROL ? 'Disabled' : ACCESS_SHEET_ID ? 'Sheet' : 'Local file'}`);
 console.log(`   ✓ Drive Folder: ${DRIVE_FOLDER_ID ? 'Configured' : '✗ Missing'}`);
 console.log(`   ✓ Google Auth: ${process.env.GOOGLE_CLIENT_EMAIL ? 'Configured' : '✗ Missing'}`);
+console.log(`   ✓ Transport: ${transport.label}`);
+console.log(`   ✓ Data Source: ${dataSource.type}${dataSource.type === 'local' ? ` (${LOCAL_DATA_DIR})` : ''}`);
 
 console.log("\n🔧 FEATURES:");
 console.log("   ✓ Advanced NLP Intent Classification");
@@ -2220,8 +7571,11 @@ console.log("   ✓ Smart Rate Limiting (15 req/min)");
 console.log("   ✓ Message Deduplication");
 console.log("   ✓ Department Routing & Auto-reply");
 console.log("   ✓ Factory Performance Reports");
+console.log("   ✓ Factory Access Control");
 console.log("   ✓ Elevation Averages");
 console.log("   ✓ Market Report Downloads");
+console.log("   ✓ Factory Subscriptions");
+console.log("   ✓ Market Report Broadcasts");
 console.log("   ✓ Health Monitoring API");
 console.log("   ✓ Error Logging & Recovery");
 console.log("   ✓ Graceful Shutdown");
@@ -2231,23 +7585,41 @@ console.log("   ✓ Persistent Storage");
 console.log("\n📁 DATA DIRECTORIES:");
 console.log(`   - Data: ${DATA_DIR}`);
 console.log(`   - Logs: ${LOGS_DIR}`);
+console.log(`   - Holidays: ${HOLIDAYS_FILE} (${businessCalendar.countHolidays()} this year)`);
+if (businessCalendar.countHolidays() === 0) {
+  console.warn(`⚠️ No holidays for this year in ${HOLIDAYS_FILE} - Poya and public holidays will be treated as working days`);
+}
 
 console.log("\n🌐 HEALTH SERVER:");
 console.log(`   - Port: ${PORT}`);
 console.log(`   - Health: http://localhost:${PORT}/health`);
 console.log(`   - Stats: http://localhost:${PORT}/stats`);
+console.log(`   - Tickets: http://localhost:${PORT}/tickets`);
+console.log(`   - Broadcasts: http://localhost:${PORT}/broadcasts ${process.env.ADMIN_API_TOKEN ? '(token)' : '(disabled, set ADMIN_API_TOKEN)'}`);
+console.log(`   - Feedback: http://localhost:${PORT}/feedback ${process.env.ADMIN_API_TOKEN ? '(token)' : '(disabled, set ADMIN_API_TOKEN)'}`);
 
 console.log("\n" + "═".repeat(60) + "\n");
-console.log("⏳ Initializing WhatsApp connection...\n");
+console.log(`⏳ Initializing ${transport.label} connection...\n`);
+
+// Initialize transport
+transport.initialize().catch(err => {
+  console.error(`❌ Failed to initialize ${transport.label}:`, err);
+  logError(err, "Transport Initialization");
+});
 
 // Export for testing
 module.exports = {
-  client,
+  client: transport.client || null,
+  transport,
+  dataSource,
   classifier,
   analytics,
   rateLimiter,
   messageCache,
   userTracker,
-  forwardedMessages,
+  tickets,
+  subscriptions,
+  reportBroadcasts,
+  factoryAccess,
   app
 };
\ No newline at end of file
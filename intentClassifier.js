@@ -0,0 +1,405 @@
+// ==================
+// INTENT CLASSIFICATION
+// ==================
+// Shared by the bot (index.js) and the offline evaluation tool
+// (scripts/evaluate-intents.js). The hand-written keyword and pattern rules
+// decide; a naive Bayes model trained on a labelled corpus only steps in when
+// the rules fall back to 'general', and then only for a data or department
+// question it is confident about. It never turns a message into a bot command,
+// small talk or an irrelevant reply.
+//
+// corpus/intents.jsonl is synthetic seed data: messages written by hand in the
+// style clients use, not real traffic. On its own it trains a weak model, and
+// the figures `npm run evaluate:intents` prints for it only say how well the
+// rules and model agree with those hand-written messages - nothing backs them
+// with real traffic until labelled messages exist in data/intentLabels.jsonl.
+// Real messages come in through the
+// feedback queue: each one staff label (!label, or POST /feedback/:id) is
+// appended to data/intentLabels.jsonl and joins the training set on the next
+// retrain. To fold them into the shipped corpus, check them for names and
+// numbers, anonymise them, append them to corpus/intents.jsonl and compare
+// `npm run evaluate:intents` before and after.
+//
+// Corpus files are JSON lines: {"text": "MF0235 sale 38", "intent": "factory_query"}
+// with an optional "lang" ("si" | "ta") for Sinhala and Tamil messages.
+const fs = require("fs");
+const path = require("path");
+const { WordTokenizer, PorterStemmer, BayesClassifier } = require("natural");
+
+const DEFAULT_CORPUS_FILE = path.join(__dirname, "corpus", "intents.jsonl");
+
+// Below this share of the model's probability mass the rules decide
+const DEFAULT_MODEL_THRESHOLD = 0.6;
+
+// The only intents the model may pick over a 'general' from the rules
+const MODEL_INTENTS = ['factory_query', 'elevation_query', 'market_report', 'department_contact', 'ticket_status'];
+
+// Keyword and pattern rules per intent; a rule score under 3 means 'general'
+const RULE_PATTERNS = {
+  factory_query: {
+    keywords: ['mf', 'factory', 'performance', 'average', 'data', 'details', 'code', 'trend', 'history'],
+    patterns: [
+      /mf\s*[a-z]?\s*\d{3,4}/gi,
+      /\b(last|past)\s+\d{1,2}\s+sales\b/gi,
+      /factory\s+(code|performance|data|average)/gi,
+      /\b(mf\d{3,4})\b/gi,
+      /\baverage\b.*\bmf\b/gi
+    ],
+    weight: 10
+  },
+  elevation_query: {
+    keywords: ['elevation', 'uh', 'wh', 'high', 'medium', 'low', 'price'],
+    patterns: [
+      /elevation\s+(average|price|rate)/gi,
+      /(uh|wh|high|medium|low)\s+(average|price)/gi,
+      /sale\s+(\d+\s+)?elevation/gi
+    ],
+    weight: 8
+  },
+  market_report: {
+    keywords: ['market', 'report', 'pdf', 'sale', 'document'],
+    patterns: [
+      /market\s+report/gi,
+      /sale\s+\d+\s+report/gi,
+      /pdf\s+report/gi,
+      /report\s+sale/gi
+    ],
+    weight: 9
+  },
+  department_contact: {
+    keywords: ['valuation', 'account', 'technical', 'support', 'it department', 'marketing', 'inquiry', 'contact', 'help'],
+    patterns: [
+      /valuation\s+(department|inquiry|report)/gi,
+      /account(s|ing)\s+(department|query|issue)/gi,
+      /(technical|it)\s+support/gi,
+      /marketing\s+(inquiry|department)/gi
+    ],
+    weight: 7
+  },
+  bot_control: {
+    keywords: ['stop', 'mute', 'pause', 'disable', 'enable', 'activate', 'unmute', 'resume', 'bot'],
+    patterns: [
+      /stop\s+(bot|responding|messages)/gi,
+      /mute\s+bot/gi,
+      /disable\s+bot/gi,
+      /pause\s+bot/gi,
+      /unmute\s+bot/gi,
+      /enable\s+bot/gi,
+      /activate\s+bot/gi,
+      /resume\s+bot/gi,
+      /^(stop|mute|pause)$/gi,
+      /^(start|unmute|resume|activate)$/gi
+    ],
+    weight: 10
+  },
+  help: {
+    keywords: ['help', 'menu', 'start', 'options', 'commands'],
+    patterns: [/^help$/i, /^menu$/i, /^start$/i, /what can you do/i],
+    weight: 6
+  },
+  contact: {
+    keywords: ['contact', 'email', 'phone', 'address', 'location'],
+    patterns: [/contact\s+info/i, /email\s+address/i, /phone\s+number/i],
+    weight: 6
+  },
+  ticket_status: {
+    keywords: ['ticket'],
+    patterns: [
+      /status\s+of\s+my\s+(request|inquiry|enquiry|ticket)/gi,
+      /my\s+(request|inquiry|enquiry|ticket)\s+status/gi,
+      /where\s+is\s+my\s+(request|inquiry|enquiry|reply|response)/gi,
+      /\btkt-?\d+/gi
+    ],
+    weight: 9
+  },
+  status: {
+    keywords: ['status', 'stats', 'statistics', 'analytics'],
+    patterns: [/^status$/i, /^stats$/i, /bot\s+status/i],
+    weight: 5
+  },
+  casual_conversation: {
+    keywords: ['hi', 'hello', 'hey', 'good morning', 'good evening', 'thanks', 'thank you', 'ok', 'okay', 'bye', 'goodbye'],
+    patterns: [
+      /^(hi|hello|hey)$/i,
+      /^good\s+(morning|afternoon|evening|night)$/i,
+      /^(thanks|thank you|thx)$/i,
+      /^(ok|okay|k)$/i,
+      /^(bye|goodbye|see you)$/i
+    ],
+    weight: 3
+  },
+  irrelevant: {
+    keywords: ['vacancy', 'vacancies', 'job', 'hiring', 'career', 'recruitment', 'apply'],
+    patterns: [
+      /any\s+(vacancy|vacancies|job)/gi,
+      /(hiring|recruitment|career)/gi,
+      /looking\s+for\s+job/gi
+    ],
+    weight: 8
+  }
+};
+
+// Sinhala and Tamil sets per intent, native script and romanised. Scored on
+// top of the English set with the English weight.
+const LOCALIZED_RULE_PATTERNS = {
+  si: {
+    factory_query: {
+      keywords: ['කර්මාන්තශාලා', 'ෆැක්ටරි', 'සාමාන්‍ය', 'දත්ත', 'විස්තර', 'dathth', 'wisthara'],
+      patterns: [/(කර්මාන්තශාලා|ෆැක්ටරි)/g, /mf\s*\d{3,4}\s*(eke|ge|එකේ|ගේ)/gi]
+    },
+    elevation_query: {
+      keywords: ['උන්නතාංශ', 'උඩරට', 'මැදරට', 'පහතරට', 'මිල', 'udarata', 'pahatharata', 'mila'],
+      patterns: [/(උන්නතාංශ|උඩරට|මැදරට|පහතරට)\s*\S*\s*(මිල|සාමාන්‍ය)/g, /(udarata|pahatharata)\s+(mila|ganan)/gi]
+    },
+    market_report: {
+      keywords: ['වාර්තාව', 'වෙළඳපොළ', 'වෙන්දේසි', 'warthawa', 'welandapola', 'vendesi'],
+      patterns: [/වෙළඳපොළ\s*වාර්තා/g, /(market\s+)?report\s+eka/gi]
+    },
+    department_contact: {
+      keywords: ['ගිණුම්', 'තක්සේරු', 'අලෙවි', 'තාක්ෂණික', 'සහාය', 'අංශය', 'ginum', 'thakseru', 'anshaya'],
+      patterns: [/(ගිණුම්|තක්සේරු|අලෙවි|තාක්ෂණික)\s*(අංශ)/g, /(ginum|thakseru)\s+(anshaya|ekata)/gi]
+    },
+    bot_control: {
+      keywords: ['නවත්වන්න', 'නතර', 'ආරම්භ', 'nawaththanna', 'nawathwanna'],
+      patterns: [/(බොට්|bot)\s*(නවත්වන්න|නතර\s*කරන්න|nawaththanna|nawathwanna)/gi, /(බොට්|bot)\s*(ආරම්භ\s*කරන්න|patan\s*ganna)/gi]
+    },
+    help: {
+      keywords: ['උදව්', 'මෙනුව', 'udaw'],
+      patterns: [/^(උදව්|udaw|udav|මෙනුව)$/i]
+    },
+    contact: {
+      keywords: ['ලිපිනය', 'දුරකථන', 'ඊමේල්', 'lipinaya'],
+      patterns: [/(දුරකථන|phone)\s*(අංකය|ankaya)/gi]
+    },
+    ticket_status: {
+      keywords: ['ඉල්ලීම', 'illeema'],
+      patterns: [/(මගේ|mage)\s*(ඉල්ලීම|illeema|illima)/gi]
+    },
+    casual_conversation: {
+      keywords: ['ආයුබෝවන්', 'ස්තූතියි', 'ayubowan', 'isthuthi', 'sthuthi'],
+      patterns: [/^(ආයුබෝවන්|ayubowan|කොහොමද|kohomada)$/i, /^(බොහොම\s*)?(ස්තූතියි|isthuthi|sthuthi)$/i, /^(හරි|hari)$/i]
+    },
+    irrelevant: {
+      keywords: ['රැකියා', 'පුරප්පාඩු', 'rakiyawa', 'rassawa', 'purappadu'],
+      patterns: [/(රැකියා|rakiya)\S*\s*(ඇබෑර්තු|තියෙනවද|thiyenawada)/gi]
+    }
+  },
+  ta: {
+    factory_query: {
+      keywords: ['தொழிற்சாலை', 'சராசரி', 'தரவு', 'விவரம்', 'tharavu', 'vivaram'],
+      patterns: [/தொழிற்சாலை/g, /mf\s*\d{3,4}\s*(oda|udaiya|ஓட|உடைய)/gi]
+    },
+    elevation_query: {
+      keywords: ['உயரம்', 'மலைநாடு', 'தாழ்நில', 'விலை', 'uyaram', 'vilai'],
+      patterns: [/(உயர|மலைநாடு|தாழ்நில)\S*\s*(விலை|சராசரி)/g, /(uyaram|uyara)\s+(vilai|sarasari)/gi]
+    },
+    market_report: {
+      keywords: ['அறிக்கை', 'சந்தை', 'ஏலம்', 'arikkai', 'santhai'],
+      patterns: [/சந்தை\s*அறிக்கை/g, /santhai\s+arikkai/gi]
+    },
+    department_contact: {
+      keywords: ['கணக்கு', 'மதிப்பீடு', 'சந்தைப்படுத்தல்', 'தொழில்நுட்ப', 'உதவி', 'பிரிவு', 'kanakku', 'pirivu'],
+      patterns: [/(கணக்கு|மதிப்பீடு|சந்தைப்படுத்தல்|தொழில்நுட்ப)\S*\s*(பிரிவு)/g, /kanakku\s+pirivu/gi]
+    },
+    bot_control: {
+      keywords: ['நிறுத்து', 'தொடங்கு', 'niruthu', 'thodangu'],
+      patterns: [/(பாட்|bot)\s*(நிறுத்து|niruthu|niruththu)/gi, /(பாட்|bot)\s*(தொடங்கு|thodangu)/gi]
+    },
+    help: {
+      keywords: ['உதவி', 'பட்டியல்', 'uthavi'],
+      patterns: [/^(உதவி|uthavi|பட்டியல்)$/i]
+    },
+    contact: {
+      keywords: ['முகவரி', 'தொலைபேசி', 'மின்னஞ்சல்', 'mugavari'],
+      patterns: [/தொலைபேசி\s*எண்/g]
+    },
+    ticket_status: {
+      keywords: ['கோரிக்கை', 'korikkai'],
+      patterns: [/(என்|என்னுடைய|en|ennoda)\s*(கோரிக்கை|korikkai)/gi]
+    },
+    casual_conversation: {
+      keywords: ['வணக்கம்', 'நன்றி', 'vanakkam', 'nandri'],
+      patterns: [/^(வணக்கம்|vanakkam)$/i, /^(மிக்க\s*)?(நன்றி|nandri)$/i, /^(சரி|sari)$/i]
+    },
+    irrelevant: {
+      keywords: ['வேலை', 'காலியிடம்', 'velai'],
+      patterns: [/(வேலை|velai)\s*(வாய்ப்பு|vaaippu|irukka|இருக்கா)/gi]
+    }
+  }
+};
+
+const INTENTS = [...Object.keys(RULE_PATTERNS), 'general'];
+
+// Latin terms must stand as whole words, so "it" is not found inside "with"
+// and "wh" not inside "what". Sinhala and Tamil words take suffixes
+// (කර්මාන්තශාලාවේ), so there a term only has to start a word.
+const termPatterns = new Map();
+
+function containsTerm(text, term) {
+  const key = term.trim().toLowerCase();
+  let pattern = termPatterns.get(key);
+  
+  if (!pattern) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const wholeWord = /^[\x00-\x7F]+$/.test(key);
+    pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}'’])${escaped}${wholeWord ? "(?![\\p{L}\\p{M}'’])" : ''}`, 'iu');
+    termPatterns.set(key, pattern);
+  }
+  return pattern.test(text);
+}
+
+const tokenizer = new WordTokenizer();
+
+// language: 'si' | 'ta' adds that language's sets
+function classifyByRules(text, language = 'en') {
+  if (!text || typeof text !== 'string') return 'general';
+  
+  const cleanText = text.toLowerCase().trim();
+  const localized = LOCALIZED_RULE_PATTERNS[language] || {};
+  const stems = tokenizer.tokenize(cleanText).map(token => PorterStemmer.stem(token));
+  
+  let bestMatch = 'general';
+  let highestScore = 0;
+  
+  for (const [intent, data] of Object.entries(RULE_PATTERNS)) {
+    let score = 0;
+    const keywords = [...data.keywords, ...(localized[intent] ? localized[intent].keywords : [])];
+    const patterns = [...data.patterns, ...(localized[intent] ? localized[intent].patterns : [])];
+    
+    // Keyword matching with stemming
+    keywords.forEach(keyword => {
+      if (containsTerm(cleanText, keyword)) score += 2;
+      if (stems.includes(PorterStemmer.stem(keyword))) score += 1;
+    });
+    
+    // Pattern matching
+    patterns.forEach(pattern => {
+      const matches = cleanText.match(pattern);
+      if (matches) score += matches.length * 3;
+    });
+    
+    // Apply intent weight
+    score *= (data.weight || 1);
+    
+    if (score > highestScore) {
+      highestScore = score;
+      bestMatch = intent;
+    }
+  }
+  
+  return highestScore >= 3 ? bestMatch : 'general';
+}
+
+// Model features: MF codes, ticket ids and numbers become placeholders so the
+// model learns "a code" or "a number" rather than particular ones
+function modelTokens(text) {
+  return text.toLowerCase()
+    .replace(/\bmf\s*[a-z]?\s*\d{3,4}\b/g, ' mfcode ')
+    .replace(/\btkt-?\d+\b/g, ' ticketid ')
+    .replace(/\d+/g, ' num ')
+    .split(/[^\p{L}\p{M}]+/u)
+    .filter(Boolean)
+    .map(token => /^[a-z]+$/.test(token) ? PorterStemmer.stem(token) : token);
+}
+
+class IntentModel {
+  constructor(samples = []) {
+    this.classifier = new BayesClassifier();
+    this.size = 0;
+    
+    samples.forEach(({ text, intent }) => {
+      const tokens = modelTokens(text);
+      if (tokens.length === 0) return;
+      this.classifier.addDocument(tokens, intent);
+      this.size++;
+    });
+    if (this.size > 0) this.classifier.train();
+  }
+  
+  // { intent, confidence } with confidence the top share of the probability
+  // mass, or null when the model is empty or knows none of the words
+  predict(text) {
+    if (this.size === 0) return null;
+    
+    const tokens = modelTokens(text).filter(token => token in this.classifier.features);
+    if (tokens.length === 0) return null;
+    
+    const ranked = this.classifier.getClassifications(tokens);
+    const total = ranked.reduce((sum, entry) => sum + entry.value, 0);
+    if (!total) return null;
+    
+    return { intent: ranked[0].label, confidence: ranked[0].value / total };
+  }
+}
+
+class HybridIntentClassifier {
+  constructor({ samples = [], threshold = DEFAULT_MODEL_THRESHOLD } = {}) {
+    this.threshold = threshold;
+    this.train(samples);
+  }
+  
+  train(samples) {
+    this.model = new IntentModel(samples);
+    this.trainedOn = this.model.size;
+  }
+  
+  // { intent, source: 'model' | 'rules', confidence }
+  classify(text, language = 'en') {
+    if (!text || typeof text !== 'string') {
+      return { intent: 'general', source: 'rules', confidence: 0 };
+    }
+    
+    const intent = classifyByRules(text, language);
+    const prediction = this.model.predict(text);
+    if (intent === 'general' && prediction && prediction.confidence >= this.threshold &&
+        MODEL_INTENTS.includes(prediction.intent)) {
+      return { ...prediction, source: 'model' };
+    }
+    return {
+      intent,
+      source: 'rules',
+      confidence: prediction ? prediction.confidence : 0
+    };
+  }
+}
+
+// Samples from JSON-lines corpus files; missing files are skipped, bad lines
+// reported and skipped
+function loadCorpus(files) {
+  const samples = [];
+  
+  for (const file of [].concat(files)) {
+    if (!fs.existsSync(file)) continue;
+    
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      
+      try {
+        const sample = JSON.parse(line);
+        if (typeof sample.text !== 'string' || !INTENTS.includes(sample.intent)) {
+          throw new Error(`unknown intent "${sample.intent}"`);
+        }
+        samples.push({ text: sample.text, intent: sample.intent, lang: sample.lang || 'en' });
+      } catch (err) {
+        console.warn(`⚠️ ${path.basename(file)}:${index + 1} skipped (${err.message})`);
+      }
+    });
+  }
+  
+  return samples;
+}
+
+module.exports = {
+  DEFAULT_CORPUS_FILE,
+  DEFAULT_MODEL_THRESHOLD,
+  MODEL_INTENTS,
+  INTENTS,
+  RULE_PATTERNS,
+  LOCALIZED_RULE_PATTERNS,
+  containsTerm,
+  classifyByRules,
+  modelTokens,
+  IntentModel,
+  HybridIntentClassifier,
+  loadCorpus
+};
@@ -0,0 +1,131 @@
+// ==================
+// SALE EXTRACTION
+// ==================
+// Sale numbers, ranges, lists and seasons from a message. Shared by the bot
+// (index.js) and the fixture check (scripts/check-extraction.js), which runs
+// the phrasings in corpus/extraction.jsonl through these functions.
+
+// Factory trend tables ("MF0235 trend", "MF0235 last 8 sales")
+const DEFAULT_TREND_SALES = 6;
+const MAX_TREND_SALES = 12;
+
+// Quantities and percentages, which are never sale numbers ("sale 38 10 kg")
+const QUANTITY_PATTERN = /\d[\d,.]*\s*(?:kgs?\b|kilos?\b|%)/g;
+
+function extractSaleNumber(text) {
+  const matches = text.match(/(?:sale|වෙන්දේසි\S*|vendesi\S*|ஏல\S*|elam)\s*(?:no\.?|number|අංක\S*|எண்)?\s*(\d{1,3})(?!\d)/gi);
+
+  // "MF0235 38/24" names the sale with its season
+  if (!matches) {
+    const bare = text.match(/(?<![\d\/.]|\bon\s*)(\d{1,3})\s*\/\s*(?:\d{2}|20\d{2})(?![\d\/])/i);
+    return bare && parseInt(bare[1]) > 0 ? bare[1].padStart(3, "0") : null;
+  }
+
+  const lastMatch = matches[matches.length - 1];
+  const numberMatch = lastMatch.match(/\d+/);
+  if (numberMatch) {
+    let num = parseInt(numberMatch[0]);
+    if (num <= 999) {
+      return num.toString().padStart(3, "0");
+    }
+  }
+  return null;
+}
+
+// Sale numbers joined by commas, "and", "&" or "vs". Without "vs" or
+// "compare" the numbers must follow "sale", so "MF0235 and 2 more" is not a list.
+function extractSaleList(cleanText) {
+  const text = cleanText.replace(QUANTITY_PATTERN, ' ');
+  const match = text.match(/(\bsales?\s*(?:no\.?\s*)?)?(?<![\w\/.])(\d{1,3}(?![\d\/.])(?:\s*(?:,|&|\band\b|\bvs\b\.?|\bversus\b)?\s*(?:sale\s*)?\d{1,3}(?![\d\/.]))+)/);
+  if (!match) return null;
+
+  const compare = /\b(vs|versus)\b/.test(match[2]) || /\bcompar(e|ed|ison)\b/.test(text);
+  if (!match[1] && !compare) return null;
+
+  const sales = [...new Set(match[2].match(/\d+/g).map(Number))]
+    .filter(sale => sale > 0)
+    .sort((a, b) => a - b)
+    .slice(0, MAX_TREND_SALES);
+  if (sales.length < 2) return null;
+
+  return compare ? { sales, compare: true } : { sales };
+}
+
+// { last: 6 } for "last 6 sales", { from: 30, to: 38 } for "sale 30-38",
+// { sales: [36, 37, 38] } for "sale 36, 37, 38" and { sales: [37, 38], compare: true }
+// for "37 vs 38"; a bare "trend" means the last 6 sales
+function extractSaleRange(text) {
+  const cleanText = text.toLowerCase();
+
+  const last = cleanText.match(/\b(?:last|past|previous)\s+(\d{1,2})\s+sales?\b/) ||
+    cleanText.match(/(?:පසුගිය|கடந்த)\s*(?:වෙන්දේසි\S*|ஏல\S*)?\s*(\d{1,2})/);
+  if (last) {
+    return { last: Math.min(Math.max(parseInt(last[1]), 2), MAX_TREND_SALES) };
+  }
+
+  const span = cleanText.match(/\bsales?\s*(?:no\.?\s*)?(\d{1,3})\s*(?:-|–|to)\s*(\d{1,3})\b/);
+  if (span) {
+    const [from, to] = [parseInt(span[1]), parseInt(span[2])].sort((a, b) => a - b);
+    if (from !== to) return { from, to };
+  }
+
+  const list = extractSaleList(cleanText);
+  if (list) return list;
+
+  if (/\b(trend|history)\b/.test(cleanText)) {
+    return { last: DEFAULT_TREND_SALES };
+  }
+  return null;
+}
+
+// Sale numbers restart every season: 2024 for "sale 38 2024", "sale 38 of 2024",
+// "sales 30-38 in 2024", "sale 38/24" or a bare "38/24". The year has to come
+// with the sale number, so neither the date in "sale 38 on 12/10" nor the
+// "2000" in "2000 kg" is a season. Null means the current season.
+function extractSaleYear(text) {
+  const thisYear = new Date().getFullYear();
+  const cleanText = text.toLowerCase();
+  const saleWords = /(?:\bsales?|වෙන්දේසි\S*|vendesi\S*|ஏல\S*|\belam)\s*(?:no\.?|number|අංක\S*|எண்)?\s*(?:\d{1,3}(?:\s*(?:-|–|to|,|&|and|vs\.?|versus)\s*(?:sale\s*)?\d{1,3})*)?(?![\d.])/g;
+  const toYear = value => value.length === 2 ? 2000 + parseInt(value) : parseInt(value);
+
+  let year = null;
+  let match;
+  let hasSale = false;
+  while (!year && (match = saleWords.exec(cleanText))) {
+    hasSale = true;
+    const rest = cleanText.slice(match.index + match[0].length);
+    const numbered = /\d$/.test(match[0]);
+    const after = (numbered && rest.match(/^\s*\/\s*(\d{2}|20\d{2})(?![\d\/])/)) ||
+      rest.match(numbered ? /^\s*(?:,\s*|(?:of|in|for)\s+)?(20\d{2})(?![\d.]|\s*(?:kg|kilo))/ : /^(?:of|in|for)\s+(20\d{2})(?!\d)/);
+    if (after) year = toYear(after[1]);
+    if (match[0].length === 0) saleWords.lastIndex++;
+  }
+
+  // "MF0235 38/24" - only when no sale was named some other way, and not a date "on 12/10"
+  if (!year && !hasSale) {
+    const bare = cleanText.match(/(?<![\d\/.]|\bon\s*)\d{1,3}\s*\/\s*(\d{2}|20\d{2})(?![\d\/])/);
+    if (bare) year = toYear(bare[1]);
+  }
+
+  return year && year <= thisYear + 1 ? year : null;
+}
+
+// { sale_number, sale_range, sale_year } - a range replaces the single sale number
+function extractSaleEntities(text) {
+  const saleRange = extractSaleRange(text);
+  return {
+    sale_number: saleRange ? null : extractSaleNumber(text),
+    sale_range: saleRange,
+    sale_year: extractSaleYear(text)
+  };
+}
+
+module.exports = {
+  DEFAULT_TREND_SALES,
+  MAX_TREND_SALES,
+  extractSaleNumber,
+  extractSaleList,
+  extractSaleRange,
+  extractSaleYear,
+  extractSaleEntities
+};
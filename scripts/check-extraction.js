@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// ==================
+// EXTRACTION FIXTURES
+// ==================
+// Regression check for the sale extractors and typo normalisation: every
+// message in the fixture file goes through normalizeText and then the sale
+// extractors, as the bot does, and each field the fixture names must match.
+//
+//   node scripts/check-extraction.js                  corpus/extraction.jsonl
+//   node scripts/check-extraction.js my-cases.jsonl   another fixture file
+//
+// Fixture files are JSON lines: {"text": "MF0235 sale 38/24", "sale_number": "038",
+// "sale_year": 2024} with any of "normalized", "sale_number", "sale_range" and
+// "sale_year"; fields left out are not checked.
+const fs = require("fs");
+const path = require("path");
+const { normalizeText } = require("../textNormalizer");
+const { extractSaleEntities } = require("../saleExtractor");
+
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, "..", "corpus", "extraction.jsonl");
+const CHECKED_FIELDS = ['normalized', 'sale_number', 'sale_range', 'sale_year'];
+
+// JSON with sorted keys, so {"from", "to"} and {"to", "from"} compare equal
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function loadFixtures(file) {
+  return fs.readFileSync(file, 'utf8').split(/\r?\n/)
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim())
+    .map(({ line, number }) => {
+      try {
+        return { number, ...JSON.parse(line) };
+      } catch (err) {
+        throw new Error(`${path.basename(file)}:${number} is not valid JSON (${err.message})`);
+      }
+    });
+}
+
+function checkFixture(fixture) {
+  const normalized = normalizeText(fixture.text).text;
+  const actual = { normalized, ...extractSaleEntities(normalized) };
+
+  return CHECKED_FIELDS
+    .filter(field => field in fixture && canonical(fixture[field]) !== canonical(actual[field]))
+    .map(field => `${field}: expected ${canonical(fixture[field])}, got ${canonical(actual[field])}`);
+}
+
+function main() {
+  const arg = process.argv[2];
+  if (arg === '--help' || arg === '-h') {
+    const header = fs.readFileSync(__filename, 'utf8').split('\n').slice(4);
+    const usage = header.slice(0, header.findIndex(line => !line.startsWith('//')));
+    console.log(usage.map(line => line.replace(/^\/\/ ?/, '')).join('\n'));
+    return;
+  }
+
+  const file = arg ? path.resolve(arg) : DEFAULT_FIXTURE_FILE;
+  let fixtures;
+  try {
+    fixtures = loadFixtures(file);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(2);
+  }
+
+  let failed = 0;
+  fixtures.forEach(fixture => {
+    const problems = checkFixture(fixture);
+    if (problems.length === 0) return;
+
+    failed++;
+    console.log(`❌ ${path.basename(file)}:${fixture.number} "${fixture.text}"`);
+    problems.forEach(problem => console.log(`   ${problem}`));
+  });
+
+  console.log(`\n🧪 ${fixtures.length - failed}/${fixtures.length} extraction fixture(s) passed`);
+  if (failed > 0) process.exit(1);
+}
+
+main();
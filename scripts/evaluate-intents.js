@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+// ==================
+// INTENT CLASSIFIER EVALUATION
+// ==================
+// Offline check of the intent classifier against the labelled corpus, so a
+// change to the rules, the corpus or the threshold can be shown to help
+// before it is deployed.
+//
+//   node scripts/evaluate-intents.js                 5-fold cross-validation
+//   node scripts/evaluate-intents.js --test new.jsonl train on the corpus, test on a file
+//   node scripts/evaluate-intents.js --corpus corpus/intents.jsonl --corpus data/intentLabels.jsonl
+//                                                    include the messages staff labelled from feedback
+//
+// Options:
+//   --corpus <file>      Training corpus (repeatable, default corpus/intents.jsonl)
+//   --test <file>        Held-out test set instead of cross-validation
+//   --folds <n>          Cross-validation folds (default 5)
+//   --threshold <p>      Model confidence needed to replace a general from the rules
+//   --mode <name>        hybrid | model | rules (default: hybrid, plus a summary of all three)
+//   --raw                Skip the typo normalisation the bot applies first
+//   --errors             List every misclassified message
+const path = require("path");
+const {
+  DEFAULT_CORPUS_FILE,
+  DEFAULT_MODEL_THRESHOLD,
+  INTENTS,
+  IntentModel,
+  HybridIntentClassifier,
+  classifyByRules,
+  loadCorpus
+} = require("../intentClassifier");
+const { normalizeText } = require("../textNormalizer");
+
+const MODES = ['hybrid', 'model', 'rules'];
+
+function parseArgs(argv) {
+  const options = { corpus: [], test: null, folds: 5, threshold: DEFAULT_MODEL_THRESHOLD, mode: 'hybrid', raw: false, errors: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    if (arg === '--corpus') options.corpus.push(path.resolve(next()));
+    else if (arg === '--test') options.test = path.resolve(next());
+    else if (arg === '--folds') options.folds = parseInt(next(), 10);
+    else if (arg === '--threshold') options.threshold = parseFloat(next());
+    else if (arg === '--mode') options.mode = next();
+    else if (arg === '--raw') options.raw = true;
+    else if (arg === '--errors') options.errors = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  if (options.corpus.length === 0) options.corpus.push(DEFAULT_CORPUS_FILE);
+  if (!MODES.includes(options.mode)) throw new Error(`--mode must be one of: ${MODES.join(', ')}`);
+  if (!(options.folds >= 2)) throw new Error('--folds must be 2 or more');
+  if (!(options.threshold >= 0 && options.threshold <= 1)) throw new Error('--threshold must be between 0 and 1');
+  return options;
+}
+
+// Deterministic shuffle, so two runs over the same corpus are comparable
+function seededShuffle(items, seed = 42) {
+  const result = [...items];
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Folds with each intent spread evenly across them
+function stratifiedFolds(samples, folds) {
+  const byIntent = {};
+  samples.forEach(sample => {
+    (byIntent[sample.intent] = byIntent[sample.intent] || []).push(sample);
+  });
+
+  const result = Array.from({ length: folds }, () => []);
+  let next = 0;
+  for (const group of Object.values(byIntent)) {
+    seededShuffle(group).forEach(sample => {
+      result[next % folds].push(sample);
+      next++;
+    });
+  }
+  return result;
+}
+
+// Test messages are normalised like the bot's incoming messages unless --raw
+function createPredictor(mode, training, options) {
+  const prepare = text => options.raw ? text : normalizeText(text).text;
+
+  if (mode === 'rules') {
+    return sample => classifyByRules(prepare(sample.text), sample.lang);
+  }
+  if (mode === 'model') {
+    const model = new IntentModel(training);
+    return sample => {
+      const prediction = model.predict(prepare(sample.text));
+      return prediction ? prediction.intent : 'general';
+    };
+  }
+
+  const classifier = new HybridIntentClassifier({ samples: training, threshold: options.threshold });
+  return sample => classifier.classify(prepare(sample.text), sample.lang).intent;
+}
+
+// [{ sample, predicted }] for every test message
+function runEvaluation(mode, options, corpus, testSet) {
+  if (testSet) {
+    const predict = createPredictor(mode, corpus, options);
+    return testSet.map(sample => ({ sample, predicted: predict(sample) }));
+  }
+
+  const folds = stratifiedFolds(corpus, options.folds);
+  return folds.flatMap((fold, index) => {
+    const training = folds.filter((_, other) => other !== index).flat();
+    const predict = createPredictor(mode, training, options);
+    return fold.map(sample => ({ sample, predicted: predict(sample) }));
+  });
+}
+
+function computeMetrics(results) {
+  const labels = INTENTS.filter(intent =>
+    results.some(({ sample, predicted }) => sample.intent === intent || predicted === intent)
+  );
+  const confusion = {};
+  labels.forEach(actual => {
+    confusion[actual] = {};
+    labels.forEach(predicted => { confusion[actual][predicted] = 0; });
+  });
+  results.forEach(({ sample, predicted }) => { confusion[sample.intent][predicted]++; });
+
+  const perIntent = labels.map(intent => {
+    const truePositives = confusion[intent][intent];
+    const predictedCount = labels.reduce((sum, actual) => sum + confusion[actual][intent], 0);
+    const support = labels.reduce((sum, predicted) => sum + confusion[intent][predicted], 0);
+
+    const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+    const recall = support > 0 ? truePositives / support : 0;
+    const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+    return { intent, precision, recall, f1, support };
+  });
+
+  const withSupport = perIntent.filter(row => row.support > 0);
+  return {
+    labels,
+    confusion,
+    perIntent,
+    accuracy: results.filter(({ sample, predicted }) => sample.intent === predicted).length / results.length,
+    macroF1: withSupport.reduce((sum, row) => sum + row.f1, 0) / withSupport.length
+  };
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(mode, metrics) {
+  const width = Math.max(...metrics.labels.map(label => label.length), 6) + 2;
+
+  console.log(`\n📊 ${mode.toUpperCase()} - accuracy ${percent(metrics.accuracy)}, macro F1 ${percent(metrics.macroF1)}`);
+  console.log("═".repeat(width + 36));
+  console.log(`${"Intent".padEnd(width)}${"Precision".padStart(10)}${"Recall".padStart(9)}${"F1".padStart(8)}${"N".padStart(6)}`);
+  console.log("─".repeat(width + 36));
+  metrics.perIntent.forEach(row => {
+    console.log(row.intent.padEnd(width) +
+      percent(row.precision).padStart(10) +
+      percent(row.recall).padStart(9) +
+      percent(row.f1).padStart(8) +
+      String(row.support).padStart(6));
+  });
+
+  // Columns are numbered to keep the matrix narrow; rows are the true intent
+  console.log(`\nConfusion matrix (rows: actual, columns: predicted)`);
+  console.log("─".repeat(width + 4 + metrics.labels.length * 4));
+  console.log(" ".repeat(width + 4) + metrics.labels.map((_, i) => String(i + 1).padStart(4)).join(''));
+  metrics.labels.forEach((actual, i) => {
+    const cells = metrics.labels.map(predicted => {
+      const count = metrics.confusion[actual][predicted];
+      return (count === 0 ? '.' : String(count)).padStart(4);
+    });
+    console.log(`${String(i + 1).padStart(2)}. ${actual.padEnd(width)}${cells.join('')}`);
+  });
+}
+
+function printErrors(results) {
+  const errors = results.filter(({ sample, predicted }) => sample.intent !== predicted);
+  console.log(`\n❌ Misclassified (${errors.length})`);
+  errors.forEach(({ sample, predicted }) => {
+    console.log(`   [${sample.intent} → ${predicted}] ${sample.text}`);
+  });
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(2);
+  }
+
+  if (options.help) {
+    const header = require('fs').readFileSync(__filename, 'utf8').split('\n').slice(4);
+    const usage = header.slice(0, header.findIndex(line => !line.startsWith('//')));
+    console.log(usage.map(line => line.replace(/^\/\/ ?/, '')).join('\n'));
+    return;
+  }
+
+  const corpus = loadCorpus(options.corpus);
+  const testSet = options.test ? loadCorpus(options.test) : null;
+
+  if (corpus.length === 0) {
+    console.error(`❌ No training messages in ${options.corpus.join(', ')}`);
+    process.exit(1);
+  }
+  if (testSet && testSet.length === 0) {
+    console.error(`❌ No test messages in ${options.test}`);
+    process.exit(1);
+  }
+
+  console.log(`🧪 ${corpus.length} training message(s) from ${options.corpus.map(file => path.relative(process.cwd(), file)).join(', ')}`);
+  console.log(testSet
+    ? `   Testing on ${testSet.length} message(s) from ${path.relative(process.cwd(), options.test)}`
+    : `   ${options.folds}-fold cross-validation`);
+  console.log(`   Model threshold: ${options.threshold}${options.raw ? ', no typo normalisation' : ''}`);
+
+  const summary = MODES.map(mode => {
+    const results = runEvaluation(mode, options, corpus, testSet);
+    return { mode, results, metrics: computeMetrics(results) };
+  });
+
+  console.log(`\n${"Mode".padEnd(8)}${"Accuracy".padStart(10)}${"Macro F1".padStart(10)}`);
+  summary.forEach(({ mode, metrics }) => {
+    console.log(`${mode.padEnd(8)}${percent(metrics.accuracy).padStart(10)}${percent(metrics.macroF1).padStart(10)}`);
+  });
+
+  const selected = summary.find(entry => entry.mode === options.mode);
+  printReport(selected.mode, selected.metrics);
+  if (options.errors) printErrors(selected.results);
+}
+
+main();
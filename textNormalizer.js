@@ -0,0 +1,120 @@
+// ==================
+// TYPO NORMALISATION
+// ==================
+// Runs before intent classification and entity extraction, so "elevaton",
+// "markt reprt", "acounts" and "MFO235" read as the words the rules, the
+// intent model and the entity maps know. Only Latin-script words are
+// corrected, only towards the domain dictionary below, and never when an
+// English dictionary knows the word as written ("tend", "prime", "Trent").
+const { DamerauLevenshteinDistance, Lexicon } = require("natural");
+
+// Tea and brokering words users are likely to misspell. Correction targets
+// only; short words (under 4 letters) are never corrected.
+const DOMAIN_TERMS = [
+  // Requests
+  'factory', 'factories', 'performance', 'average', 'averages', 'elevation', 'elevations',
+  'market', 'report', 'reports', 'sale', 'sales', 'price', 'prices', 'rate', 'rates',
+  'quantity', 'weekly', 'monthly', 'yearly', 'trend', 'history', 'details', 'compare',
+  'subscribe', 'unsubscribe', 'language', 'status', 'contact', 'ticket', 'inquiry',
+  'department', 'excel', 'latest', 'previous',
+  // Elevations and districts
+  'upper', 'western', 'high', 'medium', 'bottom', 'grown', 'udapussellawa', 'nuwara',
+  'eliya', 'dimbula', 'ruhuna', 'sabaragamuwa', 'kandy', 'udarata', 'medarata', 'pahatharata',
+  // Departments
+  'valuation', 'appraisal', 'account', 'accounts', 'accounting', 'invoice', 'technical',
+  'support', 'system', 'marketing', 'payment', 'thakseru', 'ginum', 'kanakku',
+  // Auction and grades
+  'auction', 'broker', 'brokers', 'brokering', 'catalogue', 'grade', 'grades', 'pekoe',
+  'orange', 'broken', 'fannings', 'dust', 'tippy', 'flowery', 'quality', 'buyer', 'buyers',
+  'estate', 'withdrawn', 'unsold', 'kilos'
+];
+
+const DOMAIN_TERM_SET = new Set(DOMAIN_TERMS);
+const FACTORY_CODE_TYPO = /\bM\s*F\s*([0-9OIL]{4})\b/gi;
+const DIGIT_LOOKALIKES = { O: '0', I: '1', L: '1' };
+
+let englishLexicon = null;
+
+// Dictionary words ("great", "lower", "hope") - loaded on first use
+function isEnglishWord(word) {
+  if (!englishLexicon) {
+    englishLexicon = new Lexicon('EN', 'NN').lexicon;
+  }
+  return Object.prototype.hasOwnProperty.call(englishLexicon, word);
+}
+
+// Two edits allowed for long words, one for the rest
+function maxEdits(word) {
+  return word.length >= 8 ? 2 : 1;
+}
+
+// The closest domain term with the same first letter, or null when none is
+// close enough or two terms are equally close
+function closestTerm(word) {
+  let best = null;
+  let bestDistance = Infinity;
+  let tied = false;
+
+  for (const term of DOMAIN_TERMS) {
+    if (term[0] !== word[0] || Math.abs(term.length - word.length) > maxEdits(word)) continue;
+
+    const distance = DamerauLevenshteinDistance(word, term);
+    if (distance < bestDistance) {
+      best = term;
+      bestDistance = distance;
+      tied = false;
+    } else if (distance === bestDistance && term !== best) {
+      tied = true;
+    }
+  }
+
+  return best && bestDistance <= maxEdits(word) && !tied ? best : null;
+}
+
+function correctWord(word) {
+  const lower = word.toLowerCase();
+  if (lower.length < 4 || DOMAIN_TERM_SET.has(lower)) return null;
+
+  // Everyday words and names ("sake", "Prince", "trent") are left as written
+  const capitalized = lower[0].toUpperCase() + lower.slice(1);
+  if (isEnglishWord(lower) || isEnglishWord(capitalized)) return null;
+
+  // "prices" and "sales" are fine when the singular is a term
+  if (lower.endsWith('s') && DOMAIN_TERM_SET.has(lower.slice(0, -1))) return null;
+
+  const term = closestTerm(lower);
+  if (!term) return null;
+  return word === word.toUpperCase() ? term.toUpperCase() : term;
+}
+
+// { text, corrections: [{ from, to }] } - text unchanged when nothing was corrected
+function normalizeText(text) {
+  if (!text || typeof text !== 'string') return { text: text || '', corrections: [] };
+
+  const corrections = [];
+
+  // MF codes typed with a letter O or I/l in place of 0 or 1
+  let normalized = text.replace(FACTORY_CODE_TYPO, (match, digits) => {
+    if (!/\d/.test(digits) || /^\d+$/.test(digits)) return match;
+
+    const code = `MF${digits.replace(/[OIL]/gi, c => DIGIT_LOOKALIKES[c.toUpperCase()])}`;
+    corrections.push({ from: match, to: code });
+    return code;
+  });
+
+  normalized = normalized.replace(/(?<![\p{L}\p{M}\d'’])[A-Za-z]+(?![\p{L}\p{M}\d'’])/gu, word => {
+    const corrected = correctWord(word);
+    if (!corrected) return word;
+
+    corrections.push({ from: word, to: corrected });
+    return corrected;
+  });
+
+  return { text: normalized, corrections };
+}
+
+module.exports = {
+  DOMAIN_TERMS,
+  isEnglishWord,
+  normalizeText
+};